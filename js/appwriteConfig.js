@@ -1,3 +1,34 @@
+// Tables and the data backend (see js/dataBackend.js). DATA_BACKEND is "appwrite"
+// for the live project or "memory" for the offline fixtures in FIXTURES_URL; on
+// localhost ?backend=memory or ?backend=appwrite switches it.
+window.appwriteConfig = {
+  DATABASE_ID: "68b1b7590035346a3be9",
+  CUSTOMER_TABLE: "customer_tb",
+  COMPANY_TABLE: "company_tb",
+  BRANCHES_TABLE: "branches",
+  WORKING_DAYS_TABLE: "working_days",
+  PRODUCTS_TABLE: "product",
+  SOCIAL_MEDIA_TABLE: "social_media",
+  RATINGS_TABLE: "ratings",
+  ORDERS_TABLE: "orders",
+  ORDER_ITEMS_TABLE: "order_items",
+  PURCHASE_RECIPIENT_TABLE: "purchase_recipient_info",
+  SUBSCRIPTIONS_TABLE: "subscriptions",
+  RECIPIENTS_TABLE: "saved_recipients",
+  RETURNS_TABLE: "return_requests",
+  ORDER_EVENTS_TABLE: "order_events",
+  PROMOTIONS_TABLE: "promotions",
+  PROMOTION_REDEMPTIONS_TABLE: "promotion_redemptions",
+  COMPANY_VERIFICATION_TABLE: "company_verification",
+  STORAGE_BUCKET_ID: "68b1c57b001542be7fbe",
+  PROJECT_ID: "695f826500067c381616",
+  BUCKETS: {
+    PRODUCTS: "695fec72003b8ba4fb22",
+  },
+  DATA_BACKEND: "appwrite",
+  FIXTURES_URL: "data/fixtures.json",
+};
+
 // Wait for Appwrite to be available
 if (typeof Appwrite === "undefined") {
   console.error("Appwrite SDK not loaded!");
@@ -14,36 +45,21 @@ if (typeof Appwrite === "undefined") {
 
   const account = new Appwrite.Account(client);
   const databases = new Appwrite.Databases(client);
+  const storage = new Appwrite.Storage(client);
 
-  const appwriteConfig = {
-    DATABASE_ID: "68b1b7590035346a3be9",
-    CUSTOMER_TABLE: "customer_tb",
-    COMPANY_TABLE: "company_tb",
-    BRANCHES_TABLE: "branches",
-    WORKING_DAYS_TABLE: "working_days",
-    PRODUCTS_TABLE: "product",
-    SOCIAL_MEDIA_TABLE: "social_media",
-    RATINGS_TABLE: "ratings",
-    ORDERS_TABLE: "orders",
-    ORDER_ITEMS_TABLE: "order_items",
-    PURCHASE_RECIPIENT_TABLE: "purchase_recipient_info",
-    COMPANY_VERIFICATION_TABLE: "company_verification",
-    STORAGE_BUCKET_ID: "68b1c57b001542be7fbe",
-    PROJECT_ID: "695f826500067c381616",
-    BUCKETS: {
-      PRODUCTS: "695fec72003b8ba4fb22",
-    },
+  const appwriteConfig = Object.assign(window.appwriteConfig, {
     client,
     account,
     databases,
+    storage,
     ID,
     Query,
-  };
+  });
 
   // Make variables globally accessible
-  window.appwriteConfig = appwriteConfig;
   window.account = account;
   window.databases = databases;
+  window.storage = storage;
   window.ID = ID;
   window.Query = Query;
   window.client = client;
@@ -14,6 +14,17 @@ async function signUp(fullName, email, phone, password, userType) {
             feedback.showFieldError('password', 'Password must be at least 8 characters long');
             throw new Error('Password must be at least 8 characters long');
         }
+
+        // Ghana phone number (stored as +233...) and email format
+        const contact = contactValidation.validateFields({
+            email: { value: email, kind: 'email' },
+            phone: { value: phone, kind: 'phone' }
+        });
+        if (!contact.valid) {
+            contactValidation.showFieldErrors(contact);
+            throw new Error(Object.values(contact.errors)[0]);
+        }
+        phone = contact.values.phone;
         
         if (!userType) {
             userType = 'individual'; // Default to individual if not specified
@@ -25,9 +36,7 @@ async function signUp(fullName, email, phone, password, userType) {
         // 0. Check if email already exists in customer_tb first
         let existingCustomer = { documents: [] };
         try {
-            existingCustomer = await databases.listDocuments(
-                appwriteConfig.DATABASE_ID,
-                appwriteConfig.CUSTOMER_TABLE,
+            existingCustomer = await dataStore.customers.list(
                 [Query.equal('email', normalizedEmail)]
             );
         } catch (dbError) {
@@ -43,9 +52,9 @@ async function signUp(fullName, email, phone, password, userType) {
 
         // Clean up any existing sessions first
         try {
-            const sessions = await account.listSessions();
+            const sessions = await dataStore.account.listSessions();
             for (const session of sessions.sessions) {
-                await account.deleteSession(session.$id);
+                await dataStore.account.deleteSession(session.$id);
             }
         } catch (e) {
             // No sessions or error deleting sessions - continue
@@ -55,15 +64,13 @@ async function signUp(fullName, email, phone, password, userType) {
 
         try {
             // 1. Create Account in Appwrite
-            await account.create(uniqueId, email, password, fullName);
+            await dataStore.account.create(uniqueId, email, password, fullName);
 
             // 2. Create Session
-            await account.createEmailPasswordSession(email, password);
+            await dataStore.account.createEmailPasswordSession(email, password);
 
             // 3. Create Database Entry in customer_tb
-            await databases.createDocument(
-                appwriteConfig.DATABASE_ID,
-                appwriteConfig.CUSTOMER_TABLE,
+            await dataStore.customers.create(
                 ID.unique(),
                 {
                     full_name: fullName,
@@ -92,22 +99,18 @@ async function signUp(fullName, email, phone, password, userType) {
             } else if (appwriteError.message && appwriteError.message.includes('session is active')) {
                 // Session already exists, try to get current user and create customer record
                 try {
-                    const user = await account.get();
+                    const user = await dataStore.account.get();
                     
                     // Cache user data for offline use
                     localStorage.setItem('currentUser', JSON.stringify(user));
                     
-                    const customerData = await databases.listDocuments(
-                        appwriteConfig.DATABASE_ID,
-                        appwriteConfig.CUSTOMER_TABLE,
+                    const customerData = await dataStore.customers.list(
                         [Query.equal('uid', user.$id)]
                     );
 
                     if (customerData.documents.length === 0) {
                         // Create customer record for existing Appwrite user
-                        await databases.createDocument(
-                            appwriteConfig.DATABASE_ID,
-                            appwriteConfig.CUSTOMER_TABLE,
+                        await dataStore.customers.create(
                             ID.unique(),
                             {
                                 full_name: user.name,
@@ -188,36 +191,30 @@ async function signIn(email, password) {
 
         // Clean up any existing sessions first
         try {
-            const sessions = await account.listSessions();
+            const sessions = await dataStore.account.listSessions();
             for (const session of sessions.sessions) {
-                await account.deleteSession(session.$id);
+                await dataStore.account.deleteSession(session.$id);
             }
         } catch (e) {
             // No sessions or error deleting sessions - continue
         }
 
         // Create new session
-        await account.createEmailPasswordSession(email, password);
+        await dataStore.account.createEmailPasswordSession(email, password);
 
         // Get user info from Appwrite
-        const user = await account.get();
+        const user = await dataStore.account.get();
         
         // Cache user data for offline use
         localStorage.setItem('currentUser', JSON.stringify(user));
         console.log('✅ User data cached');
         
         // Check if customer exists in our database
-        const customerData = await databases.listDocuments(
-            appwriteConfig.DATABASE_ID,
-            appwriteConfig.CUSTOMER_TABLE,
-            [Query.equal('uid', user.$id)]
-        );
+        const customerData = await dataStore.customers.list([Query.equal('uid', user.$id)]);
 
         if (customerData.documents.length === 0) {
             // Customer record not found, create one
-            await databases.createDocument(
-                appwriteConfig.DATABASE_ID,
-                appwriteConfig.CUSTOMER_TABLE,
+            await dataStore.customers.create(
                 ID.unique(),
                 {
                     full_name: user.name,
@@ -229,11 +226,7 @@ async function signIn(email, password) {
             );
             
             // Store the newly created customer data
-            const newCustomerData = await databases.listDocuments(
-                appwriteConfig.DATABASE_ID,
-                appwriteConfig.CUSTOMER_TABLE,
-                [Query.equal('uid', user.$id)]
-            );
+            const newCustomerData = await dataStore.customers.list([Query.equal('uid', user.$id)]);
             
             // Store user session info
             localStorage.setItem('customerSession', JSON.stringify({
@@ -296,7 +289,7 @@ async function signOut() {
     
     try {
         // Clear Appwrite session
-        await account.deleteSession('current');
+        await dataStore.account.deleteSession('current');
         
         // Clear local storage
         localStorage.removeItem('customerSession');
@@ -331,24 +324,18 @@ async function signOut() {
 
 async function checkSession() {
     try {
-        const user = await account.get();
+        const user = await dataStore.account.get();
         
         // Cache user data for offline use
         localStorage.setItem('currentUser', JSON.stringify(user));
         console.log('✅ User data cached in checkSession');
         
         // Verify customer record exists
-        const customerData = await databases.listDocuments(
-            appwriteConfig.DATABASE_ID,
-            appwriteConfig.CUSTOMER_TABLE,
-            [Query.equal('uid', user.$id)]
-        );
+        const customerData = await dataStore.customers.list([Query.equal('uid', user.$id)]);
         
         if (customerData.documents.length === 0) {
             // Customer record missing, create one
-            await databases.createDocument(
-                appwriteConfig.DATABASE_ID,
-                appwriteConfig.CUSTOMER_TABLE,
+            await dataStore.customers.create(
                 ID.unique(),
                 {
                     full_name: user.name,
@@ -378,9 +365,7 @@ async function forgotPassword(email) {
         }
         
         // Check if customer exists in customer_tb first
-        const customerData = await databases.listDocuments(
-            appwriteConfig.DATABASE_ID,
-            appwriteConfig.CUSTOMER_TABLE,
+        const customerData = await dataStore.customers.list(
             [Query.equal('email', email.toLowerCase())]
         );
         
@@ -388,7 +373,7 @@ async function forgotPassword(email) {
             throw new Error('No customer account found with this email address in our system');
         }
 
-        await account.createRecovery(
+        await dataStore.account.createRecovery(
             email,
             'https://phluowise-website.pages.dev/reset-password'
         );
@@ -442,7 +427,7 @@ async function resetPassword(userId, secret, password, confirmPassword) {
             throw new Error('Passwords do not match');
         }
 
-        await account.updateRecovery(userId, secret, password, password);
+        await dataStore.account.updateRecovery(userId, secret, password, password);
         
         feedback.hideLoading();
         feedback.success('Password reset successfully! You can now sign in with your new password.');
@@ -476,16 +461,12 @@ async function resetPassword(userId, secret, password, confirmPassword) {
 // Helper function to validate customer session
 async function validateCustomerSession() {
     try {
-        const user = await account.get();
+        const user = await dataStore.account.get();
         
         // Cache user data for offline use
         localStorage.setItem('currentUser', JSON.stringify(user));
         
-        const customerData = await databases.listDocuments(
-            appwriteConfig.DATABASE_ID,
-            appwriteConfig.CUSTOMER_TABLE,
-            [Query.equal('uid', user.$id)]
-        );
+        const customerData = await dataStore.customers.list([Query.equal('uid', user.$id)]);
         
         return customerData.documents.length > 0 ? customerData.documents[0] : null;
     } catch (error) {
@@ -505,29 +486,23 @@ function getCurrentCustomer() {
 
 async function getUserProfile() {
     try {
-        const user = await account.get();
+        const user = await dataStore.account.get();
         
         // Cache user data for offline use
         localStorage.setItem('currentUser', JSON.stringify(user));
         
         // Get customer data from customer_tb
-        const customerData = await databases.listDocuments(
-            appwriteConfig.DATABASE_ID,
-            appwriteConfig.CUSTOMER_TABLE,
-            [Query.equal('uid', user.$id)]
-        );
+        const customerData = await dataStore.customers.list([Query.equal('uid', user.$id)]);
 
         if (customerData.documents.length > 0) {
             return {
                 auth: user,
-                profile: customerData.documents[0]
+                profile: await cleanStoredProfileContact(customerData.documents[0])
             };
         }
         
         // If no customer record exists, create one
-        const newCustomer = await databases.createDocument(
-            appwriteConfig.DATABASE_ID,
-            appwriteConfig.CUSTOMER_TABLE,
+        const newCustomer = await dataStore.customers.create(
             ID.unique(),
             {
                 full_name: user.name,
@@ -551,12 +526,32 @@ async function getUserProfile() {
     }
 }
 
+// Profiles saved before contact validation get their phone number normalised
+// (+233...) and written back the next time they are read
+async function cleanStoredProfileContact(profile) {
+    const cleaned = contactValidation.cleanStoredContact(profile.phone_number, profile.email);
+    if (cleaned.phone === profile.phone_number && cleaned.email === profile.email) {
+        return profile;
+    }
+
+    try {
+        await dataStore.customers.update(
+            profile.$id,
+            { phone_number: cleaned.phone, email: cleaned.email }
+        );
+    } catch (error) {
+        console.warn('Could not clean up profile contact details:', error);
+    }
+
+    return { ...profile, phone_number: cleaned.phone, email: cleaned.email };
+}
+
 async function updateProfile(profileData) {
     feedback.showLoading('Updating your profile...');
     feedback.clearFieldErrors();
     
     try {
-        const user = await account.get();
+        const user = await dataStore.account.get();
         
         // Cache user data for offline use
         localStorage.setItem('currentUser', JSON.stringify(user));
@@ -566,39 +561,36 @@ async function updateProfile(profileData) {
             feedback.showFieldError('fullName', 'Full name is required');
             throw new Error('Full name is required');
         }
+
+        // Phone is optional on the profile, but must be a valid Ghana number when given
+        const contact = contactValidation.validateFields({
+            phone: { value: profileData.phone_number, kind: 'phone', required: false }
+        });
+        contactValidation.showFieldErrors(contact);
+        if (!contact.valid) {
+            const error = new Error(contact.errors.phone);
+            error.field = 'phone';
+            throw error;
+        }
         
         // Create clean data object with only allowed fields
         const cleanData = {
             full_name: profileData.full_name,
             email: profileData.email,
-            phone_number: profileData.phone_number || '',
+            phone_number: contact.values.phone,
             user_type: profileData.user_type || 'individual',
             uid: user.$id
         };
         
         // Find existing customer record
-        const existingCustomer = await databases.listDocuments(
-            appwriteConfig.DATABASE_ID,
-            appwriteConfig.CUSTOMER_TABLE,
-            [Query.equal('uid', user.$id)]
-        );
+        const existingCustomer = await dataStore.customers.list([Query.equal('uid', user.$id)]);
 
         if (existingCustomer.documents.length > 0) {
             // Update existing customer record
-            await databases.updateDocument(
-                appwriteConfig.DATABASE_ID,
-                appwriteConfig.CUSTOMER_TABLE,
-                existingCustomer.documents[0].$id,
-                cleanData
-            );
+            await dataStore.customers.update(existingCustomer.documents[0].$id, cleanData);
         } else {
             // Create new customer record if doesn't exist
-            await databases.createDocument(
-                appwriteConfig.DATABASE_ID,
-                appwriteConfig.CUSTOMER_TABLE,
-                ID.unique(),
-                cleanData
-            );
+            await dataStore.customers.create(ID.unique(), cleanData);
         }
 
         // Update local storage
@@ -621,6 +613,8 @@ async function updateProfile(profileData) {
             }, 2000);
         } else if (error.message && error.message.includes('Full name is required')) {
             errorMessage = error.message;
+        } else if (error.field) {
+            errorMessage = error.message;
         } else {
             errorMessage = 'Failed to update profile. Please try again.';
         }
@@ -1,6 +1,8 @@
 /**
  * Web2App Cache Manager
- * Handles localStorage caching and database synchronization for offline functionality
+ * Handles caching and database synchronization for offline functionality. Cached data
+ * lives in IndexedDB, or localStorage where it isn't available (js/cacheStore.js), so
+ * setCache/getCache/removeCache are async. The sync queue stays in localStorage.
  */
 
 class CacheManager {
@@ -10,12 +12,14 @@ class CacheManager {
         this.SYNC_QUEUE_KEY = this.CACHE_PREFIX + 'sync_queue';
         this.OFFLINE_FLAG_KEY = this.CACHE_PREFIX + 'offline_mode';
         this.LAST_SYNC_KEY = this.CACHE_PREFIX + 'last_sync';
+        this.storeReady = null;
         
         // Cache expiration times (in milliseconds)
         this.EXPIRY_TIMES = {
             user_profile: 24 * 60 * 60 * 1000, // 24 hours
             company_data: 60 * 60 * 1000,      // 1 hour
             orders: 7 * 24 * 60 * 60 * 1000,   // 7 days
+            order_events: 7 * 24 * 60 * 60 * 1000, // 7 days
             products: 60 * 60 * 1000,          // 1 hour
             reviews: 24 * 60 * 60 * 1000       // 24 hours
         };
@@ -32,6 +36,9 @@ class CacheManager {
         this.isOnline = navigator.onLine;
         console.log('📱 Cache Manager initialized - Online:', this.isOnline);
         
+        // Open the cache store and drop what expired since the last visit
+        this.clearExpiredCache();
+        
         // Start sync process if coming back online
         if (this.isOnline) {
             this.processSyncQueue();
@@ -46,22 +53,61 @@ class CacheManager {
     }
 
     /**
-     * Store data in localStorage with expiration
+     * Whether a localStorage key holds a cache entry (rather than the sync queue or a flag)
+     */
+    isCacheKey(key) {
+        return key.startsWith(this.CACHE_PREFIX) && key.endsWith(`_${this.CACHE_VERSION}`);
+    }
+
+    /**
+     * The store entries are kept in (js/cacheStore.js): IndexedDB, or localStorage
+     * where IndexedDB isn't available. Opened once, on first use.
+     */
+    getStore() {
+        if (!this.storeReady) {
+            if (!window.createCacheStore) {
+                return Promise.reject(new Error('Cache store not initialized. Make sure cacheStore.js is loaded before cacheManager.js.'));
+            }
+            this.storeReady = window.createCacheStore({ isCacheKey: key => this.isCacheKey(key) });
+        }
+        return this.storeReady;
+    }
+
+    isQuotaError(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+
+    /**
+     * Store data with expiration. The data is kept as a JSON copy, so both stores
+     * hand back the same thing. When the store is full, expired entries are cleared
+     * and the write is tried once more.
      */
-    setCache(type, data, identifier = '', customExpiry = null) {
+    async setCache(type, data, identifier = '', customExpiry = null) {
         try {
             const key = this.getCacheKey(type, identifier);
             const expiry = customExpiry || this.EXPIRY_TIMES[type] || (24 * 60 * 60 * 1000);
+            const json = JSON.stringify(data);
             
             const cacheItem = {
-                data: data,
+                key: key,
+                type: type,
+                data: json === undefined ? null : JSON.parse(json),
                 timestamp: Date.now(),
                 expiry: Date.now() + expiry,
                 version: this.CACHE_VERSION
             };
             
-            localStorage.setItem(key, JSON.stringify(cacheItem));
-            console.log(`💾 Cached ${type} data:`, { key, size: JSON.stringify(data).length });
+            const store = await this.getStore();
+            try {
+                await store.set(cacheItem);
+            } catch (error) {
+                if (!this.isQuotaError(error)) throw error;
+                
+                const removed = await this.clearExpiredCache();
+                console.warn(`⚠️ Cache full, cleared ${removed} expired items and retrying`);
+                await store.set(cacheItem);
+            }
+            console.log(`💾 Cached ${type} data:`, { key, size: json ? json.length : 0 });
             
             return true;
         } catch (error) {
@@ -71,24 +117,23 @@ class CacheManager {
     }
 
     /**
-     * Get data from localStorage, checking expiration
+     * Get cached data, checking expiration
      */
-    getCache(type, identifier = '') {
+    async getCache(type, identifier = '') {
         try {
             const key = this.getCacheKey(type, identifier);
-            const cached = localStorage.getItem(key);
+            const store = await this.getStore();
+            const cacheItem = await store.get(key);
             
-            if (!cached) {
+            if (!cacheItem) {
                 console.log(`📦 No cached data found for ${type}`);
                 return null;
             }
             
-            const cacheItem = JSON.parse(cached);
-            
             // Check if expired
             if (Date.now() > cacheItem.expiry) {
                 console.log(`⏰ Cache expired for ${type}, removing...`);
-                this.removeCache(type, identifier);
+                await this.removeCache(type, identifier);
                 return null;
             }
             
@@ -108,10 +153,11 @@ class CacheManager {
     /**
      * Remove specific cache item
      */
-    removeCache(type, identifier = '') {
+    async removeCache(type, identifier = '') {
         try {
             const key = this.getCacheKey(type, identifier);
-            localStorage.removeItem(key);
+            const store = await this.getStore();
+            await store.remove(key);
             console.log(`🗑️ Removed cache: ${key}`);
             return true;
         } catch (error) {
@@ -121,19 +167,36 @@ class CacheManager {
     }
 
     /**
-     * Clear all cache data
+     * Remove expired cache items, returning how many were removed
      */
-    clearAllCache() {
+    async clearExpiredCache() {
         try {
-            const keys = Object.keys(localStorage);
-            let removed = 0;
+            const store = await this.getStore();
+            const now = Date.now();
+            const expired = (await store.getAll()).filter(entry => !(entry.expiry > now));
             
-            keys.forEach(key => {
-                if (key.startsWith(this.CACHE_PREFIX)) {
-                    localStorage.removeItem(key);
-                    removed++;
-                }
-            });
+            for (const entry of expired) {
+                await store.remove(entry.key);
+            }
+            
+            if (expired.length > 0) {
+                console.log(`🗑️ Cleared ${expired.length} expired cache items`);
+            }
+            return expired.length;
+        } catch (error) {
+            console.error('❌ Error clearing expired cache:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Clear all cache data. The sync queue is kept, so unsynced changes aren't lost.
+     */
+    async clearAllCache() {
+        try {
+            const store = await this.getStore();
+            const removed = (await store.getAll()).length;
+            await store.clear();
             
             console.log(`🗑️ Cleared ${removed} cache items`);
             return removed;
@@ -148,7 +211,14 @@ class CacheManager {
      */
     addToSyncQueue(action, data, priority = 'normal') {
         try {
-            const queue = this.getSyncQueue();
+            // Don't queue the same keyed write twice (e.g. an order saved offline and retried)
+            const duplicate = this.findQueuedItemByKey(action, data);
+            if (duplicate) {
+                console.log(`📋 ${action} already queued with key ${data.idempotencyKey}`);
+                return duplicate.id;
+            }
+
+            const queue = this.getStoredSyncQueue();
             const syncItem = {
                 id: this.generateId(),
                 action: action,
@@ -182,15 +252,36 @@ class CacheManager {
         }
     }
 
+    /**
+     * Find a queued item for the same action and idempotency key, including items waiting for retry
+     */
+    findQueuedItemByKey(action, data) {
+        if (!data || !data.idempotencyKey) return null;
+
+        try {
+            return this.getStoredSyncQueue().find(item =>
+                item.action === action &&
+                item.data && item.data.idempotencyKey === data.idempotencyKey
+            ) || null;
+        } catch (error) {
+            console.error('❌ Error reading sync queue:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Every queued item, including those waiting for their retry time
+     */
+    getStoredSyncQueue() {
+        return JSON.parse(localStorage.getItem(this.SYNC_QUEUE_KEY) || '[]');
+    }
+
     /**
      * Get sync queue with retry filtering
      */
     getSyncQueue() {
         try {
-            const queue = localStorage.getItem(this.SYNC_QUEUE_KEY);
-            if (!queue) return [];
-            
-            const parsedQueue = JSON.parse(queue);
+            const parsedQueue = this.getStoredSyncQueue();
             
             // Filter out items that are not ready for retry
             const now = Date.now();
@@ -248,8 +339,12 @@ class CacheManager {
             }
         }
         
-        // Update queue (remove processed, keep failed for retry)
-        const newQueue = failed.filter(item => item.retries < 3);
+        // Update queue (remove processed, keep failed for retry). Items still waiting
+        // for their retry time, or queued while this run was syncing, stay as they are.
+        const handled = new Set(sortedQueue.map(item => item.id));
+        const newQueue = this.getStoredSyncQueue()
+            .filter(item => !handled.has(item.id))
+            .concat(failed.filter(item => item.retries < 3));
         localStorage.setItem(this.SYNC_QUEUE_KEY, JSON.stringify(newQueue));
         
         console.log(`📊 Sync completed: ${processed.length} processed, ${newQueue.length} remaining for retry`);
@@ -315,18 +410,40 @@ class CacheManager {
 
     /**
      * Sync order to database
+     * `orderData` is the checkout's order data (as for OrderManager.createCompleteOrder) with
+     * its cart as `products`, the purchase recipient as `recipient` and, for a basket from
+     * several branches, the branch orders as `branches` (createMultiBranchCheckout). It is
+     * placed the way the checkout would have been: repriced, checked against the branch's
+     * current hours and slots, and rolled back if a step fails. The queued idempotency key
+     * makes a replay return the already-created order instead of a duplicate.
      */
     async syncOrder(orderData) {
         if (!window.OrderManager) {
             throw new Error('OrderManager not available');
         }
         
-        const orderManager = new window.OrderManager();
-        await orderManager.createOrder(orderData);
+        // Items queued before keys existed get one now; it is persisted with the
+        // queue item, so later retries of this entry are idempotent too
+        if (!orderData.idempotencyKey) {
+            orderData.idempotencyKey = window.OrderManager.generateIdempotencyKey();
+        }
         
-        // Also sync order items if present
-        if (orderData.products && orderData.products.length > 0) {
-            await orderManager.createOrderItems(orderData.orderId, orderData.products, orderData);
+        const orderManager = new window.OrderManager();
+        const { products = [], recipient = null, branches = null, ...checkout } = orderData;
+        const result = branches
+            ? await orderManager.createMultiBranchCheckout(checkout, branches, recipient)
+            : await orderManager.createCompleteOrder(
+                checkout,
+                products,
+                await orderManager.getBranchWorkingDays(checkout.branch_id || checkout.branchId),
+                recipient
+            );
+
+        if (!result.success) {
+            const error = new Error(result.message);
+            error.code = result.error && result.error.code;
+            error.step = result.step;
+            throw error;
         }
         
         return true;
@@ -336,16 +453,11 @@ class CacheManager {
      * Sync review to database
      */
     async syncReview(reviewData) {
-        if (!window.databases) {
+        if (!window.dataStore) {
             throw new Error('Database not available');
         }
         
-        const result = await window.databases.createDocument(
-            window.appwriteConfig.DATABASE_ID,
-            window.appwriteConfig.RATINGS_TABLE,
-            window.ID.unique(),
-            reviewData
-        );
+        const result = await window.dataStore.ratings.create(window.ID.unique(), reviewData);
         
         return result;
     }
@@ -354,16 +466,11 @@ class CacheManager {
      * Sync user profile to database
      */
     async syncProfile(profileData) {
-        if (!window.databases || !profileData.uid) {
+        if (!window.dataStore || !profileData.uid) {
             throw new Error('Database or user ID not available');
         }
         
-        const result = await window.databases.updateDocument(
-            window.appwriteConfig.DATABASE_ID,
-            window.appwriteConfig.CUSTOMER_TABLE,
-            profileData.uid,
-            profileData
-        );
+        const result = await window.dataStore.customers.update(profileData.uid, profileData);
         
         return result;
     }
@@ -386,23 +493,23 @@ class CacheManager {
     /**
      * Get cache statistics
      */
-    getCacheStats() {
+    async getCacheStats() {
         try {
-            const keys = Object.keys(localStorage).filter(key => key.startsWith(this.CACHE_PREFIX));
+            const store = await this.getStore();
+            const entries = await store.getAll();
             const stats = {
-                totalItems: keys.length,
+                store: store.name,
+                totalItems: entries.length,
                 totalSize: 0,
                 items: {}
             };
             
-            keys.forEach(key => {
-                const item = localStorage.getItem(key);
-                const size = item ? item.length : 0;
+            entries.forEach(entry => {
+                const size = JSON.stringify(entry).length;
                 stats.totalSize += size;
                 
-                // Extract type from key
-                const parts = key.split('_');
-                const type = parts[1] || 'unknown';
+                // Entries cached before they carried their type: take it from the key
+                const type = entry.type || entry.key.split('_')[1] || 'unknown';
                 
                 if (!stats.items[type]) {
                     stats.items[type] = { count: 0, size: 0 };
@@ -0,0 +1,204 @@
+/**
+ * Cache Store
+ * Where CacheManager (js/cacheManager.js) keeps its cache entries. IndexedDB is used
+ * where the browser has it: reads and writes don't block the page and the quota is far
+ * larger than localStorage's ~5 MB. Entries cached in localStorage by earlier versions
+ * are moved over the first time it opens. Browsers without IndexedDB, or where it can't
+ * be opened (some private modes), keep the entries in localStorage as JSON strings.
+ *
+ * Both stores have the same async interface over entries
+ * { key, type, data, timestamp, expiry, version }: get(key), set(entry), setAll(entries),
+ * remove(key), getAll() and clear(). Load this file before js/cacheManager.js.
+ */
+
+class IndexedDBCacheStore {
+    constructor({ indexedDB = window.indexedDB, dbName = 'phluowise_cache', storeName = 'entries' } = {}) {
+        this.name = 'indexedDB';
+        this.indexedDB = indexedDB;
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+        this.opening = null;
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    // Don't hold up a newer version of the page upgrading the database
+                    this.db.onversionchange = () => this.db.close();
+                    resolve(this);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * Run requests in one transaction. Resolves with the result of the request `run`
+     * returns, once the transaction has committed.
+     */
+    async transaction(mode, run) {
+        await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = run(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error || (request && request.error));
+            transaction.onabort = () => reject(transaction.error || new Error('Cache transaction aborted'));
+        });
+    }
+
+    async get(key) {
+        const entry = await this.transaction('readonly', store => store.get(key));
+        return entry || null;
+    }
+
+    async set(entry) {
+        await this.transaction('readwrite', store => store.put(entry));
+    }
+
+    // All or nothing: one failed write rolls back the others
+    async setAll(entries) {
+        await this.transaction('readwrite', store => {
+            entries.forEach(entry => store.put(entry));
+        });
+    }
+
+    async remove(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+
+    async getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+}
+
+class LocalStorageCacheStore {
+    /**
+     * isCacheKey(key) tells cache entries apart from the app's other localStorage keys
+     * (the sync queue, sessions, settings)
+     */
+    constructor({ storage = localStorage, isCacheKey = () => true } = {}) {
+        this.name = 'localStorage';
+        this.storage = storage;
+        this.isCacheKey = isCacheKey;
+    }
+
+    getKeys() {
+        return Object.keys(this.storage).filter(key => this.isCacheKey(key));
+    }
+
+    async get(key) {
+        const cached = this.storage.getItem(key);
+        return cached ? JSON.parse(cached) : null;
+    }
+
+    async set(entry) {
+        this.storage.setItem(entry.key, JSON.stringify(entry));
+    }
+
+    async setAll(entries) {
+        entries.forEach(entry => this.storage.setItem(entry.key, JSON.stringify(entry)));
+    }
+
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+
+    // Entries written before they carried their key get it from the storage key; ones
+    // that can't be read come back already expired, so they are cleaned up
+    async getAll() {
+        return this.getKeys().map(key => {
+            try {
+                return { ...JSON.parse(this.storage.getItem(key)), key };
+            } catch (error) {
+                return { key, expiry: 0 };
+            }
+        });
+    }
+
+    async clear() {
+        this.getKeys().forEach(key => this.storage.removeItem(key));
+    }
+}
+
+/**
+ * Move the entries cached in localStorage into `store`. They are removed from
+ * localStorage once written, so a failed move is tried again on the next page load.
+ * Resolves to the number of entries moved.
+ */
+async function migrateCacheEntries(localStore, store) {
+    const entries = await localStore.getAll();
+    if (entries.length === 0) return 0;
+
+    const now = Date.now();
+    const current = entries.filter(entry => entry.expiry > now);
+
+    try {
+        await store.setAll(current);
+    } catch (error) {
+        console.warn('⚠️ Could not move cached data to IndexedDB:', error);
+        return 0;
+    }
+
+    await Promise.all(entries.map(entry => localStore.remove(entry.key)));
+    console.log(`📦 Moved ${current.length} cached items from localStorage to IndexedDB`);
+    return current.length;
+}
+
+/**
+ * The store CacheManager should use: IndexedDB when it opens, localStorage otherwise.
+ * options: { isCacheKey(key), indexedDB, storage }
+ */
+async function createCacheStore({ isCacheKey, indexedDB = window.indexedDB, storage = localStorage } = {}) {
+    const localStore = new LocalStorageCacheStore({ storage, isCacheKey });
+    if (!indexedDB) {
+        console.log('💾 IndexedDB not available - caching in localStorage');
+        return localStore;
+    }
+
+    const store = new IndexedDBCacheStore({ indexedDB });
+    try {
+        await store.open();
+    } catch (error) {
+        console.warn('⚠️ Could not open the IndexedDB cache - caching in localStorage:', error);
+        return localStore;
+    }
+
+    await migrateCacheEntries(localStore, store);
+    return store;
+}
+
+// Make the cache stores globally available
+if (typeof window !== 'undefined') {
+    window.IndexedDBCacheStore = IndexedDBCacheStore;
+    window.LocalStorageCacheStore = LocalStorageCacheStore;
+    window.createCacheStore = createCacheStore;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        IndexedDBCacheStore,
+        LocalStorageCacheStore,
+        migrateCacheEntries,
+        createCacheStore
+    };
+}
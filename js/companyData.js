@@ -1,5 +1,5 @@
 // Company Data Management Module
-// Handles fetching and processing company data from Appwrite database
+// Handles fetching and processing company data from the data backend (js/dataBackend.js)
 
 class CompanyDataManager {
     constructor() {
@@ -68,22 +68,18 @@ class CompanyDataManager {
     // Fetch companies from company_tb table
     async fetchCompanies() {
         try {
-            // Check if Appwrite is available
-            if (!window.databases || !window.appwriteConfig) {
-                console.error('❌ Appwrite not available - checking if SDK loaded');
-                console.log('window.databases:', window.databases);
+            // Check if the data backend is available (js/dataBackend.js)
+            if (!window.dataStore || !window.appwriteConfig) {
+                console.error('❌ Data backend not available - checking if SDK loaded');
+                console.log('window.dataStore:', window.dataStore);
                 console.log('window.appwriteConfig:', window.appwriteConfig);
                 console.log('window.Appwrite:', window.Appwrite);
                 return [];
             }
 
-            const response = await window.databases.listDocuments(
-                window.appwriteConfig.DATABASE_ID,
-                'company_tb',
-                [
-                    window.Query.orderDesc('$createdAt')
-                ]
-            );
+            const response = await window.dataStore.companies.list([
+                window.Query.orderDesc('$createdAt')
+            ]);
             
             console.log(`📋 Found ${response.documents.length} companies`);
             return response.documents;
@@ -96,24 +92,20 @@ class CompanyDataManager {
     // Fetch branches from branches table
     async fetchBranches() {
         try {
-            // Check if Appwrite is available
-            if (!window.databases || !window.appwriteConfig) {
-                console.error('❌ Appwrite not available for branches - checking if SDK loaded');
-                console.log('window.databases:', window.databases);
+            // Check if the data backend is available (js/dataBackend.js)
+            if (!window.dataStore || !window.appwriteConfig) {
+                console.error('❌ Data backend not available for branches - checking if SDK loaded');
+                console.log('window.dataStore:', window.dataStore);
                 console.log('window.appwriteConfig:', window.appwriteConfig);
                 console.log('window.Appwrite:', window.Appwrite);
                 return [];
             }
 
-            const response = await window.databases.listDocuments(
-                window.appwriteConfig.DATABASE_ID,
-                'branches',
-                [
-                    window.Query.equal('is_active', true),
-                    window.Query.equal('disabled', false),
-                    window.Query.orderDesc('$createdAt')
-                ]
-            );
+            const response = await window.dataStore.branches.list([
+                window.Query.equal('is_active', true),
+                window.Query.equal('disabled', false),
+                window.Query.orderDesc('$createdAt')
+            ]);
             
             console.log('📍 Found', response.documents.length, 'active branches');
             return response.documents;
@@ -126,10 +118,7 @@ class CompanyDataManager {
     // Fetch working days from working_days table
     async fetchWorkingDays() {
         try {
-            const response = await window.databases.listDocuments(
-                window.appwriteConfig.DATABASE_ID,
-                window.appwriteConfig.WORKING_DAYS_TABLE
-            );
+            const response = await window.dataStore.collection(window.appwriteConfig.WORKING_DAYS_TABLE).list();
             return response.documents;
         } catch (error) {
             console.error('❌ Error fetching working days:', error);
@@ -140,10 +129,7 @@ class CompanyDataManager {
     // Fetch products from database
     async fetchProducts() {
         try {
-            const response = await window.databases.listDocuments(
-                window.appwriteConfig.DATABASE_ID,
-                window.appwriteConfig.PRODUCTS_TABLE
-            );
+            const response = await window.dataStore.products.list();
             console.log('📦 Raw product data from database:');
             response.documents.forEach((doc, index) => {
                 const productName = doc.name || doc.product_name || doc.productName || 'Unknown Product';
@@ -226,6 +212,16 @@ class CompanyDataManager {
                     branch_type: branch.branch_type,
                     is_verified: isVerified, // Add verification status
                     coordinates: this.generateCoordinates(branch.location),
+                    latitude: branch.latitude,
+                    longitude: branch.longitude,
+                    // Delivery fee schedule (see js/deliveryFee.js)
+                    delivery_base_fee: branch.delivery_base_fee,
+                    delivery_fee_per_km: branch.delivery_fee_per_km,
+                    free_delivery_threshold: branch.free_delivery_threshold,
+                    max_delivery_radius_km: branch.max_delivery_radius_km,
+                    // Orders per delivery slot (see js/slotCapacity.js)
+                    slot_capacity: branch.slot_capacity,
+                    slot_capacities: branch.slot_capacities,
                     working_days: branchWorkingDays, // Add working days
                     products: branchProducts.map(product => ({
                         ...product,
@@ -335,10 +331,7 @@ class CompanyDataManager {
     // Fetch social media from social_media table
     async fetchSocialMedia() {
         try {
-            const response = await window.databases.listDocuments(
-                window.appwriteConfig.DATABASE_ID,
-                window.appwriteConfig.SOCIAL_MEDIA_TABLE
-            );
+            const response = await window.dataStore.collection(window.appwriteConfig.SOCIAL_MEDIA_TABLE).list();
             console.log(`📱 Found ${response.documents.length} social media links`);
             return response.documents;
         } catch (error) {
@@ -350,10 +343,7 @@ class CompanyDataManager {
     // Fetch verification data from company_verification table
     async fetchVerifications() {
         try {
-            const response = await window.databases.listDocuments(
-                window.appwriteConfig.DATABASE_ID,
-                window.appwriteConfig.COMPANY_VERIFICATION_TABLE
-            );
+            const response = await window.dataStore.collection(window.appwriteConfig.COMPANY_VERIFICATION_TABLE).list();
             console.log(`✅ Found ${response.documents.length} verification records:`);
             response.documents.forEach((doc, index) => {
                 // Log all available fields to understand the structure
@@ -380,10 +370,7 @@ class CompanyDataManager {
     // Fetch ratings from ratings table
     async fetchRatings() {
         try {
-            const response = await window.databases.listDocuments(
-                window.appwriteConfig.DATABASE_ID,
-                window.appwriteConfig.RATINGS_TABLE
-            );
+            const response = await window.dataStore.ratings.list();
             console.log(`⭐ Found ${response.documents.length} rating records`);
             return response.documents;
         } catch (error) {
@@ -451,8 +438,8 @@ class CompanyDataManager {
     getProductImageUrl(imagePath) {
         if (!imagePath) return '';
         
-        // If it's already a full URL, return as-is
-        if (imagePath.startsWith('http')) {
+        // If it's already a full URL or a bundled image (the offline fixtures), return as-is
+        if (imagePath.startsWith('http') || imagePath.startsWith('images/')) {
             return imagePath;
         }
         
@@ -0,0 +1,220 @@
+/**
+ * Contact Validation
+ * Normalises Ghanaian phone numbers to E.164 (+233...), identifies the mobile
+ * network for mobile-money routing and validates email addresses
+ */
+
+class ContactValidation {
+    constructor() {
+        this.COUNTRY_CODE = '233';
+
+        // Mobile prefixes (national number without the leading 0) per network
+        this.NETWORKS = {
+            '24': 'MTN',
+            '25': 'MTN',
+            '53': 'MTN',
+            '54': 'MTN',
+            '55': 'MTN',
+            '59': 'MTN',
+            '20': 'Telecel',
+            '50': 'Telecel',
+            '26': 'AirtelTigo',
+            '27': 'AirtelTigo',
+            '56': 'AirtelTigo',
+            '57': 'AirtelTigo'
+        };
+
+        // Checkout mobile-money picker values per network (Telecel was Vodafone)
+        this.MOMO_PROVIDERS = {
+            MTN: 'mtn',
+            Telecel: 'vodafone',
+            AirtelTigo: 'airteltigo'
+        };
+
+        this.EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+        this.PHONE_EXAMPLE = '024 123 4567';
+    }
+
+    /**
+     * Parse a Ghanaian phone number. Accepts spaces, dashes, dots and brackets, and the
+     * 0, 233, +233 and 00233 prefixes (including the common "+233 0..." mix-up).
+     * Returns { valid, e164, national, network, type, error } where `type` is
+     * "mobile" or "fixed" and `network` is null for fixed lines and unknown prefixes.
+     */
+    parsePhone(value) {
+        const raw = String(value === null || value === undefined ? '' : value).trim();
+        if (!raw) {
+            return this.phoneResult(false, null, 'Phone number is required.');
+        }
+
+        if (/[^\d\s\-().+]/.test(raw) || raw.indexOf('+') > 0) {
+            return this.phoneResult(false, null, `Enter a Ghana phone number, e.g. ${this.PHONE_EXAMPLE}.`);
+        }
+
+        let digits = raw.replace(/\D/g, '');
+        if (digits.startsWith(`00${this.COUNTRY_CODE}`)) {
+            digits = digits.slice(2 + this.COUNTRY_CODE.length);
+        } else if (digits.startsWith(this.COUNTRY_CODE) && digits.length > 10) {
+            digits = digits.slice(this.COUNTRY_CODE.length);
+        } else if (raw.startsWith('+')) {
+            return this.phoneResult(false, null, 'Only Ghana (+233) phone numbers are supported.');
+        }
+        if (digits.startsWith('0')) {
+            digits = digits.slice(1);
+        }
+
+        if (digits.length < 9) {
+            return this.phoneResult(false, null, 'This phone number is missing digits.');
+        }
+        if (digits.length > 9) {
+            return this.phoneResult(false, null, 'This phone number has too many digits.');
+        }
+        if (!/^[235]/.test(digits)) {
+            return this.phoneResult(false, null, `Enter a Ghana phone number, e.g. ${this.PHONE_EXAMPLE}.`);
+        }
+
+        return this.phoneResult(true, digits);
+    }
+
+    phoneResult(valid, nationalNumber, error = null) {
+        if (!valid) {
+            return { valid, e164: null, national: null, network: null, type: null, error };
+        }
+
+        const type = nationalNumber.startsWith('3') ? 'fixed' : 'mobile';
+        return {
+            valid,
+            e164: `+${this.COUNTRY_CODE}${nationalNumber}`,
+            national: `0${nationalNumber}`,
+            network: type === 'mobile' ? (this.NETWORKS[nationalNumber.slice(0, 2)] || null) : null,
+            type,
+            error
+        };
+    }
+
+    /**
+     * E.164 form of a valid number, or null
+     */
+    normalizePhone(value) {
+        return this.parsePhone(value).e164;
+    }
+
+    getNetwork(value) {
+        return this.parsePhone(value).network;
+    }
+
+    /**
+     * Mobile-money provider ("mtn" | "vodafone" | "airteltigo") a number belongs to,
+     * or null. Numbers can be ported, so treat this as a suggestion.
+     */
+    getMomoProvider(value) {
+        const network = this.getNetwork(value);
+        return network ? this.MOMO_PROVIDERS[network] : null;
+    }
+
+    /**
+     * "024 123 4567" for display; returns the input unchanged if it cannot be parsed
+     */
+    formatPhone(value) {
+        const phone = this.parsePhone(value);
+        if (!phone.valid) return value;
+
+        return `${phone.national.slice(0, 3)} ${phone.national.slice(3, 6)} ${phone.national.slice(6)}`;
+    }
+
+    /**
+     * Returns { valid, email, error } with the email trimmed and lower-cased
+     */
+    parseEmail(value) {
+        const email = String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+        if (!email) {
+            return { valid: false, email: null, error: 'Email address is required.' };
+        }
+        if (!this.EMAIL_PATTERN.test(email)) {
+            return { valid: false, email: null, error: 'Enter a valid email address, e.g. name@example.com.' };
+        }
+        return { valid: true, email, error: null };
+    }
+
+    /**
+     * Validate a set of contact fields. `fields` maps a form field ID to
+     * { value, kind: "phone" | "email", required }. Returns { valid, values, errors }
+     * where `values` holds the normalised value and `errors` the message per field ID.
+     */
+    validateFields(fields) {
+        const values = {};
+        const errors = {};
+
+        Object.keys(fields).forEach(fieldId => {
+            const { value, kind, required = true } = fields[fieldId];
+            const isEmpty = value === null || value === undefined || String(value).trim() === '';
+
+            if (isEmpty && !required) {
+                values[fieldId] = '';
+                return;
+            }
+
+            if (kind === 'phone') {
+                const phone = this.parsePhone(value);
+                if (phone.valid) values[fieldId] = phone.e164;
+                else errors[fieldId] = phone.error;
+            } else {
+                const email = this.parseEmail(value);
+                if (email.valid) values[fieldId] = email.email;
+                else errors[fieldId] = email.error;
+            }
+        });
+
+        return { valid: Object.keys(errors).length === 0, values, errors };
+    }
+
+    /**
+     * Show each error next to its field via feedback.showFieldError (js/mobileFeedback.js)
+     * and clear fields that are valid again
+     */
+    showFieldErrors(result, fieldIds = Object.keys(result.values).concat(Object.keys(result.errors))) {
+        if (typeof feedback === 'undefined') return;
+
+        fieldIds.forEach(fieldId => {
+            if (result.errors[fieldId]) {
+                feedback.showFieldError(fieldId, result.errors[fieldId]);
+            } else {
+                feedback.removeFieldError(fieldId);
+            }
+        });
+    }
+
+    /**
+     * Error thrown by the data layer for an invalid contact field; `field` names the
+     * value ("phone" or "email") and `code` is "invalid_phone" or "invalid_email"
+     */
+    createError(field, message) {
+        const error = new Error(message);
+        error.code = `invalid_${field}`;
+        error.field = field;
+        return error;
+    }
+
+    /**
+     * Clean a stored phone/email pair written before validation existed.
+     * Values that still cannot be parsed are kept as they are.
+     */
+    cleanStoredContact(phone, email) {
+        const parsedPhone = phone ? this.parsePhone(phone) : null;
+        const parsedEmail = email ? this.parseEmail(email) : null;
+
+        return {
+            phone: parsedPhone && parsedPhone.valid ? parsedPhone.e164 : phone,
+            email: parsedEmail && parsedEmail.valid ? parsedEmail.email : email
+        };
+    }
+}
+
+// Initialize contact validation helper globally
+window.ContactValidation = ContactValidation;
+window.contactValidation = new ContactValidation();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContactValidation;
+}
@@ -4,12 +4,8 @@
 // Check if customer is logged in
 async function isCustomerLoggedIn() {
     try {
-        const user = await account.get();
-        const customerData = await databases.listDocuments(
-            appwriteConfig.DATABASE_ID,
-            appwriteConfig.CUSTOMER_TABLE,
-            [Query.equal('uid', user.$id)]
-        );
+        const user = await dataStore.account.get();
+        const customerData = await dataStore.customers.list([Query.equal('uid', user.$id)]);
         return customerData.documents.length > 0;
     } catch (error) {
         return false;
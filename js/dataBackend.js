@@ -0,0 +1,741 @@
+/**
+ * Data Backend
+ * One interface per collection - dataStore.customers, .companies, .branches, .products,
+ * .orders, .orderItems, .recipients and .ratings, or dataStore.collection(id) for the
+ * other tables - with list(queries), get(id), create(id, data, permissions), update(id, data)
+ * and delete(id), plus dataStore.account for sign-in. Two backends implement it:
+ *   - 'appwrite': the live project through the SDK set up in js/appwriteConfig.js
+ *   - 'memory':   documents and accounts kept in memory (and localStorage in a browser),
+ *                 seeded from data/fixtures.json, so the app runs offline for demos and tests
+ * The backend is appwriteConfig.DATA_BACKEND; on localhost ?backend=memory or ?backend=appwrite
+ * switches this browser over and is remembered. The memory backend also stands in for the
+ * window.databases / account / Query / ID globals, so pages that still use them work offline,
+ * and shows a demo mode banner on every page.
+ */
+
+// dataStore property -> appwriteConfig table key
+const DATA_COLLECTIONS = {
+    customers: 'CUSTOMER_TABLE',
+    companies: 'COMPANY_TABLE',
+    branches: 'BRANCHES_TABLE',
+    products: 'PRODUCTS_TABLE',
+    orders: 'ORDERS_TABLE',
+    orderItems: 'ORDER_ITEMS_TABLE',
+    recipients: 'PURCHASE_RECIPIENT_TABLE',
+    ratings: 'RATINGS_TABLE'
+};
+
+const DATA_BACKEND_KEY = 'phluowise_data_backend';
+
+// Hosts where ?backend=... may switch the backend ('' is a page opened from a file).
+// On the live site a link must not be able to move a customer onto the demo data.
+const DEV_HOSTS = ['localhost', '127.0.0.1', '[::1]', ''];
+
+/**
+ * A single collection on whichever backend is active
+ */
+class DataCollection {
+    constructor(backend, collectionId) {
+        this.backend = backend;
+        this.collectionId = collectionId;
+    }
+
+    // { total, documents } for Query strings (equal, orderDesc, limit, cursorAfter, ...)
+    list(queries = []) {
+        return this.backend.listDocuments(this.collectionId, queries);
+    }
+
+    get(documentId) {
+        return this.backend.getDocument(this.collectionId, documentId);
+    }
+
+    // documentId may be ID.unique(); a taken ID rejects with code 409. `permissions` are
+    // Appwrite permission strings; without them the collection's permissions apply.
+    create(documentId, data, permissions) {
+        return this.backend.createDocument(this.collectionId, documentId, data, permissions);
+    }
+
+    update(documentId, data) {
+        return this.backend.updateDocument(this.collectionId, documentId, data);
+    }
+
+    delete(documentId) {
+        return this.backend.deleteDocument(this.collectionId, documentId);
+    }
+}
+
+/**
+ * The live Appwrite project (window.databases / window.account from js/appwriteConfig.js)
+ */
+class AppwriteBackend {
+    constructor(config) {
+        this.name = 'appwrite';
+        this.config = config;
+        this.databases = config.databases;
+        this.account = config.account;
+    }
+
+    listDocuments(collectionId, queries = []) {
+        return this.databases.listDocuments(this.config.DATABASE_ID, collectionId, queries);
+    }
+
+    getDocument(collectionId, documentId) {
+        return this.databases.getDocument(this.config.DATABASE_ID, collectionId, documentId);
+    }
+
+    createDocument(collectionId, documentId, data, permissions) {
+        return this.databases.createDocument(this.config.DATABASE_ID, collectionId, documentId, data, permissions);
+    }
+
+    updateDocument(collectionId, documentId, data) {
+        return this.databases.updateDocument(this.config.DATABASE_ID, collectionId, documentId, data);
+    }
+
+    deleteDocument(collectionId, documentId) {
+        return this.databases.deleteDocument(this.config.DATABASE_ID, collectionId, documentId);
+    }
+}
+
+/**
+ * Query strings in the SDK's JSON format ({"method","attribute","values"}), so the
+ * memory backend reads queries built with either this or Appwrite.Query
+ */
+const MemoryQuery = {
+    build(method, attribute, values) {
+        const query = { method };
+        if (attribute !== undefined) query.attribute = attribute;
+        if (values !== undefined) query.values = Array.isArray(values) ? values : [values];
+        return JSON.stringify(query);
+    },
+    equal: (attribute, value) => MemoryQuery.build('equal', attribute, value),
+    notEqual: (attribute, value) => MemoryQuery.build('notEqual', attribute, value),
+    lessThan: (attribute, value) => MemoryQuery.build('lessThan', attribute, value),
+    lessThanEqual: (attribute, value) => MemoryQuery.build('lessThanEqual', attribute, value),
+    greaterThan: (attribute, value) => MemoryQuery.build('greaterThan', attribute, value),
+    greaterThanEqual: (attribute, value) => MemoryQuery.build('greaterThanEqual', attribute, value),
+    between: (attribute, start, end) => MemoryQuery.build('between', attribute, [start, end]),
+    isNull: attribute => MemoryQuery.build('isNull', attribute),
+    isNotNull: attribute => MemoryQuery.build('isNotNull', attribute),
+    startsWith: (attribute, value) => MemoryQuery.build('startsWith', attribute, value),
+    endsWith: (attribute, value) => MemoryQuery.build('endsWith', attribute, value),
+    contains: (attribute, value) => MemoryQuery.build('contains', attribute, value),
+    search: (attribute, value) => MemoryQuery.build('search', attribute, value),
+    select: attributes => MemoryQuery.build('select', undefined, attributes),
+    orderAsc: attribute => MemoryQuery.build('orderAsc', attribute),
+    orderDesc: attribute => MemoryQuery.build('orderDesc', attribute),
+    limit: limit => MemoryQuery.build('limit', undefined, limit),
+    offset: offset => MemoryQuery.build('offset', undefined, offset),
+    cursorAfter: documentId => MemoryQuery.build('cursorAfter', undefined, documentId),
+    cursorBefore: documentId => MemoryQuery.build('cursorBefore', undefined, documentId)
+};
+
+// 20-character IDs like the SDK's: a hex timestamp and random hex
+const MemoryID = {
+    unique() {
+        let random = '';
+        while (random.length < 9) random += Math.floor(Math.random() * 16).toString(16);
+        return `${Date.now().toString(16)}${random}`.slice(0, 20);
+    },
+    custom(id) {
+        return id;
+    }
+};
+
+/**
+ * Documents and accounts in memory, persisted to `storage` (localStorage in a browser)
+ * and seeded from fixtures on first use:
+ *   { users: [{ $id, email, password, name }], collections: { orders: [...], working_days: [...] } }
+ * Collection keys are dataStore names or table IDs. Errors carry the Appwrite codes the
+ * app already handles (401, 404, 409). Passwords are kept as given - demo accounts only.
+ */
+class MemoryBackend {
+    constructor(config, options = {}) {
+        this.name = 'memory';
+        this.config = config;
+        this.fixtures = options.fixtures || null;
+        this.fixturesUrl = options.fixturesUrl || config.FIXTURES_URL || null;
+        this.storage = options.storage === undefined ? MemoryBackend.getLocalStorage() : options.storage;
+        this.STORAGE_KEY = options.storageKey || 'phluowise_memory_backend';
+        this.DEFAULT_LIMIT = 25; // Appwrite's default page size
+        this.state = null;
+        this.loading = null;
+        this.account = new MemoryAccount(this);
+
+        // Stand-in for Appwrite.Databases, for code that still calls window.databases
+        this.databases = {
+            listDocuments: (databaseId, collectionId, queries) => this.listDocuments(collectionId, queries),
+            getDocument: (databaseId, collectionId, documentId) => this.getDocument(collectionId, documentId),
+            createDocument: (databaseId, collectionId, documentId, data, permissions) => this.createDocument(collectionId, documentId, data, permissions),
+            updateDocument: (databaseId, collectionId, documentId, data) => this.updateDocument(collectionId, documentId, data),
+            deleteDocument: (databaseId, collectionId, documentId) => this.deleteDocument(collectionId, documentId)
+        };
+    }
+
+    static getLocalStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    createError(code, type, message) {
+        const error = new Error(message);
+        error.code = code;
+        error.type = type;
+        return error;
+    }
+
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    // The state, read from storage or seeded from the fixtures the first time
+    async load() {
+        if (this.state) return this.state;
+        if (!this.loading) {
+            this.loading = this.readState().then(state => {
+                this.state = state;
+                this.loading = null;
+                return state;
+            });
+        }
+        return this.loading;
+    }
+
+    async readState() {
+        if (this.storage) {
+            try {
+                const saved = JSON.parse(this.storage.getItem(this.STORAGE_KEY));
+                if (saved && saved.collections) return saved;
+            } catch (error) {
+                console.warn('⚠️ Stored demo data is unreadable, reseeding:', error);
+            }
+        }
+
+        const state = this.seed(await this.loadFixtures());
+        this.persist(state);
+        return state;
+    }
+
+    async loadFixtures() {
+        if (this.fixtures) return this.fixtures;
+        if (!this.fixturesUrl || typeof fetch !== 'function') return {};
+
+        try {
+            const response = await fetch(this.fixturesUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.json();
+        } catch (error) {
+            console.warn(`⚠️ Could not load fixtures from ${this.fixturesUrl}, starting empty:`, error);
+            return {};
+        }
+    }
+
+    seed(fixtures = {}) {
+        const state = { collections: {}, users: [], session: null, recoveries: [] };
+        const now = new Date().toISOString();
+
+        Object.entries(fixtures.collections || {}).forEach(([key, documents]) => {
+            const collectionId = this.resolveCollectionId(key);
+            state.collections[collectionId] = (documents || []).map(data => ({
+                ...this.clone(data),
+                $id: data.$id || MemoryID.unique(),
+                $collectionId: collectionId,
+                $databaseId: this.config.DATABASE_ID,
+                $createdAt: data.$createdAt || now,
+                $updatedAt: data.$updatedAt || data.$createdAt || now,
+                $permissions: []
+            }));
+        });
+
+        state.users = (fixtures.users || []).map(user => ({
+            ...this.clone(user),
+            $id: user.$id || MemoryID.unique(),
+            email: String(user.email || '').toLowerCase(),
+            $createdAt: user.$createdAt || now,
+            $updatedAt: user.$updatedAt || now
+        }));
+
+        return state;
+    }
+
+    resolveCollectionId(key) {
+        return DATA_COLLECTIONS[key] ? this.config[DATA_COLLECTIONS[key]] : key;
+    }
+
+    persist(state = this.state) {
+        if (!this.storage || !state) return;
+        try {
+            this.storage.setItem(this.STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            console.warn('⚠️ Could not save demo data:', error);
+        }
+    }
+
+    // Forget every change and start again from the fixtures
+    async reset() {
+        if (this.storage) this.storage.removeItem(this.STORAGE_KEY);
+        this.state = null;
+        return this.load();
+    }
+
+    async getCollection(collectionId) {
+        const state = await this.load();
+        if (!state.collections[collectionId]) state.collections[collectionId] = [];
+        return state.collections[collectionId];
+    }
+
+    parseQuery(query) {
+        if (typeof query !== 'string') return query || {};
+        try {
+            return JSON.parse(query);
+        } catch (error) {
+            throw this.createError(400, 'general_query_invalid', `Invalid query: ${query}`);
+        }
+    }
+
+    compare(a, b) {
+        if (a === b) return 0;
+        if (a === null || a === undefined) return -1;
+        if (b === null || b === undefined) return 1;
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    matches(document, { method, attribute, values = [] }) {
+        const value = document[attribute];
+        const candidates = Array.isArray(value) ? value : [value];
+        const first = values[0];
+
+        switch (method) {
+            case 'equal':
+                return candidates.some(candidate => values.some(v => candidate === v));
+            case 'notEqual':
+                return !candidates.some(candidate => values.some(v => candidate === v));
+            case 'lessThan':
+                return value !== null && value !== undefined && this.compare(value, first) < 0;
+            case 'lessThanEqual':
+                return value !== null && value !== undefined && this.compare(value, first) <= 0;
+            case 'greaterThan':
+                return value !== null && value !== undefined && this.compare(value, first) > 0;
+            case 'greaterThanEqual':
+                return value !== null && value !== undefined && this.compare(value, first) >= 0;
+            case 'between':
+                return value !== null && value !== undefined &&
+                    this.compare(value, values[0]) >= 0 && this.compare(value, values[1]) <= 0;
+            case 'isNull':
+                return value === null || value === undefined;
+            case 'isNotNull':
+                return value !== null && value !== undefined;
+            case 'startsWith':
+                return typeof value === 'string' && value.startsWith(first);
+            case 'endsWith':
+                return typeof value === 'string' && value.endsWith(first);
+            case 'contains':
+                return Array.isArray(value)
+                    ? values.some(v => value.includes(v))
+                    : typeof value === 'string' && values.some(v => value.includes(v));
+            case 'search': {
+                const text = String(value || '').toLowerCase();
+                return String(first || '').toLowerCase().split(/\s+/).filter(Boolean).some(word => text.includes(word));
+            }
+            default:
+                throw this.createError(400, 'general_query_invalid', `Query method not supported: ${method}`);
+        }
+    }
+
+    async listDocuments(collectionId, queries = []) {
+        const documents = await this.getCollection(collectionId);
+        const parsed = (queries || []).map(query => this.parseQuery(query));
+        const filters = parsed.filter(query => !['orderAsc', 'orderDesc', 'limit', 'offset', 'cursorAfter', 'cursorBefore', 'select'].includes(query.method));
+        const orders = parsed.filter(query => query.method === 'orderAsc' || query.method === 'orderDesc');
+        const option = method => {
+            const query = parsed.find(q => q.method === method);
+            return query ? query.values[0] : undefined;
+        };
+
+        let results = documents.filter(document => filters.every(query => this.matches(document, query)));
+        if (orders.length > 0) {
+            results = results.slice().sort((a, b) => {
+                for (const { method, attribute } of orders) {
+                    const result = this.compare(a[attribute], b[attribute]);
+                    if (result !== 0) return method === 'orderDesc' ? -result : result;
+                }
+                return 0;
+            });
+        }
+        const total = results.length;
+
+        const cursorAfter = option('cursorAfter');
+        const cursorBefore = option('cursorBefore');
+        const limit = option('limit') !== undefined ? option('limit') : this.DEFAULT_LIMIT;
+        const offset = option('offset') || 0;
+        const cursor = cursorAfter !== undefined ? cursorAfter : cursorBefore;
+
+        let page;
+        if (cursor !== undefined) {
+            const index = results.findIndex(document => document.$id === cursor);
+            if (index === -1) {
+                throw this.createError(400, 'general_cursor_not_found', `Document '${cursor}' for the 'cursor' value not found.`);
+            }
+            page = cursorAfter !== undefined
+                ? results.slice(index + 1 + offset, index + 1 + offset + limit)
+                : results.slice(Math.max(0, index - offset - limit), Math.max(0, index - offset));
+        } else {
+            page = results.slice(offset, offset + limit);
+        }
+
+        return { total, documents: page.map(document => this.clone(document)) };
+    }
+
+    async findDocument(collectionId, documentId) {
+        const documents = await this.getCollection(collectionId);
+        const document = documents.find(doc => doc.$id === documentId);
+        if (!document) {
+            throw this.createError(404, 'document_not_found', 'Document with the requested ID could not be found.');
+        }
+        return document;
+    }
+
+    // Fields the caller sent, without the $-prefixed system attributes
+    getData(data) {
+        const fields = {};
+        Object.entries(this.clone(data) || {}).forEach(([key, value]) => {
+            if (!key.startsWith('$')) fields[key] = value;
+        });
+        return fields;
+    }
+
+    async getDocument(collectionId, documentId) {
+        return this.clone(await this.findDocument(collectionId, documentId));
+    }
+
+    async createDocument(collectionId, documentId, data, permissions) {
+        const documents = await this.getCollection(collectionId);
+        const id = !documentId || documentId === 'unique()' ? MemoryID.unique() : String(documentId);
+        if (documents.some(doc => doc.$id === id)) {
+            throw this.createError(409, 'document_already_exists', 'Document with the requested ID already exists.');
+        }
+
+        const now = new Date().toISOString();
+        const document = {
+            ...this.getData(data),
+            $id: id,
+            $collectionId: collectionId,
+            $databaseId: this.config.DATABASE_ID,
+            $createdAt: now,
+            $updatedAt: now,
+            $permissions: Array.isArray(permissions) ? [...permissions] : []
+        };
+        documents.push(document);
+        this.persist();
+        return this.clone(document);
+    }
+
+    async updateDocument(collectionId, documentId, data) {
+        const document = await this.findDocument(collectionId, documentId);
+        Object.assign(document, this.getData(data), { $updatedAt: new Date().toISOString() });
+        this.persist();
+        return this.clone(document);
+    }
+
+    async deleteDocument(collectionId, documentId) {
+        const documents = await this.getCollection(collectionId);
+        const document = await this.findDocument(collectionId, documentId);
+        documents.splice(documents.indexOf(document), 1);
+        this.persist();
+        return {};
+    }
+}
+
+/**
+ * The Appwrite.Account methods the app uses, against the memory backend's users.
+ * Recovery emails are not sent; the reset link is logged to the console instead.
+ */
+class MemoryAccount {
+    constructor(backend) {
+        this.backend = backend;
+        this.MIN_PASSWORD_LENGTH = 8;
+        this.RECOVERY_URL_TTL = 60 * 60 * 1000; // 1 hour, as Appwrite
+    }
+
+    toUser(user) {
+        return {
+            $id: user.$id,
+            $createdAt: user.$createdAt,
+            $updatedAt: user.$updatedAt,
+            name: user.name || '',
+            email: user.email,
+            phone: user.phone || '',
+            emailVerification: !!user.emailVerification,
+            phoneVerification: false,
+            status: true,
+            labels: [],
+            prefs: user.prefs || {}
+        };
+    }
+
+    async getSessionUser() {
+        const state = await this.backend.load();
+        const user = state.session && state.users.find(u => u.$id === state.session.userId);
+        if (!user) {
+            throw this.backend.createError(401, 'general_unauthorized_scope', 'User (role: guests) missing scope (account)');
+        }
+        return user;
+    }
+
+    async get() {
+        return this.toUser(await this.getSessionUser());
+    }
+
+    async create(userId, email, password, name = '') {
+        const state = await this.backend.load();
+        const normalizedEmail = String(email || '').trim().toLowerCase();
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+            throw this.backend.createError(400, 'general_argument_invalid', 'Invalid `email` param: Value must be a valid email address');
+        }
+        if (!password || password.length < this.MIN_PASSWORD_LENGTH) {
+            throw this.backend.createError(400, 'general_argument_invalid', 'Invalid `password` param: Password must be at least 8 characters');
+        }
+        if (state.users.some(user => user.email === normalizedEmail || user.$id === userId)) {
+            throw this.backend.createError(409, 'user_already_exists', 'A user with the same id, email, or phone already exists in this project.');
+        }
+
+        const now = new Date().toISOString();
+        const user = {
+            $id: !userId || userId === 'unique()' ? MemoryID.unique() : userId,
+            email: normalizedEmail,
+            password,
+            name,
+            $createdAt: now,
+            $updatedAt: now
+        };
+        state.users.push(user);
+        this.backend.persist();
+        return this.toUser(user);
+    }
+
+    async createEmailPasswordSession(email, password) {
+        const state = await this.backend.load();
+        if (state.session) {
+            throw this.backend.createError(401, 'user_session_already_exists', 'Creation of a session is prohibited when a session is active.');
+        }
+
+        const user = state.users.find(u => u.email === String(email || '').trim().toLowerCase());
+        if (!user || user.password !== password) {
+            throw this.backend.createError(401, 'user_invalid_credentials', 'Invalid credentials. Please check the email and password.');
+        }
+
+        state.session = {
+            $id: MemoryID.unique(),
+            $createdAt: new Date().toISOString(),
+            userId: user.$id,
+            provider: 'email',
+            current: true
+        };
+        this.backend.persist();
+        return this.backend.clone(state.session);
+    }
+
+    async listSessions() {
+        await this.getSessionUser();
+        const { session } = this.backend.state;
+        return { total: 1, sessions: [this.backend.clone(session)] };
+    }
+
+    async deleteSession(sessionId) {
+        const state = await this.backend.load();
+        if (!state.session || (sessionId !== 'current' && sessionId !== state.session.$id)) {
+            throw this.backend.createError(404, 'user_session_not_found', 'The current user session could not be found.');
+        }
+        state.session = null;
+        this.backend.persist();
+        return {};
+    }
+
+    async createRecovery(email, url) {
+        const state = await this.backend.load();
+        const user = state.users.find(u => u.email === String(email || '').trim().toLowerCase());
+        if (!user) {
+            throw this.backend.createError(404, 'user_not_found', 'User with the requested ID could not be found.');
+        }
+
+        const token = {
+            $id: MemoryID.unique(),
+            $createdAt: new Date().toISOString(),
+            userId: user.$id,
+            secret: `${MemoryID.unique()}${MemoryID.unique()}`,
+            expire: new Date(Date.now() + this.RECOVERY_URL_TTL).toISOString()
+        };
+        state.recoveries = (state.recoveries || []).filter(r => r.userId !== user.$id).concat(token);
+        this.backend.persist();
+
+        console.info(`🔑 Demo password reset link: ${url}?userId=${encodeURIComponent(token.userId)}&secret=${encodeURIComponent(token.secret)}`);
+        return { ...this.backend.clone(token), secret: '' };
+    }
+
+    async updateRecovery(userId, secret, password) {
+        const state = await this.backend.load();
+        const token = (state.recoveries || []).find(r => r.userId === userId && r.secret === secret);
+        if (!token || new Date(token.expire).getTime() < Date.now()) {
+            throw this.backend.createError(401, 'user_invalid_token', 'Invalid token passed in the request.');
+        }
+        if (!password || password.length < this.MIN_PASSWORD_LENGTH) {
+            throw this.backend.createError(400, 'general_argument_invalid', 'Invalid `password` param: Password must be at least 8 characters');
+        }
+
+        const user = state.users.find(u => u.$id === userId);
+        user.password = password;
+        user.$updatedAt = new Date().toISOString();
+        state.recoveries = state.recoveries.filter(r => r !== token);
+        this.backend.persist();
+        return { $id: token.$id, userId, secret: '', expire: token.expire };
+    }
+}
+
+/**
+ * The named collections and the account over one backend
+ */
+class DataStore {
+    constructor(backend) {
+        this.backend = backend;
+        this.name = backend.name;
+        this.account = backend.account;
+        this.collections = new Map();
+
+        Object.entries(DATA_COLLECTIONS).forEach(([name, key]) => {
+            this[name] = this.collection(backend.config[key]);
+        });
+    }
+
+    // Any other table, by its ID (e.g. appwriteConfig.RETURNS_TABLE)
+    collection(collectionId) {
+        if (!this.collections.has(collectionId)) {
+            this.collections.set(collectionId, new DataCollection(this.backend, collectionId));
+        }
+        return this.collections.get(collectionId);
+    }
+}
+
+function isDevelopmentHost() {
+    try {
+        return DEV_HOSTS.includes(window.location.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * The backend name for this browser: appwriteConfig.DATA_BACKEND. On a development host
+ * ?backend=... switches it and is remembered; elsewhere the query string is ignored and
+ * a choice remembered by an earlier version is dropped.
+ */
+function getDataBackendName(config) {
+    const names = ['appwrite', 'memory'];
+    try {
+        if (!isDevelopmentHost()) {
+            localStorage.removeItem(DATA_BACKEND_KEY);
+        } else {
+            const requested = new URLSearchParams(window.location.search).get('backend');
+            if (names.includes(requested)) localStorage.setItem(DATA_BACKEND_KEY, requested);
+
+            const saved = localStorage.getItem(DATA_BACKEND_KEY);
+            if (names.includes(saved)) return saved;
+        }
+    } catch (error) {
+        // No location or storage - use the configured backend
+    }
+    return names.includes(config.DATA_BACKEND) ? config.DATA_BACKEND : 'appwrite';
+}
+
+// A strip across the top of every page while the memory backend is in use, so the demo
+// data is never taken for the live service
+function showDemoModeBanner() {
+    if (typeof document === 'undefined') return;
+
+    const show = () => {
+        const banner = document.createElement('div');
+        banner.id = 'demo-mode-banner';
+        banner.className = 'fixed top-0 inset-x-0 bg-yellow-400 text-gray-900 text-center text-sm font-medium px-4 py-1 z-50';
+        banner.innerHTML = 'Demo mode: orders placed here are not sent to any branch.' +
+            (isDevelopmentHost() ? ' <a href="?backend=appwrite" class="underline">Leave demo mode</a>' : '');
+        document.body.appendChild(banner);
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', show);
+    } else {
+        show();
+    }
+}
+
+/**
+ * A DataStore for `name` ('appwrite' | 'memory'). options go to MemoryBackend
+ * ({ fixtures, storage, storageKey }). Null when Appwrite is asked for but the SDK isn't loaded.
+ */
+function createDataStore(config, name = 'appwrite', options = {}) {
+    if (name === 'memory') {
+        return new DataStore(new MemoryBackend(config, options));
+    }
+    if (!config.databases || !config.account) {
+        console.error('❌ Appwrite SDK not initialized - the data backend is unavailable');
+        return null;
+    }
+    return new DataStore(new AppwriteBackend(config));
+}
+
+// Pick the backend for this page and, for the memory backend, replace the SDK globals
+if (typeof window !== 'undefined' && window.appwriteConfig) {
+    const config = window.appwriteConfig;
+    const dataStore = createDataStore(config, getDataBackendName(config));
+
+    if (dataStore && dataStore.name === 'memory') {
+        const { backend } = dataStore;
+        Object.assign(config, {
+            account: backend.account,
+            databases: backend.databases,
+            storage: null,
+            client: null,
+            ID: MemoryID,
+            Query: MemoryQuery
+        });
+        window.account = backend.account;
+        window.databases = backend.databases;
+        window.storage = null;
+        window.client = null;
+        window.ID = MemoryID;
+        window.Query = MemoryQuery;
+        console.log('🧪 Using the in-memory data backend (fixtures:', config.FIXTURES_URL + ')');
+        showDemoModeBanner();
+    }
+
+    window.dataStore = dataStore;
+}
+
+// Make the data layer globally available
+if (typeof window !== 'undefined') {
+    window.DataStore = DataStore;
+    window.DataCollection = DataCollection;
+    window.AppwriteBackend = AppwriteBackend;
+    window.MemoryBackend = MemoryBackend;
+    window.MemoryQuery = MemoryQuery;
+    window.MemoryID = MemoryID;
+    window.createDataStore = createDataStore;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATA_COLLECTIONS,
+        DataStore,
+        DataCollection,
+        AppwriteBackend,
+        MemoryBackend,
+        MemoryAccount,
+        MemoryQuery,
+        MemoryID,
+        createDataStore,
+        getDataBackendName
+    };
+}
@@ -0,0 +1,144 @@
+/**
+ * Delivery Fee
+ * Per-branch delivery fee schedules (base fee, per-km rate, free-delivery threshold
+ * and maximum radius) and the straight-line (haversine) distance from the branch to
+ * the recipient's geocoded address. Fees are in pesewas (js/money.js).
+ */
+
+class DeliveryFee {
+    constructor() {
+        this.EARTH_RADIUS_KM = 6371;
+        this.GEOCODE_URL = 'https://nominatim.openstreetmap.org/search';
+        this.geocodeCache = new Map();
+    }
+
+    // Distance in km between two coordinates (haversine formula)
+    calculateDistance(lat1, lng1, lat2, lng2) {
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLng = (lng2 - lng1) * Math.PI / 180;
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        return this.EARTH_RADIUS_KM * c;
+    }
+
+    // Distances are charged and stored to 0.1 km
+    roundDistance(distanceKm) {
+        return Math.round(Number(distanceKm) * 10) / 10;
+    }
+
+    /**
+     * A branch's fee schedule from its delivery_base_fee, delivery_fee_per_km,
+     * free_delivery_threshold (subtotal, cedis) and max_delivery_radius_km fields.
+     * A threshold or radius of 0 means none. Null for branches without a schedule.
+     */
+    getSchedule(branch) {
+        const isSet = value => value !== undefined && value !== null && value !== '';
+        if (!branch || (!isSet(branch.delivery_base_fee) && !isSet(branch.delivery_fee_per_km))) {
+            return null;
+        }
+
+        return {
+            baseFee: Number(branch.delivery_base_fee) || 0,
+            perKm: Number(branch.delivery_fee_per_km) || 0,
+            freeThreshold: Number(branch.free_delivery_threshold) || 0,
+            maxRadiusKm: Number(branch.max_delivery_radius_km) || 0
+        };
+    }
+
+    /**
+     * The fee for a distance and an items subtotal (pesewas). Returns null when there
+     * is no schedule or no distance, otherwise
+     * { available, reason, distanceKm, fee, free, message } where `reason` is
+     * "out_of_range" for an address outside the maximum radius.
+     */
+    quote(schedule, distanceKm, subtotal = 0) {
+        if (!schedule || distanceKm === null || distanceKm === undefined || !isFinite(distanceKm)) {
+            return null;
+        }
+
+        const distance = this.roundDistance(distanceKm);
+        if (schedule.maxRadiusKm > 0 && distance > schedule.maxRadiusKm) {
+            return {
+                available: false,
+                reason: 'out_of_range',
+                distanceKm: distance,
+                fee: 0,
+                free: false,
+                message: `This address is ${distance} km away, outside the ${schedule.maxRadiusKm} km delivery area.`
+            };
+        }
+
+        const money = window.money;
+        const free = schedule.freeThreshold > 0 && subtotal >= money.toPesewas(schedule.freeThreshold);
+        const fee = free ? 0 : money.toPesewas(schedule.baseFee) + Math.round(money.toPesewas(schedule.perKm) * distance);
+        return { available: true, reason: null, distanceKm: distance, fee, free, message: '' };
+    }
+
+    /**
+     * "Delivery Fee (3.2 km)" for the price summaries
+     */
+    getLabel(quote) {
+        return quote ? `Delivery Fee (${quote.distanceKm} km)` : 'Delivery Fee';
+    }
+
+    /**
+     * Coordinates ({ lat, lng }) of an address in Ghana, or null if it cannot be found
+     */
+    async geocode(address) {
+        const query = String(address || '').trim().replace(/\s+/g, ' ');
+        if (!query) return null;
+        if (this.geocodeCache.has(query)) return this.geocodeCache.get(query);
+
+        try {
+            const fullQuery = /ghana/i.test(query) ? query : `${query}, Ghana`;
+            const response = await fetch(`${this.GEOCODE_URL}?format=json&limit=1&countrycodes=gh&q=${encodeURIComponent(fullQuery)}`);
+            const results = await response.json();
+            const coords = results && results.length > 0
+                ? { lat: parseFloat(results[0].lat), lng: parseFloat(results[0].lon) }
+                : null;
+
+            this.geocodeCache.set(query, coords);
+            return coords;
+        } catch (error) {
+            // Not cached, so the next quote tries again
+            console.warn('⚠️ Could not geocode delivery address:', error);
+            return null;
+        }
+    }
+
+    /**
+     * A branch's stored latitude/longitude, or its geocoded location
+     */
+    async getBranchCoordinates(branch) {
+        const lat = parseFloat(branch.latitude);
+        const lng = parseFloat(branch.longitude);
+        if (isFinite(lat) && isFinite(lng)) return { lat, lng };
+
+        return branch.location ? this.geocode(branch.location) : null;
+    }
+
+    /**
+     * Distance in km (to 0.1 km) from a branch to a delivery address, or null if
+     * either cannot be located
+     */
+    async getDistanceToAddress(branch, address) {
+        const [from, to] = await Promise.all([
+            this.getBranchCoordinates(branch),
+            this.geocode(address)
+        ]);
+        if (!from || !to) return null;
+
+        return this.roundDistance(this.calculateDistance(from.lat, from.lng, to.lat, to.lng));
+    }
+}
+
+// Initialize delivery fee helper globally
+window.DeliveryFee = DeliveryFee;
+window.deliveryFee = new DeliveryFee();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeliveryFee;
+}
@@ -0,0 +1,111 @@
+/**
+ * Money
+ * Cedi amounts as integer pesewas (1 GH₵ = 100 pesewas). Prices are converted
+ * once, every sum is done on integers and amounts are only turned back into
+ * cedis for display, storage and the payment provider.
+ */
+
+class Money {
+    constructor() {
+        this.PESEWAS_PER_CEDI = 100;
+        this.SERVICE_FEE_PER_ITEM = 10; // GH₵0.10 per bag/pack/bottle
+        this.SYMBOL = 'GH₵';
+        // The built-in jsPDF fonts have no cedi sign
+        this.PDF_SYMBOL = 'GHS ';
+    }
+
+    /**
+     * Cedis (number or string such as "12.5") -> integer pesewas, rounded half up.
+     * Invalid or empty values count as 0.
+     */
+    toPesewas(amount) {
+        const value = Number(amount);
+        if (!isFinite(value)) return 0;
+
+        // toPrecision drops binary noise such as 1.005 * 100 = 100.49999999999999
+        return Math.round(Number((value * this.PESEWAS_PER_CEDI).toPrecision(12)));
+    }
+
+    /**
+     * Integer pesewas -> cedis as a number
+     */
+    toCedis(pesewas) {
+        return Math.round(pesewas) / this.PESEWAS_PER_CEDI;
+    }
+
+    /**
+     * Price per unit times quantity, in pesewas
+     */
+    lineTotal(price, quantity) {
+        return this.toPesewas(price) * (parseInt(quantity, 10) || 0);
+    }
+
+    serviceFee(quantity) {
+        return (parseInt(quantity, 10) || 0) * this.SERVICE_FEE_PER_ITEM;
+    }
+
+    /**
+     * Totals for a list of items in pesewas: { quantity, subtotal, serviceFee, total }.
+     * Items may use the checkout shape ({ price, quantity }) or the order item shape
+     * ({ productPrice, productQty }). Each line is rounded before it is summed.
+     */
+    calculateTotals(items) {
+        let quantity = 0;
+        let subtotal = 0;
+
+        (items || []).forEach(item => {
+            const qty = parseInt(item.quantity !== undefined ? item.quantity : item.productQty, 10) || 0;
+            const price = item.price !== undefined ? item.price : item.productPrice;
+            quantity += qty;
+            subtotal += this.lineTotal(price, qty);
+        });
+
+        const serviceFee = this.serviceFee(quantity);
+        return { quantity, subtotal, serviceFee, total: subtotal + serviceFee };
+    }
+
+    /**
+     * "12.30" for pesewas 1230, without floating point rounding
+     */
+    toAmountString(pesewas) {
+        const value = Math.round(Number(pesewas) || 0);
+        const sign = value < 0 ? '-' : '';
+        const absolute = Math.abs(value);
+        const cedis = Math.floor(absolute / this.PESEWAS_PER_CEDI);
+        const rest = String(absolute % this.PESEWAS_PER_CEDI).padStart(2, '0');
+        return `${sign}${cedis}.${rest}`;
+    }
+
+    /**
+     * Display form of a pesewa amount: "GH₵1,234.50"
+     */
+    format(pesewas, symbol = this.SYMBOL) {
+        const amount = this.toAmountString(pesewas);
+        const sign = amount.startsWith('-') ? '-' : '';
+        const [cedis, rest] = amount.replace('-', '').split('.');
+        return `${sign}${symbol}${cedis.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${rest}`;
+    }
+
+    /**
+     * Display form of an amount held in cedis (prices and stored order totals)
+     */
+    formatAmount(amount, symbol = this.SYMBOL) {
+        return this.format(this.toPesewas(amount), symbol);
+    }
+
+    /**
+     * Same as format() with the PDF_SYMBOL prefix for receipts drawn with jsPDF
+     */
+    formatForPdf(pesewas) {
+        return this.format(pesewas, this.PDF_SYMBOL);
+    }
+}
+
+// Initialize money helper globally
+window.Money = Money;
+window.money = new Money();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Money;
+}
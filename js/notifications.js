@@ -27,10 +27,12 @@ class ScheduleNotificationManager {
             document.addEventListener('DOMContentLoaded', () => {
                 // console.log('📄 DOMContentLoaded fired, setting up notifications...');
                 this.setupNotifications();
+                this.startOrderUpdates();
             });
         } else {
             // console.log('📄 DOM already loaded, setting up notifications immediately...');
             this.setupNotifications();
+            this.startOrderUpdates();
         }
         
         // Listen for storage changes (cross-tab synchronization)
@@ -43,14 +45,26 @@ class ScheduleNotificationManager {
             }
         });
         
-        // Check for order updates periodically
+        // // console.log('✅ Notification manager initialization complete');
+    }
+
+    // Follow order updates live (js/orderRealtime.js, which keeps the cache current);
+    // pages without it re-read the cache periodically
+    startOrderUpdates() {
+        if (window.orderRealtime) {
+            window.orderRealtime.onChange(() => {
+                this.loadOrders();
+                this.updateNotifications();
+            });
+            window.orderRealtime.startForCurrentUser();
+            return;
+        }
+
         setInterval(() => {
             // console.log('⏰ Periodic check for order updates...');
             this.loadOrders();
             this.updateNotifications();
         }, 2000);
-        
-        // // console.log('✅ Notification manager initialization complete');
     }
 
     playBellSound() {
@@ -210,8 +224,12 @@ class ScheduleNotificationManager {
             completed: 0
         };
 
+        // Orders being prepared or ready count as accepted
+        const aliases = { preparing: 'accepted', ready: 'accepted' };
+
         this.orders.forEach(order => {
-            const status = (order.status || '').toLowerCase();
+            const rawStatus = (order.status || '').toLowerCase();
+            const status = aliases[rawStatus] || rawStatus;
             if (counts.hasOwnProperty(status)) {
                 counts[status]++;
             }
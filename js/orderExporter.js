@@ -0,0 +1,268 @@
+/**
+ * Order Exporter
+ * A customer's orders with their items and recipients (read through OrderManager) as
+ * CSV, one row per order or per item, or as JSON. Order totals, delivery fees and
+ * discounts are the stored values; subtotals and service fees are counted from the
+ * items. Amounts are written in cedis with two decimals ("12.30").
+ */
+
+class OrderExporter {
+    constructor(orderManager = null) {
+        this.orderManager = orderManager || new window.OrderManager();
+        this.FORMATS = ['csv', 'json'];
+        this.ROW_TYPES = ['order', 'item'];
+    }
+
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    amount(value) {
+        return window.money.toAmountString(window.money.toPesewas(value || 0));
+    }
+
+    getStatusLabel(status) {
+        return window.orderStatus
+            ? window.orderStatus.getLabel(window.orderStatus.normalize(status) || 'pending')
+            : String(status || 'pending');
+    }
+
+    /**
+     * Orders matching the filters, newest first, each as { order, items, recipient, branchName }.
+     * filters: { customerId, from, to, statuses } where from/to are "YYYY-MM-DD" dates
+     * the orders were placed on and statuses a list of js/orderStatus.js states.
+     */
+    async collect({ customerId, from = null, to = null, statuses = [] } = {}) {
+        if (!customerId) {
+            throw this.createError('not_signed_in', 'Sign in to export your orders.');
+        }
+        if (from && to && from > to) {
+            throw this.createError('invalid_range', 'The start date must be on or before the end date.');
+        }
+
+        const orders = await this.orderManager.getAllOrders({ customerId, from, to, status: statuses });
+        const orderIds = orders.map(order => order.$id);
+        const [items, recipients, branchNames] = await Promise.all([
+            this.orderManager.getItemsForOrders(orderIds),
+            this.orderManager.getRecipientsForOrders(orderIds),
+            this.getBranchNames()
+        ]);
+
+        const itemsByOrder = new Map();
+        items.forEach(item => {
+            if (!itemsByOrder.has(item.orderId)) itemsByOrder.set(item.orderId, []);
+            itemsByOrder.get(item.orderId).push(item);
+        });
+
+        return orders.map(order => ({
+            order,
+            items: itemsByOrder.get(order.$id) || [],
+            recipient: recipients.get(order.$id) || null,
+            branchName: branchNames.get(order.branch_id) || order.branch_id || ''
+        }));
+    }
+
+    // Branch ID -> "Company (Branch)" from CompanyDataManager, empty if it isn't loaded
+    async getBranchNames() {
+        const names = new Map();
+        if (!window.companyDataManager) return names;
+
+        try {
+            const companies = await window.companyDataManager.fetchCompanyData();
+            (companies || []).forEach(company => {
+                const branchName = company.branch_name && company.branch_name !== company.name ? ` (${company.branch_name})` : '';
+                names.set(company.branch_id, `${company.name}${branchName}`);
+            });
+        } catch (error) {
+            console.warn('⚠️ Could not load branch names for the export:', error);
+        }
+        return names;
+    }
+
+    /**
+     * Columns of the per-order CSV: [header, value(record)]
+     */
+    getOrderColumns() {
+        return [
+            ['Order ID', ({ order }) => order.$id],
+            ['Checkout ID', ({ order }) => order.checkoutId || ''],
+            ['Placed', ({ order }) => order.$createdAt],
+            ['Delivery date', ({ order }) => order.deliveryDate || ''],
+            ['Delivery time', ({ order }) => order.deliveryTime || ''],
+            ['Status', ({ order }) => this.getStatusLabel(order.orderStatus)],
+            ['Branch', ({ branchName }) => branchName],
+            ['Recipient', ({ order, recipient }) => (recipient && recipient.recipient_name) || order.deliveryName || ''],
+            ['Recipient phone', ({ recipient }) => (recipient && recipient.recipient_phone) || ''],
+            ['Delivery address', ({ order, recipient }) => (recipient && recipient.recipient_address) || order.deliveryAddress || ''],
+            ['Payment method', ({ order }) => order.paymentMethod || ''],
+            ['Transaction ID', ({ order }) => order.transactionId || ''],
+            ['Items', ({ items }) => window.money.calculateTotals(items).quantity],
+            ['Subtotal', ({ items }) => window.money.toAmountString(window.money.calculateTotals(items).subtotal)],
+            ['Service fee', ({ items }) => window.money.toAmountString(window.money.calculateTotals(items).serviceFee)],
+            ['Delivery fee', ({ order }) => this.amount(order.deliveryFee)],
+            ['Discount', ({ order }) => this.amount(order.discountAmount)],
+            ['Promo code', ({ order }) => order.promoCode || ''],
+            ['Total', ({ order }) => this.amount(order.total)]
+        ];
+    }
+
+    /**
+     * Columns of the per-item CSV. The order total is only on an order's first row,
+     * so the column adds up to the stored totals.
+     */
+    getItemColumns() {
+        return [
+            ['Order ID', ({ order }) => order.$id],
+            ['Placed', ({ order }) => order.$createdAt],
+            ['Delivery date', ({ order }) => order.deliveryDate || ''],
+            ['Status', ({ order }) => this.getStatusLabel(order.orderStatus)],
+            ['Branch', ({ branchName }) => branchName],
+            ['Product', ({ item }) => item ? item.productName || '' : ''],
+            ['Product type', ({ item }) => item ? item.productType || '' : ''],
+            ['Unit price', ({ item }) => item ? this.amount(item.productPrice) : ''],
+            ['Quantity', ({ item }) => item ? parseInt(item.productQty, 10) || 0 : ''],
+            ['Line total', ({ item }) => item ? window.money.toAmountString(window.money.lineTotal(item.productPrice, item.productQty)) : ''],
+            ['Order total', ({ order, first }) => first ? this.amount(order.total) : '']
+        ];
+    }
+
+    /**
+     * A CSV cell: quoted when needed, and text that a spreadsheet would run as a
+     * formula (=, +, -, @) is prefixed with an apostrophe
+     */
+    toCsvCell(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return String(value);
+
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * CSV text (RFC 4180, with a byte order mark for Excel), one row per order or per item
+     */
+    toCsv(records, rowType = 'order') {
+        const columns = rowType === 'item' ? this.getItemColumns() : this.getOrderColumns();
+        const rows = rowType === 'item'
+            ? records.flatMap(record => (record.items.length > 0 ? record.items : [null])
+                .map((item, index) => ({ ...record, item, first: index === 0 })))
+            : records;
+
+        const lines = [columns.map(([header]) => header)]
+            .concat(rows.map(row => columns.map(([, value]) => value(row))))
+            .map(cells => cells.map(cell => this.toCsvCell(cell)).join(','));
+
+        return `\uFEFF${lines.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * JSON text with the filters, a summary and every order with its items and recipient
+     */
+    toJson(records, filters = {}) {
+        const money = window.money;
+        const total = records.reduce((sum, { order }) => sum + money.toPesewas(order.total || 0), 0);
+
+        const orders = records.map(({ order, items, recipient, branchName }) => {
+            const totals = money.calculateTotals(items);
+            return {
+                orderId: order.$id,
+                checkoutId: order.checkoutId || null,
+                placedAt: order.$createdAt,
+                deliveryDate: order.deliveryDate || null,
+                deliveryTime: order.deliveryTime || null,
+                status: window.orderStatus ? window.orderStatus.normalize(order.orderStatus) || 'pending' : order.orderStatus,
+                branchId: order.branch_id || null,
+                branch: branchName,
+                paymentMethod: order.paymentMethod || null,
+                transactionId: order.transactionId || null,
+                recipient: recipient ? {
+                    name: recipient.recipient_name || '',
+                    phone: recipient.recipient_phone || '',
+                    email: recipient.recipient_email || '',
+                    address: recipient.recipient_address || ''
+                } : null,
+                items: items.map(item => ({
+                    productId: item.productId || null,
+                    name: item.productName || '',
+                    type: item.productType || '',
+                    unitPrice: this.amount(item.productPrice),
+                    quantity: parseInt(item.productQty, 10) || 0,
+                    lineTotal: money.toAmountString(money.lineTotal(item.productPrice, item.productQty))
+                })),
+                subtotal: money.toAmountString(totals.subtotal),
+                serviceFee: money.toAmountString(totals.serviceFee),
+                deliveryFee: this.amount(order.deliveryFee),
+                deliveryDistanceKm: order.deliveryDistance ?? null,
+                discount: this.amount(order.discountAmount),
+                promoCode: order.promoCode || null,
+                total: this.amount(order.total)
+            };
+        });
+
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            currency: 'GHS',
+            filters: {
+                from: filters.from || null,
+                to: filters.to || null,
+                statuses: filters.statuses && filters.statuses.length > 0 ? filters.statuses : null
+            },
+            summary: {
+                orders: records.length,
+                items: records.reduce((sum, { items }) => sum + money.calculateTotals(items).quantity, 0),
+                total: money.toAmountString(total)
+            },
+            orders
+        }, null, 2);
+    }
+
+    getFilename(format, { from = null, to = null } = {}) {
+        const range = from || to ? `_${from || 'start'}_to_${to || 'today'}` : '';
+        return `phluowise_orders${range}.${format}`;
+    }
+
+    download(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Export and download the customer's orders.
+     * options: { customerId, from, to, statuses, format: 'csv' | 'json', rowType: 'order' | 'item' }
+     * Resolves to the number of orders exported; nothing is downloaded when none match.
+     */
+    async exportOrders(options = {}) {
+        const format = this.FORMATS.includes(options.format) ? options.format : 'csv';
+        const records = await this.collect(options);
+        if (records.length === 0) return 0;
+
+        if (format === 'json') {
+            this.download(this.toJson(records, options), this.getFilename('json', options), 'application/json');
+        } else {
+            const rowType = this.ROW_TYPES.includes(options.rowType) ? options.rowType : 'order';
+            this.download(this.toCsv(records, rowType), this.getFilename('csv', options), 'text/csv;charset=utf-8');
+        }
+
+        return records.length;
+    }
+}
+
+// Make OrderExporter globally available
+window.OrderExporter = OrderExporter;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderExporter;
+}
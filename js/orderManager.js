@@ -6,8 +6,8 @@ class OrderManager {
         "Appwrite configuration not initialized. Make sure appwriteConfig.js is loaded before OrderManager."
       );
     }
-    if (!window.databases) {
-      throw new Error("Appwrite Databases SDK not initialized.");
+    if (!window.dataStore) {
+      throw new Error("Data backend not initialized. Make sure dataBackend.js is loaded after appwriteConfig.js.");
     }
     if (!window.ID) {
       throw new Error("Appwrite ID SDK not initialized.");
@@ -15,13 +15,52 @@ class OrderManager {
     if (!window.Query) {
       throw new Error("Appwrite Query SDK not initialized.");
     }
+    if (!window.money) {
+      throw new Error("Money helper not initialized. Make sure money.js is loaded before OrderManager.");
+    }
 
     this.config = window.appwriteConfig;
-    this.databases = window.databases;
+    this.data = window.dataStore; // js/dataBackend.js
     this.ID = window.ID;
     this.Query = window.Query;
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1 second
+    this.PAGE_SIZE = 25; // Orders per page for queryOrders
+    this.MAX_PAGE_SIZE = 100; // Appwrite's per-request limit
+    this.ITEM_CONCURRENCY = 4; // Order items written in parallel
+    this.MAX_CHECKOUT_BRANCHES = 36; // Branch orders per checkout (getCheckoutOrderKey)
+    this.MAX_CHECKOUT_LINES = 100; // Lines per branch order of a checkout
+
+    // Container returns (see the returns section below)
+    this.RETURNABLE_TYPES = ["dispenser", "large-bottle"];
+    this.RETURN_REASONS = {
+      empty_container: "Empty container",
+      damaged: "Damaged",
+      wrong_item: "Wrong item",
+      other: "Other",
+    };
+    // from -> { to: [actors allowed to make the move] }
+    this.RETURN_TRANSITIONS = {
+      requested: { approved: ["company"], rejected: ["company"], cancelled: ["customer"] },
+      approved: { picked_up: ["company"], cancelled: ["customer", "company"] },
+      picked_up: { refunded: ["company"], exchanged: ["company"] },
+      refunded: {},
+      exchanged: {},
+      rejected: {},
+      cancelled: {},
+    };
+    this.RETURN_STATUS_LABELS = {
+      requested: "Requested",
+      approved: "Approved",
+      picked_up: "Picked up",
+      refunded: "Refunded",
+      exchanged: "Exchanged",
+      rejected: "Rejected",
+      cancelled: "Cancelled",
+    };
+
+    // Documents returned by createDocumentOnce that already existed (replays)
+    this.replayedDocuments = new WeakSet();
 
     // Log successful initialization
     console.log("✅ OrderManager initialized successfully");
@@ -49,6 +88,65 @@ class OrderManager {
     }
   }
 
+  // Generate an idempotency key for one checkout. It is reused as the order's
+  // document ID, so it has to fit the 20 character orderId limit (16 chars).
+  static generateIdempotencyKey() {
+    const timestamp = Date.now().toString(36).slice(-8).padStart(8, "0");
+    const random = Math.random().toString(36).substr(2, 8).padEnd(8, "0");
+    return timestamp + random;
+  }
+
+  generateIdempotencyKey() {
+    return OrderManager.generateIdempotencyKey();
+  }
+
+  // Create a document with a caller-chosen ID. If the ID is already taken
+  // (409) the write happened before - return the stored document instead.
+  async createDocumentOnce(collectionId, documentId, data) {
+    try {
+      return await this.data.collection(collectionId).create(documentId, data);
+    } catch (error) {
+      if (error.code !== 409) {
+        throw error;
+      }
+
+      console.log(
+        `♻️ ${collectionId} document ${documentId} already exists, returning it`
+      );
+      const existing = await this.data.collection(collectionId).get(documentId);
+      this.replayedDocuments.add(existing);
+      return existing;
+    }
+  }
+
+  // Whether a document came back from a replayed (already applied) write
+  isReplayedDocument(document) {
+    return !!document && this.replayedDocuments.has(document);
+  }
+
+  // Generate unique ID with fallback method (max 20 chars)
+  generateDocumentId(label = "id") {
+    try {
+      const uniqueId = this.ID.unique();
+      console.log(`🔍 Generated unique ${label} via Appwrite:`, uniqueId);
+
+      // If ID.unique() returns "unique()", use fallback method
+      if (uniqueId === "unique()") {
+        throw new Error("Appwrite ID.unique() not working properly");
+      }
+      return uniqueId;
+    } catch (error) {
+      console.log("🔍 Using fallback ID generation method");
+      // Generate shorter ID: timestamp (last 8 digits) + random (6 chars) = max 14 chars
+      const timestamp = Date.now().toString().slice(-8);
+      const random = Math.random().toString(36).substr(2, 6);
+      const fallbackId = timestamp + random;
+      console.log(`🔍 Generated fallback ${label}:`, fallbackId);
+      console.log(`🔍 Fallback ${label} length:`, fallbackId.length);
+      return fallbackId;
+    }
+  }
+
   // Create a new order
   async createOrder(orderData) {
     try {
@@ -58,24 +156,13 @@ class OrderManager {
       );
       console.log("🔍 OrderManager.createOrder - orderData:", orderData);
 
-      // Generate unique ID with fallback method (max 20 chars)
-      let uniqueOrderId;
-      try {
-        uniqueOrderId = this.ID.unique();
-        console.log("🔍 Generated unique orderId via Appwrite:", uniqueOrderId);
-
-        // If ID.unique() returns "unique()", use fallback method
-        if (uniqueOrderId === "unique()") {
-          throw new Error("Appwrite ID.unique() not working properly");
-        }
-      } catch (error) {
-        console.log("🔍 Using fallback ID generation method");
-        // Generate shorter ID: timestamp (last 8 digits) + random (6 chars) = max 14 chars
-        const timestamp = Date.now().toString().slice(-8);
-        const random = Math.random().toString(36).substr(2, 6);
-        uniqueOrderId = timestamp + random;
-        console.log("🔍 Generated fallback orderId:", uniqueOrderId);
-        console.log("🔍 Fallback orderId length:", uniqueOrderId.length);
+      // Use the checkout's idempotency key as the order ID when present,
+      // otherwise generate unique ID with fallback method (max 20 chars)
+      let uniqueOrderId = orderData.idempotencyKey || null;
+      if (uniqueOrderId) {
+        console.log("🔍 Using idempotency key as orderId:", uniqueOrderId);
+      } else {
+        uniqueOrderId = this.generateDocumentId("orderId");
       }
 
       const order = {
@@ -97,20 +184,47 @@ class OrderManager {
         transactionId: orderData.transactionId || "",
         deliveryName: orderData.deliveryName,
         deliveryOrgType: orderData.deliveryOrgType || "",
-        total: String(Number(orderData.total || 0).toFixed(2)), // Convert to string with 2 decimals
+        total: window.money.toAmountString(window.money.toPesewas(orderData.total)), // "12.30", from pesewas
       };
 
+      // Orders placed together from a multi-branch basket share the parent checkout ID
+      if (orderData.checkoutId) {
+        order.checkoutId = orderData.checkoutId;
+      }
+
+      // The delivery fee (js/deliveryFee.js) and the distance it was charged for
+      if (orderData.delivery) {
+        order.deliveryFee = window.money.toAmountString(orderData.delivery.fee);
+        order.deliveryDistance = orderData.delivery.distanceKm;
+      }
+
+      // The promotion applied at checkout (js/promotionManager.js), kept for receipts
+      if (orderData.promotion) {
+        order.discountAmount = window.money.toAmountString(orderData.promotion.amount);
+        order.promoCode = orderData.promotion.code || "";
+        order.promotionId = orderData.promotion.promotionId;
+      }
+
       console.log("🔍 Final order object total:", order.total);
       console.log("🔍 Final order object with orderId:", order.orderId);
 
-      const result = await this.databases.createDocument(
-        this.config.DATABASE_ID,
-        this.config.ORDERS_TABLE,
-        uniqueOrderId,
-        order
-      );
+      // Keyed writes are safe to retry: a repeat returns the existing order
+      const result = orderData.idempotencyKey
+        ? await this.retryOperation(() =>
+            this.createDocumentOnce(
+              this.config.ORDERS_TABLE,
+              uniqueOrderId,
+              order
+            )
+          )
+        : await this.data.orders.create(uniqueOrderId, order);
 
-      console.log("✅ Order created:", result.$id);
+      console.log(
+        this.isReplayedDocument(result)
+          ? "♻️ Order already existed:"
+          : "✅ Order created:",
+        result.$id
+      );
       console.log("✅ Order total in result:", result.total);
       return result;
     } catch (error) {
@@ -120,7 +234,8 @@ class OrderManager {
   }
 
   // Create purchase recipient information
-  async createPurchaseRecipientInfo(orderId, recipientData) {
+  // With an idempotency key the document ID is derived from it, so a replay returns the same record.
+  async createPurchaseRecipientInfo(orderId, recipientData, idempotencyKey = null) {
     try {
       console.log("🔍 Creating purchase recipient info...");
       console.log("🔍 Order ID:", orderId);
@@ -128,16 +243,14 @@ class OrderManager {
       console.log("🔍 Table:", this.config.PURCHASE_RECIPIENT_TABLE);
       console.log("🔍 Database:", this.config.DATABASE_ID);
 
+      const contact = this.normalizeRecipientContact(recipientData);
+
       const recipientInfo = {
         order_id: orderId,
         purchase_recipient_type: recipientData.purchase_recipient_type || "you",
         recipient_name: recipientData.recipient_name || "",
-        recipient_phone: recipientData.recipient_phone || "",
-        recipient_email:
-          recipientData.recipient_email &&
-          recipientData.recipient_email.trim() !== ""
-            ? recipientData.recipient_email
-            : null,
+        recipient_phone: contact.phone,
+        recipient_email: contact.email,
         recipient_address: recipientData.recipient_address || "",
         recipient_type: recipientData.recipient_type || "",
         business_name: recipientData.business_name || "",
@@ -148,12 +261,15 @@ class OrderManager {
 
       console.log("🔍 Final recipient info object:", recipientInfo);
 
-      const result = await this.databases.createDocument(
-        this.config.DATABASE_ID,
-        this.config.PURCHASE_RECIPIENT_TABLE,
-        this.ID.unique(),
-        recipientInfo
-      );
+      const result = idempotencyKey
+        ? await this.retryOperation(() =>
+            this.createDocumentOnce(
+              this.config.PURCHASE_RECIPIENT_TABLE,
+              `${idempotencyKey}r`,
+              recipientInfo
+            )
+          )
+        : await this.data.recipients.create(this.ID.unique(), recipientInfo);
 
       console.log("✅ Purchase recipient info created:", result.$id);
       return result;
@@ -164,116 +280,204 @@ class OrderManager {
     }
   }
 
-  // Create order items for a specific order
-  async createOrderItems(orderId, items, orderData) {
+  // Build the order_items document for one cart item
+  buildOrderItem(orderId, item, index, orderData) {
+    console.log("🔍 Processing item for orderItem:", item);
+
+    // Derive the item ID from the checkout's idempotency key (max 20 chars),
+    // otherwise generate unique ID using timestamp and random number as fallback
+    const idempotencyKey = (orderData && orderData.idempotencyKey) || null;
+    let uniqueOrderItemId = idempotencyKey ? `${idempotencyKey}i${index}` : null;
+    if (uniqueOrderItemId) {
+      console.log("🔍 Using keyed orderItemId:", uniqueOrderItemId);
+    } else {
+      uniqueOrderItemId = this.generateDocumentId("orderItemId");
+    }
+
+    // Get product name with better fallbacks to handle undefined
+    let productName =
+      item.name ||
+      item.productName ||
+      item.product_name ||
+      item.type ||
+      "Unknown Product";
+
+    // Handle case where name might be undefined or empty
+    if (
+      !productName ||
+      productName === "undefined" ||
+      productName.trim() === ""
+    ) {
+      productName = item.type || "Service Product";
+    }
+
+    console.log("🔍 Final product name to use:", productName);
+
+    return {
+      orderItemId: uniqueOrderItemId,
+      orderId: orderId,
+      branchId:
+        orderData.branch_id ||
+        orderData.branchId ||
+        item.branch_id ||
+        item.branchId,
+      productId: String(item.productId || item.id || "").substring(0, 20),
+      productName: productName,
+      productImage: (item.image || item.productImage || "").startsWith(
+        "http"
+      )
+        ? item.image || item.productImage
+        : "",
+      productType: item.type || item.productType || "default",
+      // The price applied to the order (the catalog price once priced by createCompleteOrder)
+      productPrice: Number(item.price ?? item.productPrice ?? 0),
+      productQty: Number(item.quantity || 1),
+      returnStatus: "none",
+      returnQty: 0,
+      returnComment: "",
+    };
+  }
+
+  // Normalise the recipient's phone (E.164) and email with js/contactValidation.js.
+  // Numbers typed in for someone else must be valid; the customer's own profile
+  // details ("you") may predate validation, so those are cleaned but not rejected.
+  // Returns { phone, email } and throws an error with code invalid_phone/invalid_email.
+  normalizeRecipientContact(recipientData) {
+    const phone = recipientData.recipient_phone || "";
+    const email =
+      recipientData.recipient_email && recipientData.recipient_email.trim() !== ""
+        ? recipientData.recipient_email
+        : null;
+    const contactValidation = window.contactValidation;
+
+    if (!contactValidation) {
+      return { phone, email };
+    }
+
+    const isSelf = (recipientData.purchase_recipient_type || "you") === "you";
+    const result = { phone, email };
+
+    if (phone) {
+      const parsedPhone = contactValidation.parsePhone(phone);
+      if (parsedPhone.valid) {
+        result.phone = parsedPhone.e164;
+      } else if (!isSelf) {
+        throw contactValidation.createError("phone", parsedPhone.error);
+      }
+    }
+
+    if (email) {
+      const parsedEmail = contactValidation.parseEmail(email);
+      if (parsedEmail.valid) {
+        result.email = parsedEmail.email;
+      } else if (!isSelf) {
+        throw contactValidation.createError("email", parsedEmail.error);
+      }
+    }
+
+    return result;
+  }
+
+  // Recipient info saved before contact validation: normalise the phone and
+  // email and write them back (best effort) so the next read is clean
+  async cleanStoredRecipientInfo(recipient) {
+    if (!window.contactValidation) return recipient;
+
+    const cleaned = window.contactValidation.cleanStoredContact(
+      recipient.recipient_phone,
+      recipient.recipient_email
+    );
+    if (
+      cleaned.phone === recipient.recipient_phone &&
+      cleaned.email === recipient.recipient_email
+    ) {
+      return recipient;
+    }
+
     try {
-      const createdItems = [];
+      await this.data.recipients.update(
+        recipient.$id,
+        { recipient_phone: cleaned.phone, recipient_email: cleaned.email }
+      );
+    } catch (error) {
+      console.warn("⚠️ Could not clean up recipient contact details:", error);
+    }
+
+    return {
+      ...recipient,
+      recipient_phone: cleaned.phone,
+      recipient_email: cleaned.email,
+    };
+  }
+
+  // Create order items for a specific order.
+  // Up to `options.concurrency` items (default ITEM_CONCURRENCY) are written at once,
+  // each retried with retryOperation. `options.onProgress(done, total)` is called
+  // after every saved item. If an item still fails, no new writes are started and
+  // the error is thrown with `createdItems` so the caller can roll back.
+  async createOrderItems(orderId, items, orderData, options = {}) {
+    const idempotencyKey = (orderData && orderData.idempotencyKey) || null;
+    const orderItems = items.map((item, index) =>
+      this.buildOrderItem(orderId, item, index, orderData)
+    );
+    const concurrency = Math.max(1, options.concurrency || this.ITEM_CONCURRENCY);
+    const results = new Array(orderItems.length);
+    let nextIndex = 0;
+    let done = 0;
+    let failure = null;
+
+    const worker = async () => {
+      while (!failure && nextIndex < orderItems.length) {
+        const index = nextIndex++;
+        const orderItem = orderItems[index];
 
-      for (const item of items) {
-        console.log("🔍 Processing item for orderItem:", item);
-        console.log("🔍 Item type:", item.type);
-        console.log("🔍 Item productType:", item.productType);
-        console.log("🔍 Item name:", item.name);
-        console.log("🔍 Item productName:", item.productName);
-
-        // Generate unique ID using timestamp and random number as fallback (max 20 chars)
-        let uniqueOrderItemId;
         try {
-          uniqueOrderItemId = this.ID.unique();
-          console.log(
-            "🔍 Generated unique orderItemId via Appwrite:",
-            uniqueOrderItemId
+          const result = await this.retryOperation(() =>
+            this.createDocumentOnce(
+              this.config.ORDER_ITEMS_TABLE,
+              orderItem.orderItemId,
+              orderItem
+            )
           );
 
-          // If ID.unique() returns "unique()", use fallback method
-          if (uniqueOrderItemId === "unique()") {
-            throw new Error("Appwrite ID.unique() not working properly");
+          // Without a checkout key the ID is fresh, so a conflict can only
+          // come from our own earlier attempt: it still belongs to this order
+          if (!idempotencyKey) {
+            this.replayedDocuments.delete(result);
           }
-        } catch (error) {
-          console.log("🔍 Using fallback ID generation method");
-          // Generate shorter ID: timestamp (last 8 digits) + random (6 chars) = max 14 chars
-          const timestamp = Date.now().toString().slice(-8);
-          const random = Math.random().toString(36).substr(2, 6);
-          uniqueOrderItemId = timestamp + random;
-          console.log("🔍 Generated fallback orderItemId:", uniqueOrderItemId);
-          console.log(
-            "🔍 Fallback orderItemId length:",
-            uniqueOrderItemId.length
-          );
-        }
 
-        // Get product name with better fallbacks to handle undefined
-        let productName =
-          item.name ||
-          item.productName ||
-          item.product_name ||
-          item.type ||
-          "Unknown Product";
-
-        // Handle case where name might be undefined or empty
-        if (
-          !productName ||
-          productName === "undefined" ||
-          productName.trim() === ""
-        ) {
-          productName = item.type || "Service Product";
+          results[index] = result;
+          done++;
+          if (options.onProgress) {
+            options.onProgress(done, orderItems.length);
+          }
+        } catch (error) {
+          failure = failure || error;
         }
+      }
+    };
 
-        console.log("🔍 Final product name to use:", productName);
-        console.log("🔍 Item details for debugging:", JSON.stringify(item));
-
-        const orderItem = {
-          orderItemId: uniqueOrderItemId,
-          orderId: orderId,
-          branchId:
-            orderData.branch_id ||
-            orderData.branchId ||
-            item.branch_id ||
-            item.branchId,
-          productId: String(item.productId || item.id || "").substring(0, 20),
-          productName: productName,
-          productImage: (item.image || item.productImage || "").startsWith(
-            "http"
-          )
-            ? item.image || item.productImage
-            : "",
-          productType: item.type || item.productType || "default",
-          productPrice: Number(item.price || item.productPrice || 0),
-          productQty: Number(item.quantity || 1),
-          returnStatus: "none",
-          returnQty: 0,
-          returnComment: "",
-        };
-
-        console.log("🔍 Final orderItem productType:", orderItem.productType);
-        console.log("🔍 Final orderItem productName:", orderItem.productName);
-
-        const result = await this.databases.createDocument(
-          this.config.DATABASE_ID,
-          this.config.ORDER_ITEMS_TABLE,
-          uniqueOrderItemId,
-          orderItem
-        );
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, orderItems.length) }, worker)
+    );
 
-        createdItems.push(result);
-      }
+    const createdItems = results.filter(Boolean);
 
-      console.log(`✅ Created ${createdItems.length} order items`);
-      return createdItems;
-    } catch (error) {
-      console.error("❌ Error creating order items:", error);
-      throw error;
+    if (failure) {
+      console.error("❌ Error creating order items:", failure);
+      // Expose the items written before the failure so callers can roll back
+      failure.createdItems = createdItems;
+      throw failure;
     }
+
+    console.log(`✅ Created ${createdItems.length} order items`);
+    return createdItems;
   }
 
   // Get order by ID
   async getOrder(orderId) {
     try {
-      const order = await this.databases.getDocument(
-        this.config.DATABASE_ID,
-        this.config.ORDERS_TABLE,
-        orderId
-      );
+      const order = await this.data.orders.get(orderId);
 
       // Get order items
       const orderItems = await this.getOrderItems(orderId);
@@ -288,11 +492,7 @@ class OrderManager {
   // Get order items for an order
   async getOrderItems(orderId) {
     try {
-      const items = await this.databases.listDocuments(
-        this.config.DATABASE_ID,
-        this.config.ORDER_ITEMS_TABLE,
-        [this.Query.equal("orderId", orderId)]
-      );
+      const items = await this.data.orderItems.list([this.Query.equal("orderId", orderId)]);
 
       return items.documents;
     } catch (error) {
@@ -301,33 +501,147 @@ class OrderManager {
     }
   }
 
-  // Get orders for a customer
+  // Get orders for a customer (every page)
   async getCustomerOrders(customerId) {
     try {
-      const orders = await this.databases.listDocuments(
-        this.config.DATABASE_ID,
-        this.config.ORDERS_TABLE,
-        [this.Query.equal("customer_id", customerId)]
-      );
-
-      return orders.documents;
+      return await this.getAllOrders({ customerId });
     } catch (error) {
       console.error("❌ Error fetching customer orders:", error);
       throw error;
     }
   }
 
-  // Update order status
-  async updateOrderStatus(orderId, status) {
+  // Appwrite queries for order filters:
+  // { customerId, status, branchId, paymentMethod, from, to, dateField }
+  // `status` may be a single status or an array and matches legacy aliases too.
+  // `from`/`to` apply to `dateField` ("$createdAt" by default, or "deliveryDate").
+  buildOrderQueries(filters = {}) {
+    const queries = [];
+
+    if (filters.customerId) {
+      queries.push(this.Query.equal("customer_id", filters.customerId));
+    }
+    if (filters.branchId) {
+      queries.push(this.Query.equal("branch_id", filters.branchId));
+    }
+    if (filters.paymentMethod) {
+      queries.push(this.Query.equal("paymentMethod", filters.paymentMethod));
+    }
+
+    if (filters.status && filters.status.length > 0) {
+      const statuses = Array.isArray(filters.status) ? filters.status : [filters.status];
+      const values = window.orderStatus
+        ? statuses.flatMap((status) => window.orderStatus.getStoredValues(status))
+        : statuses;
+      queries.push(this.Query.equal("orderStatus", values.length > 0 ? values : statuses));
+    }
+
+    const dateField = filters.dateField || "$createdAt";
+    if (filters.from) {
+      queries.push(this.Query.greaterThanEqual(dateField, filters.from));
+    }
+    if (filters.to) {
+      // A plain date includes the whole day for timestamp fields
+      const to =
+        dateField === "$createdAt" && /^\d{4}-\d{2}-\d{2}$/.test(filters.to)
+          ? `${filters.to}T23:59:59.999+00:00`
+          : filters.to;
+      queries.push(this.Query.lessThanEqual(dateField, to));
+    }
+
+    queries.push(this.Query.orderDesc("$createdAt"));
+    return queries;
+  }
+
+  // min/max total are checked after fetching: the total is stored as a string,
+  // which Appwrite compares as text
+  matchesOrderTotal(order, filters = {}) {
+    const total = Number(order.total || 0);
+    if (filters.minTotal !== undefined && filters.minTotal !== null && total < Number(filters.minTotal)) {
+      return false;
+    }
+    if (filters.maxTotal !== undefined && filters.maxTotal !== null && total > Number(filters.maxTotal)) {
+      return false;
+    }
+    return true;
+  }
+
+  // Get one page of orders, newest first, using cursor pagination.
+  // filters: see buildOrderQueries, plus { minTotal, maxTotal }.
+  // Returns { orders, cursor, hasMore }; pass `cursor` back to get the next page.
+  async queryOrders(filters = {}, { limit = this.PAGE_SIZE, cursor = null } = {}) {
+    const pageSize = Math.min(Math.max(1, limit), this.MAX_PAGE_SIZE);
+    const queries = this.buildOrderQueries(filters);
+    const orders = [];
+    let lastId = cursor;
+    let hasMore = true;
+
+    // Total filters can leave a page short, so keep reading until it is full
+    while (orders.length < pageSize && hasMore) {
+      const pageQueries = [...queries, this.Query.limit(pageSize)];
+      if (lastId) {
+        pageQueries.push(this.Query.cursorAfter(lastId));
+      }
+
+      const result = await this.retryOperation(() =>
+        this.data.orders.list(pageQueries)
+      );
+
+      let scanned = 0;
+      for (const order of result.documents) {
+        scanned++;
+        lastId = order.$id;
+        if (this.matchesOrderTotal(order, filters)) {
+          orders.push(order);
+        }
+        if (orders.length >= pageSize) break;
+      }
+
+      hasMore = scanned < result.documents.length || result.documents.length === pageSize;
+    }
+
+    return { orders, cursor: lastId, hasMore };
+  }
+
+  // Get every order matching the filters by following the cursor to the end
+  async getAllOrders(filters = {}) {
+    const orders = [];
+    let cursor = null;
+    let hasMore = true;
+
+    while (hasMore) {
+      const page = await this.queryOrders(filters, { limit: this.MAX_PAGE_SIZE, cursor });
+      orders.push(...page.orders);
+      cursor = page.cursor;
+      hasMore = page.hasMore;
+    }
+
+    return orders;
+  }
+
+  // Update order status.
+  // The move is checked against the order status state machine (js/orderStatus.js)
+  // for the given actor, and the canonical status value is written.
+  async updateOrderStatus(orderId, status, actor = "customer", extraData = {}) {
     try {
-      const result = await this.databases.updateDocument(
-        this.config.DATABASE_ID,
-        this.config.ORDERS_TABLE,
+      const order = await this.data.orders.get(orderId);
+      const nextStatus = window.orderStatus.assertTransition(
+        order.orderStatus,
+        status,
+        actor
+      );
+
+      const result = await this.data.orders.update(
         orderId,
-        { orderStatus: status }
+        { ...extraData, orderStatus: nextStatus }
       );
 
-      console.log(`✅ Order ${orderId} status updated to: ${status}`);
+      console.log(`✅ Order ${orderId} status updated to: ${nextStatus}`);
+      await this.recordOrderEvent(orderId, nextStatus, {
+        actor,
+        previousStatus: window.orderStatus.normalize(order.orderStatus),
+        note: extraData.cancellationReason || "",
+      });
       return result;
     } catch (error) {
       console.error("❌ Error updating order status:", error);
@@ -335,15 +649,19 @@ class OrderManager {
     }
   }
 
+  // Cancel an order on behalf of the customer.
+  // Only allowed while the order is still pending; anything later has to go through the company.
+  async cancelOrder(orderId, reason = "") {
+    return this.updateOrderStatus(orderId, "cancelled", "customer", {
+      cancellationReason: reason || "",
+      cancelledAt: new Date().toISOString(),
+    });
+  }
+
   // Update order with transaction ID
   async updateOrderTransaction(orderId, transactionId) {
     try {
-      const result = await this.databases.updateDocument(
-        this.config.DATABASE_ID,
-        this.config.ORDERS_TABLE,
-        orderId,
-        { transactionId: transactionId }
-      );
+      const result = await this.data.orders.update(orderId, { transactionId: transactionId });
 
       console.log(`✅ Order ${orderId} transaction ID updated`);
       return result;
@@ -359,19 +677,11 @@ class OrderManager {
       // First delete all order items
       const items = await this.getOrderItems(orderId);
       for (const item of items) {
-        await this.databases.deleteDocument(
-          this.config.DATABASE_ID,
-          this.config.ORDER_ITEMS_TABLE,
-          item.$id
-        );
+        await this.data.orderItems.delete(item.$id);
       }
 
       // Then delete the order
-      await this.databases.deleteDocument(
-        this.config.DATABASE_ID,
-        this.config.ORDERS_TABLE,
-        orderId
-      );
+      await this.data.orders.delete(orderId);
 
       console.log(`✅ Order ${orderId} and its items deleted`);
       return true;
@@ -382,282 +692,1036 @@ class OrderManager {
   }
 
   // Validate date/time against working days
+  // Validate a delivery date and time against the branch's working hours.
+  // Returns { valid, message, reason, nextSlot } (see js/workingHours.js)
   validateDateTimeWithWorkingDays(selectedDate, selectedTime, workingDays) {
-    // Handle both array and object formats for workingDays
-    let workingDaysArray = [];
-
-    if (Array.isArray(workingDays)) {
-      workingDaysArray = workingDays;
-    } else if (typeof workingDays === "object" && workingDays !== null) {
-      // Convert object format to array format
-      workingDaysArray = Object.keys(workingDays).map((day) => ({
-        day: day.charAt(0).toUpperCase() + day.slice(1), // Capitalize first letter
-        time: `${workingDays[day].open}-${workingDays[day].close}`,
-      }));
-    }
-
-    if (workingDaysArray.length === 0) {
-      return { valid: true, message: "No working days restrictions" };
-    }
-
-    const dayOfWeek = new Date(selectedDate).toLocaleDateString("en-US", {
-      weekday: "long",
-    });
-    const workingDay = workingDaysArray.find(
-      (day) => day.day.toLowerCase() === dayOfWeek.toLowerCase()
-    );
+    const workingHours = window.workingHours;
 
-    if (!workingDay) {
+    if (!workingHours) {
+      console.warn("⚠️ workingHours.js not loaded, skipping working hours check");
       return {
-        valid: false,
-        message: `Not a working day. ${dayOfWeek} is not available.`,
+        valid: true,
+        reason: "no_restrictions",
+        message: "Working hours could not be checked",
+        nextSlot: null,
       };
     }
 
-    // Parse working hours (e.g., "8:00 AM - 6:00 PM")
-    const timeRange = workingDay.time;
-    const [openTime, closeTime] = timeRange.split(" - ").map((t) => t.trim());
+    return workingHours.validate(selectedDate, selectedTime, workingDays);
+  }
+
+  // Undo document writes made during a failed checkout or amendment, newest first.
+  // { table, id } entries were created and are deleted; { table, id, restore } entries
+  // were updated and get `restore` written back, or are recreated when `recreate` is set.
+  // Failures are logged and collected, never thrown.
+  async rollbackCreatedDocuments(createdDocuments) {
+    const failed = [];
 
-    // Simple time validation (can be enhanced)
-    if (selectedTime && openTime && closeTime) {
-      // This is basic validation - you might want to improve time comparison
-      return { valid: true, message: `Working hours: ${timeRange}` };
+    for (const doc of [...createdDocuments].reverse()) {
+      try {
+        await this.retryOperation(() => {
+          if (!doc.restore) {
+            return this.data.collection(doc.table).delete(doc.id);
+          }
+          return doc.recreate
+            ? this.data.collection(doc.table).create(doc.id, doc.restore)
+            : this.data.collection(doc.table).update(doc.id, doc.restore);
+        });
+        console.log(`🗑️ Rolled back ${doc.table} document:`, doc.id);
+      } catch (error) {
+        console.error(`❌ Failed to roll back ${doc.table} document:`, doc.id);
+        failed.push({ ...doc, error: error.message });
+      }
     }
 
-    return { valid: true, message: `Working day confirmed: ${dayOfWeek}` };
+    return failed;
   }
 
-  // Get saved recipients for a user
-  async getSavedRecipients(userId) {
-    try {
-      console.log("🔍 Fetching saved recipients for user:", userId);
+  // Product ID as stored on order_items (max 20 chars)
+  getProductKey(product) {
+    return String(
+      product.productId || product.product_id || product.$id || product.id || ""
+    ).substring(0, 20);
+  }
 
-      // Get favorite recipients (saved with order_id = favorite_<userId>)
-      const favoriteResult = await this.databases.listDocuments(
-        this.config.DATABASE_ID,
-        this.config.PURCHASE_RECIPIENT_TABLE,
-        [this.Query.equal("order_id", `favorite_${userId}`)]
-      );
+  // A branch (merged with its company) from CompanyDataManager, or null
+  async getBranch(branchId) {
+    if (!window.companyDataManager) return null;
 
-      console.log(
-        "🔍 Found favorite recipients:",
-        favoriteResult.documents.length
-      );
-
-      // Transform favorite recipients
-      const favoriteRecipients = favoriteResult.documents.map((doc) => ({
-        id: doc.$id,
-        name: doc.recipient_name,
-        phone: doc.recipient_phone,
-        email: doc.recipient_email,
-        address: doc.recipient_address,
-        type: doc.recipient_type,
-        businessName: doc.business_name,
-        businessType: doc.business_type,
-        createdAt: doc.$createdAt,
-        isFavorite: true,
-      }));
+    const companies = await window.companyDataManager.fetchCompanyData();
+    return (companies || []).find((company) => company.branch_id === branchId) || null;
+  }
 
-      // Also get recipients from previous orders
-      try {
-        const ordersResult = await this.databases.listDocuments(
-          this.config.DATABASE_ID,
-          this.config.ORDERS_TABLE,
-          [this.Query.equal("customer_id", userId)]
-        );
+  // Products of a branch from CompanyDataManager, or null if the catalog can't be loaded
+  async getBranchProducts(branchId) {
+    const branch = await this.getBranch(branchId);
+    return branch ? branch.products || [] : null;
+  }
 
-        console.log("🔍 Found orders:", ordersResult.documents.length);
-
-        if (ordersResult.documents.length > 0) {
-          // Get all unique recipient info from these orders
-          const recipientPromises = ordersResult.documents.map(
-            async (order) => {
-              try {
-                const recipientResult = await this.databases.listDocuments(
-                  this.config.DATABASE_ID,
-                  this.config.PURCHASE_RECIPIENT_TABLE,
-                  [this.Query.equal("order_id", order.$id)]
-                );
-
-                if (recipientResult.documents.length > 0) {
-                  const recipient = recipientResult.documents[0];
-                  return {
-                    id: recipient.$id,
-                    name: recipient.recipient_name,
-                    phone: recipient.recipient_phone,
-                    email: recipient.recipient_email,
-                    address: recipient.recipient_address,
-                    type: recipient.recipient_type,
-                    businessName: recipient.business_name,
-                    businessType: recipient.business_type,
-                    createdAt: recipient.$createdAt,
-                    orderId: order.$id,
-                    isFavorite: false,
-                  };
-                }
-                return null;
-              } catch (error) {
-                console.error(
-                  "❌ Error fetching recipient for order:",
-                  order.$id,
-                  error
-                );
-                return null;
-              }
-            }
-          );
+  // Find the catalog product for a cart item or order item: by product ID, then by
+  // name for items saved without a real product ID
+  findCatalogProduct(catalog, item) {
+    const key = this.getProductKey(item);
+    const byKey = key && catalog.find((product) => this.getProductKey(product) === key);
+    if (byKey) return byKey;
+
+    const name = String(item.name || item.productName || "").trim().toLowerCase();
+    return name
+      ? catalog.find((product) => String(product.name || "").trim().toLowerCase() === name)
+      : null;
+  }
 
-          const orderRecipients = await Promise.all(recipientPromises);
-          const filteredOrderRecipients = orderRecipients.filter(
-            (r) => r !== null && r.name
-          );
+  // Check items ({ productId|id, name, price|productPrice, quantity|productQty }) against
+  // the branch catalog. Resolves to { checked, items, unavailable, priceChanges, belowMinimum, totals }
+  // where each item carries `available`, `currentPrice` and `minQuantity`, and `totals`
+  // (pesewas, js/money.js) covers the available items at current prices.
+  // `checked` is false if the catalog could not be loaded.
+  async checkCatalogPrices(items, branchId) {
+    const result = {
+      checked: false,
+      items: [],
+      unavailable: [],
+      priceChanges: [],
+      belowMinimum: [],
+      totals: null,
+    };
 
-          // Remove duplicates (same name, phone, email)
-          const uniqueOrderRecipients = filteredOrderRecipients.reduce(
-            (acc, recipient) => {
-              const key = `${recipient.name}-${recipient.phone}-${recipient.email}`;
-              if (!acc.has(key)) {
-                acc.set(key, recipient);
-              }
-              return acc;
-            },
-            new Map()
-          );
+    let catalog = null;
+    try {
+      catalog = await this.getBranchProducts(branchId);
+    } catch (error) {
+      console.warn("⚠️ Could not load the catalog to check prices:", error);
+    }
 
-          // Combine favorites and order recipients
-          const allRecipients = [
-            ...favoriteRecipients,
-            ...Array.from(uniqueOrderRecipients.values()),
-          ];
-
-          // Final deduplication
-          const finalRecipients = allRecipients.reduce((acc, recipient) => {
-            const key = `${recipient.name}-${recipient.phone}-${recipient.email}`;
-            if (!acc.has(key)) {
-              acc.set(key, recipient);
-            }
-            return acc;
-          }, new Map());
+    const getQuantity = (item) => Number(item.quantity ?? item.productQty ?? 1);
+    const getPrice = (item) => Number(item.price ?? item.productPrice ?? 0);
 
-          console.log(
-            "🔍 Final recipients found:",
-            Array.from(finalRecipients.values())
-          );
-          return Array.from(finalRecipients.values());
+    if (!catalog) {
+      result.items = items.map((item) => ({
+        ...item,
+        available: true,
+        currentPrice: getPrice(item),
+        minQuantity: 1,
+      }));
+    } else {
+      result.checked = true;
+      items.forEach((item) => {
+        const product = this.findCatalogProduct(catalog, item);
+
+        if (!product) {
+          const missing = { ...item, available: false, currentPrice: null, minQuantity: 1 };
+          result.items.push(missing);
+          result.unavailable.push(missing);
+          return;
         }
-      } catch (orderError) {
-        console.error("❌ Error fetching order recipients:", orderError);
-        // Return just favorites if order fetch fails
-        return favoriteRecipients;
-      }
 
-      return favoriteRecipients;
-    } catch (error) {
-      console.error("❌ Error getting saved recipients:", error);
-      return [];
+        const oldPrice = getPrice(item);
+        const currentPrice = Number(product.price || 0);
+        const checkedItem = {
+          ...item,
+          productId: this.getProductKey(product),
+          available: true,
+          currentPrice,
+          minQuantity: Math.max(1, Number(product.minQuantity || 1)),
+        };
+        result.items.push(checkedItem);
+
+        if (window.money.toPesewas(currentPrice) !== window.money.toPesewas(oldPrice)) {
+          result.priceChanges.push({ ...checkedItem, oldPrice });
+        }
+        if (getQuantity(item) < checkedItem.minQuantity) {
+          result.belowMinimum.push(checkedItem);
+        }
+      });
     }
+
+    result.totals = window.money.calculateTotals(
+      result.items
+        .filter((item) => item.available)
+        .map((item) => ({ price: item.currentPrice, quantity: getQuantity(item) }))
+    );
+    return result;
   }
 
-  // Save recipient to database as favorite
-  async saveRecipient(userId, recipientData) {
-    try {
-      console.log("🔍 Saving recipient for user:", userId);
-      console.log("🔍 Recipient data:", recipientData);
+  // Reprice an order from the catalog before anything is written. Resolves to the
+  // checkCatalogPrices result when the catalog prices add up to the total the customer
+  // confirmed (orderData.total plus any orderData.discount they were shown, less the
+  // orderData.deliveryFee, which priceDelivery checks). Otherwise throws an error with
+  // the result as `pricing` and a `code` of "catalog_unavailable", "product_unavailable",
+  // "below_min_quantity" or "price_changed", so the page can update the cart and ask
+  // the customer again.
+  async priceOrder(orderData, cartItems) {
+    const pricing = await this.checkCatalogPrices(
+      cartItems,
+      orderData.branch_id || orderData.branchId
+    );
 
-      // Create a favorite recipient entry (not tied to an order)
-      const document = {
-        // Use order_id field to store the user ID for favorite recipients
-        order_id: `favorite_${userId}`,
-        purchase_recipient_type: recipientData.type,
-        recipient_name: recipientData.name,
-        recipient_phone: recipientData.phone,
-        recipient_email: recipientData.email,
-        recipient_address: recipientData.address,
-        recipient_type: recipientData.type,
-        business_name: recipientData.businessName || "",
-        business_type: recipientData.businessType || "",
-        self_pickup: recipientData.type === "you",
-        self_delivery_address:
-          recipientData.type === "you" ? recipientData.address : "",
-      };
+    const fail = (code, message) => {
+      const error = new Error(message);
+      error.code = code;
+      error.pricing = pricing;
+      throw error;
+    };
 
-      const result = await this.databases.createDocument(
-        this.config.DATABASE_ID,
-        this.config.PURCHASE_RECIPIENT_TABLE,
-        this.ID.unique(),
-        document
+    if (!pricing.checked) {
+      fail("catalog_unavailable", "We couldn't check the current prices. Please try again.");
+    }
+    if (pricing.unavailable.length > 0) {
+      fail(
+        "product_unavailable",
+        `No longer sold: ${pricing.unavailable.map((item) => item.name || item.productName).join(", ")}.`
+      );
+    }
+    if (pricing.belowMinimum.length > 0) {
+      fail(
+        "below_min_quantity",
+        pricing.belowMinimum
+          .map((item) => `The minimum for ${item.name || item.productName} is ${item.minQuantity}.`)
+          .join(" ")
+      );
+    }
+    const confirmedTotal =
+      window.money.toPesewas(orderData.total) +
+      window.money.toPesewas(orderData.discount || 0) -
+      window.money.toPesewas(orderData.deliveryFee || 0);
+    if (confirmedTotal !== pricing.totals.total) {
+      fail(
+        "price_changed",
+        `Prices have changed. Your total is now ${window.money.format(pricing.totals.total)}.`
       );
+    }
 
-      console.log("✅ Recipient saved:", result.$id);
-      return result;
+    return pricing;
+  }
+
+  // Quote the delivery fee (js/deliveryFee.js) to orderData.deliveryAddress from the
+  // branch's current fee schedule, given the items subtotal in pesewas. Resolves to the
+  // quote (which may be unavailable, outside the delivery area) or null for branches
+  // without a schedule. Throws an error with code "address_not_found" when the address
+  // can't be located.
+  async quoteDelivery(orderData, subtotal) {
+    if (!window.deliveryFee) return null;
+
+    const fail = (code, message) => {
+      const error = new Error(message);
+      error.code = code;
+      throw error;
+    };
+
+    let branch = null;
+    try {
+      branch = await this.getBranch(orderData.branch_id || orderData.branchId);
     } catch (error) {
-      console.error("❌ Error saving recipient:", error);
+      console.warn("⚠️ Could not load the branch to check the delivery fee:", error);
+    }
+    if (!branch) {
+      fail("catalog_unavailable", "We couldn't check the delivery fee. Please try again.");
+    }
+
+    const schedule = window.deliveryFee.getSchedule(branch);
+    if (!schedule) return null;
+
+    const distance = await window.deliveryFee.getDistanceToAddress(branch, orderData.deliveryAddress);
+    if (distance === null) {
+      fail(
+        "address_not_found",
+        "We couldn't find the delivery address on the map, so the delivery fee can't be worked out. Please check the address and try again."
+      );
+    }
+
+    return window.deliveryFee.quote(schedule, distance, subtotal);
+  }
+
+  // The delivery fee for an order (quoteDelivery), given the repriced items subtotal in
+  // pesewas. The distance is worked out again from the branch to the address rather than
+  // taken from the page (orderData.deliveryDistance is only what the customer was
+  // quoted). Resolves to the quote, or null for branches without a schedule. Throws an
+  // error with code "address_not_found", "outside_delivery_area" or, when the fee differs
+  // from the orderData.deliveryFee (cedis) the customer was shown, "delivery_fee_changed".
+  async priceDelivery(orderData, subtotal) {
+    const quote = await this.quoteDelivery(orderData, subtotal);
+    if (!quote) return null;
+
+    const fail = (code, message) => {
+      const error = new Error(message);
+      error.code = code;
       throw error;
+    };
+
+    if (!quote.available) {
+      fail("outside_delivery_area", quote.message);
     }
+    if (quote.fee !== window.money.toPesewas(orderData.deliveryFee || 0)) {
+      fail("delivery_fee_changed", `The delivery fee is now ${window.money.format(quote.fee)}.`);
+    }
+    return quote;
   }
 
-  // Delete saved recipient
-  async deleteRecipient(recipientId) {
+  // The best promotion (js/promotionManager.js) for a repriced order, or null.
+  // orderData.promoCode is the code the customer entered and orderData.discount (cedis)
+  // the discount they were shown: if the order now gets less, this throws an error with
+  // code "discount_changed" so they can confirm the new total. A bigger discount is
+  // simply applied.
+  async getOrderDiscount(orderData, pricedItems) {
+    const promotionManager = window.promotionManager;
+    const shownDiscount = window.money.toPesewas(orderData.discount || 0);
+    let discount = null;
+
     try {
-      console.log("🔍 Deleting recipient:", recipientId);
+      ({ discount } = await promotionManager.getBestDiscount({
+        items: pricedItems,
+        branchId: orderData.branch_id || orderData.branchId,
+        customerId: orderData.customer_id || orderData.buyerId,
+        code: orderData.promoCode,
+        orderId: orderData.idempotencyKey || null,
+      }));
+    } catch (error) {
+      if (shownDiscount === 0) {
+        console.warn("⚠️ Could not check promotions, placing the order without one:", error);
+        return null;
+      }
+      throw promotionManager.createError(
+        "discount_unavailable",
+        "We couldn't check your discount. Please try again."
+      );
+    }
 
-      await this.databases.deleteDocument(
-        this.config.DATABASE_ID,
-        this.config.PURCHASE_RECIPIENT_TABLE,
-        recipientId
+    const amount = discount ? discount.amount : 0;
+    if (amount < shownDiscount) {
+      throw promotionManager.createError(
+        "discount_changed",
+        amount > 0
+          ? `Your discount is now ${window.money.format(amount)}.`
+          : "Your discount no longer applies to this order."
       );
+    }
+    return discount;
+  }
 
-      console.log("✅ Recipient deleted");
-      return true;
-    } catch (error) {
-      console.error("❌ Error deleting recipient:", error);
-      throw error;
+  // The order a keyed checkout placed in full, or null when there is none yet or the
+  // earlier attempt left it half-written (items, recipient info or redemption missing).
+  // Resolves to { order, items, recipient, delivery, discount } from the stored documents.
+  async getPlacedOrder(orderData, cartItems, recipientData = null) {
+    if (!orderData.idempotencyKey) return null;
+
+    const getStored = async (collectionId, documentId) => {
+      try {
+        return await this.data.collection(collectionId).get(documentId);
+      } catch (error) {
+        if (error.code !== 404) {
+          console.warn(`⚠️ Could not look up ${collectionId} document ${documentId}:`, error);
+        }
+        return null;
+      }
+    };
+
+    const order = await getStored(this.config.ORDERS_TABLE, orderData.idempotencyKey);
+    if (!order) return null;
+
+    const items = await this.getOrderItems(order.$id);
+    const recipient = recipientData ? await this.getPurchaseRecipientInfo(order.$id) : null;
+    const redeemed = !order.promotionId ||
+      !!(await getStored(this.config.PROMOTION_REDEMPTIONS_TABLE, `${order.$id}p`));
+    if (items.length < cartItems.length || (recipientData && !recipient) || !redeemed) {
+      return null;
+    }
+
+    return {
+      order,
+      items,
+      recipient,
+      delivery: order.deliveryFee
+        ? { fee: window.money.toPesewas(order.deliveryFee), distanceKm: order.deliveryDistance }
+        : null,
+      discount: order.promotionId
+        ? {
+            promotionId: order.promotionId,
+            code: order.promoCode || "",
+            name: order.promoCode || "Promotion",
+            amount: window.money.toPesewas(order.discountAmount),
+          }
+        : null,
+    };
+  }
+
+  // Customer-facing message for each step of createCompleteOrder
+  getOrderStepErrorMessage(step, error) {
+    switch (step) {
+      case "validation":
+      case "pricing":
+      case "slot":
+        return error.message;
+      case "order":
+        return "We couldn't create your order. Please check your connection and try again.";
+      case "items":
+        return "We couldn't save the products in your order, so it was cancelled. Please try again.";
+      case "recipient":
+        return "We couldn't save the delivery details, so your order was cancelled. Please try again.";
+      case "promotion":
+        if (error.code === "used_up" || error.code === "already_used") {
+          return `${error.message} Your order was cancelled, so you can place it again without the discount.`;
+        }
+        return "We couldn't apply your discount, so your order was cancelled. Please try again.";
+      default:
+        return error.message || "Something went wrong while placing your order.";
     }
   }
 
-  // Complete order creation with validation
-  async createCompleteOrder(orderData, cartItems, workingDays) {
+  // Complete order creation with validation.
+  // Creates the order, its items and (optionally) the recipient info as one unit:
+  // if any step fails every document written so far is deleted again.
+  // Resolves to { success, step, order, items, recipient, error, message, rolledBack, rollbackFailures, replayed, validation, slot, pricing, delivery, discount }
+  // where `step` names the step that failed ("validation" | "pricing" | "order" | "slot" | "items" | "recipient" | "promotion"),
+  // `validation` carries the working hours check (reason and suggested nextSlot), `slot` the
+  // delivery slot's capacity check (see checkSlotCapacity; a full slot fails at "slot" with
+  // error code "slot_full", before or after the order is written), `pricing`
+  // the catalog check from priceOrder, `delivery` the delivery fee quote (see priceDelivery)
+  // and `discount` the promotion applied (see getOrderDiscount).
+  // The total and item prices written are the catalog's, never the cart's; a cart that no
+  // longer matches fails at "pricing" before any write. The promotion's redemption is
+  // written last and counts against its usage limits; an order whose redemption comes
+  // after the last use allowed fails at "promotion" (error code "used_up" or "already_used").
+  // `options.onItemProgress(done, total)` reports order items as they are saved,
+  // `options.pricing` and `options.delivery` reuse priceOrder and priceDelivery results the
+  // caller already has and `options.promotions: false` places the order without any promotion.
+  // When orderData.idempotencyKey is set, a replay of the same checkout returns the existing
+  // order (replayed: true) without checking it again (see getPlacedOrder). A replay of one
+  // left half-written finishes it: the order's own booking and redemption don't count
+  // against the slot and the promotion, and documents written by the earlier attempt are
+  // never rolled back.
+  async createCompleteOrder(orderData, cartItems, workingDays, recipientData = null, options = {}) {
+    const createdDocuments = [];
+    const result = {
+      success: false,
+      step: null,
+      order: null,
+      items: [],
+      recipient: null,
+      error: null,
+      message: "",
+      rolledBack: false,
+      rollbackFailures: [],
+      replayed: false,
+      validation: null,
+      slot: null,
+      pricing: null,
+      delivery: null,
+      discount: null,
+    };
+    const trackCreated = (table, document) => {
+      if (!this.isReplayedDocument(document)) {
+        createdDocuments.push({ table, id: document.$id });
+      }
+    };
+    let step = "validation";
+
     try {
+      // A replayed checkout (a double tap, the offline queue) that was placed in full
+      const placed = await this.getPlacedOrder(orderData, cartItems, recipientData);
+      if (placed) {
+        console.log("♻️ Order already placed:", placed.order.$id);
+        return {
+          ...result,
+          ...placed,
+          success: true,
+          replayed: true,
+          pricing: options.pricing || null,
+          delivery: options.delivery !== undefined ? options.delivery : placed.delivery,
+        };
+      }
+
       // Validate date/time
       const validation = this.validateDateTimeWithWorkingDays(
         orderData.deliveryDate,
         orderData.deliveryTime,
         workingDays
       );
+      result.validation = validation;
 
       if (!validation.valid) {
         throw new Error(validation.message);
       }
 
-      // Create order
-      const order = await this.createOrder(orderData);
+      // Reject a bad recipient phone/email before anything is written
+      if (recipientData) {
+        this.normalizeRecipientContact(recipientData);
+      }
 
-      // Create order items
-      await this.createOrderItems(order.$id, cartItems, orderData);
+      // A full slot is turned down before anything is written, at the same step as the
+      // re-check after writing. The order of a replayed checkout may hold a place already:
+      // it is ranked like after writing.
+      step = "slot";
+      result.slot = await this.checkSlotCapacity(orderData, { orderId: orderData.idempotencyKey || null });
 
-      console.log("✅ Complete order created successfully");
-      return order;
+      // Reprice every line from the catalog and recompute the service fee
+      step = "pricing";
+      try {
+        result.pricing = options.pricing || await this.priceOrder(orderData, cartItems);
+      } catch (pricingError) {
+        result.pricing = pricingError.pricing || null;
+        throw pricingError;
+      }
+      const pricedItems = result.pricing.items.map((item) => ({
+        ...item,
+        price: item.currentPrice,
+      }));
+
+      result.delivery = options.delivery !== undefined
+        ? options.delivery
+        : await this.priceDelivery(orderData, result.pricing.totals.subtotal);
+      const deliveryAmount = result.delivery ? result.delivery.fee : 0;
+
+      if (options.promotions !== false && window.promotionManager) {
+        result.discount = await this.getOrderDiscount(orderData, pricedItems);
+      }
+      const discountAmount = result.discount ? result.discount.amount : 0;
+
+      // Create order
+      step = "order";
+      const order = await this.createOrder({
+        ...orderData,
+        total: window.money.toCedis(result.pricing.totals.total + deliveryAmount - discountAmount),
+        delivery: result.delivery,
+        promotion: result.discount,
+      });
+      trackCreated(this.config.ORDERS_TABLE, order);
+      result.order = order;
+      result.replayed = this.isReplayedDocument(order);
+
+      // Someone may have taken the last place since the check above: the earlier order
+      // keeps it. A replayed order kept its place in the earlier attempt.
+      if (!result.replayed) {
+        step = "slot";
+        result.slot = await this.checkSlotCapacity(orderData, { orderId: order.$id });
+      }
+
+      // Create order items
+      step = "items";
+      try {
+        result.items = await this.createOrderItems(order.$id, pricedItems, orderData, {
+          onProgress: options.onItemProgress,
+        });
+      } catch (itemsError) {
+        (itemsError.createdItems || []).forEach((item) =>
+          trackCreated(this.config.ORDER_ITEMS_TABLE, item)
+        );
+        throw itemsError;
+      }
+      result.items.forEach((item) =>
+        trackCreated(this.config.ORDER_ITEMS_TABLE, item)
+      );
+
+      // Create purchase recipient info
+      if (recipientData) {
+        step = "recipient";
+        result.recipient = await this.createPurchaseRecipientInfo(
+          order.$id,
+          recipientData,
+          orderData.idempotencyKey || null
+        );
+        trackCreated(this.config.PURCHASE_RECIPIENT_TABLE, result.recipient);
+      }
+
+      // Redeem the promotion under an ID derived from the order, so a replay counts it once
+      if (result.discount) {
+        step = "promotion";
+        const redemption = await this.retryOperation(() =>
+          this.createDocumentOnce(
+            this.config.PROMOTION_REDEMPTIONS_TABLE,
+            `${order.$id}p`,
+            window.promotionManager.buildRedemption(result.discount, order.$id, order.customer_id)
+          )
+        );
+        trackCreated(this.config.PROMOTION_REDEMPTIONS_TABLE, redemption);
+
+        // A checkout placed at the same time may have taken the last use since getOrderDiscount
+        const usage = await this.retryOperation(() =>
+          window.promotionManager.checkRedemption(redemption)
+        );
+        if (!usage.eligible) {
+          throw window.promotionManager.createError(usage.reason, usage.message);
+        }
+      }
+
+      result.success = true;
+      await this.recordOrderEvent(order.$id, "pending", {
+        actor: "customer",
+        at: order.$createdAt,
+      });
+      console.log("✅ Complete order created successfully");
+      return result;
+    } catch (error) {
+      console.error(`❌ Error creating complete order (step: ${step}):`, error);
+
+      result.step = step;
+      result.error = error;
+      result.message = this.getOrderStepErrorMessage(step, error);
+
+      if (createdDocuments.length > 0) {
+        result.rollbackFailures = await this.rollbackCreatedDocuments(
+          createdDocuments
+        );
+        result.rolledBack = result.rollbackFailures.length === 0;
+      }
+
+      result.order = null;
+      result.items = [];
+      result.recipient = null;
+      return result;
+    }
+  }
+
+  // Get the working days documents of a branch
+  async getBranchWorkingDays(branchId) {
+    if (!branchId) return [];
+
+    try {
+      const result = await this.data.collection(this.config.WORKING_DAYS_TABLE).list(
+        [this.Query.equal("branch_id", branchId)]
+      );
+      return result.documents;
+    } catch (error) {
+      console.error("❌ Error fetching branch working days:", error);
+      return [];
+    }
+  }
+
+  // Orders booked with a branch for a delivery date (every page)
+  async getSlotBookings(branchId, deliveryDate) {
+    return this.getAllOrders({
+      branchId,
+      dateField: "deliveryDate",
+      from: deliveryDate,
+      to: deliveryDate,
+    });
+  }
+
+  // Delivery slots of a branch on a date from its working hours (workingHours.getSlots),
+  // with each slot's capacity and bookings (js/slotCapacity.js); full slots are not
+  // available. If the bookings can't be loaded the slots come back without capacity and
+  // checkSlotCapacity still guards the checkout.
+  async getSlotAvailability(branchId, deliveryDate, workingDays = []) {
+    const slots = window.workingHours ? window.workingHours.getSlots(deliveryDate, workingDays) : [];
+    if (!branchId || slots.length === 0 || !window.slotCapacity) return slots;
+
+    try {
+      const schedule = window.slotCapacity.getSchedule(await this.getBranch(branchId));
+      if (!schedule) return slots;
+
+      const orders = await this.getSlotBookings(branchId, window.workingHours.toDateString(deliveryDate));
+      return window.slotCapacity.applyToSlots(slots, schedule, window.slotCapacity.countBookings(orders));
     } catch (error) {
-      console.error("❌ Error creating complete order:", error);
+      console.warn("⚠️ Could not load delivery slot bookings:", error);
+      return slots;
+    }
+  }
+
+  // Check that an order's delivery slot has room (js/slotCapacity.js).
+  // Before writing (no `orderId`) the slot needs a free place. After writing, the order
+  // with `orderId` is in the slot already and `ranked` settles a race for the last place:
+  // the slot's orders are ranked by creation time and only the first `capacity` keep
+  // theirs, so of two customers taking the last place at once the later one loses it.
+  // An amended order keeps its old creation time, so it is checked unranked: the slot
+  // may not hold more orders than its capacity.
+  // Throws an error with code "slot_full", or "slot_unavailable" if the bookings can't be
+  // checked. Resolves to { capacity, booked } or null for slots without a limit.
+  async checkSlotCapacity(orderData, { orderId = null, ranked = true } = {}) {
+    const slotCapacity = window.slotCapacity;
+    if (!slotCapacity) return null;
+
+    const branchId = orderData.branch_id || orderData.branchId;
+    const fail = (code, message) => {
+      const error = new Error(message);
+      error.code = code;
       throw error;
+    };
+
+    let capacity = null;
+    let orders = [];
+    try {
+      capacity = slotCapacity.getCapacity(
+        slotCapacity.getSchedule(await this.getBranch(branchId)),
+        orderData.deliveryTime
+      );
+      if (capacity !== null) {
+        orders = await this.getSlotBookings(branchId, orderData.deliveryDate);
+      }
+    } catch (error) {
+      console.warn("⚠️ Could not check the delivery slot:", error);
+      fail("slot_unavailable", "We couldn't check the delivery slot. Please try again.");
+    }
+    if (capacity === null) return null;
+
+    const time = slotCapacity.normalizeTime(orderData.deliveryTime);
+    const slotOrders = orders
+      .filter((order) => slotCapacity.normalizeTime(order.deliveryTime) === time && slotCapacity.holdsSlot(order))
+      .sort((a, b) =>
+        String(a.$createdAt).localeCompare(String(b.$createdAt)) || String(a.$id).localeCompare(String(b.$id))
+      );
+
+    let full = slotOrders.length >= capacity;
+    if (orderId) {
+      const position = slotOrders.findIndex((order) => order.$id === orderId);
+      full = ranked
+        ? (position === -1 ? slotOrders.length : position) >= capacity
+        : slotOrders.length > capacity;
+    }
+
+    if (full) {
+      const minutes = window.workingHours ? window.workingHours.parseTime(time) : null;
+      const label = minutes === null ? time : window.workingHours.formatTime(minutes);
+      fail("slot_full", `The ${label} slot on ${orderData.deliveryDate} is full. Please choose another delivery time.`);
     }
+    return { capacity, booked: slotOrders.length };
   }
 
-  // Get orders by customer ID
-  async getOrdersByCustomer(customerId) {
-    const operation = async () => {
-      const result = await this.databases.listDocuments(
-        this.config.DATABASE_ID,
-        this.config.ORDERS_TABLE,
-        [Query.equal("customer_id", customerId), Query.orderDesc("$createdAt")]
+  // Subtotal, service fee and total in pesewas for a list of order_items (js/money.js)
+  calculateOrderTotal(items) {
+    return window.money.calculateTotals(items);
+  }
+
+  // The promotion applied to an order at checkout (promotionManager.toPromotion), or null
+  // for orders without one or whose promotion was deleted. Throws an error with code
+  // "discount_unavailable" if it can't be loaded.
+  async getOrderPromotion(order) {
+    if (!order.promotionId || !window.promotionManager) return null;
+
+    try {
+      return await window.promotionManager.getPromotion(order.promotionId);
+    } catch (error) {
+      console.warn("⚠️ Could not load the order's promotion:", error);
+      throw window.promotionManager.createError(
+        "discount_unavailable",
+        "We couldn't check your discount. Please try again."
       );
+    }
+  }
 
-      console.log("✅ Orders retrieved for customer:", result.documents);
-      return result.documents;
+  // Totals in pesewas of an order changed to `items`: calculateOrderTotal's plus the
+  // `deliveryFee` charged at checkout, which carries over, and the `discount`. The
+  // order's `promotion` (getOrderPromotion) is worked out again for the new items as of
+  // when the order was placed, so e.g. a percentage follows the subtotal and a minimum
+  // basket still applies; its usage was counted at checkout. Without the promotion the
+  // discount stays as it was. Either way it is never more than the items total.
+  getAmendedTotals(order, items, promotion = null) {
+    const totals = this.calculateOrderTotal(items);
+    const deliveryFee = window.money.toPesewas(order.deliveryFee || 0);
+    let discount = window.money.toPesewas(order.discountAmount || 0);
+
+    if (discount > 0 && promotion && window.promotionManager) {
+      const check = window.promotionManager.evaluate({ ...promotion, active: true }, {
+        items,
+        branchId: order.branch_id || order.branchId,
+        now: new Date(order.$createdAt || order.timestamp || Date.now()),
+      });
+      discount = check.eligible ? check.amount : 0;
+    }
+    discount = Math.min(discount, totals.total);
+
+    return { ...totals, deliveryFee, discount, total: totals.total + deliveryFee - discount };
+  }
+
+  // Work out which order_items to keep, re-quantity, remove and create.
+  // `desiredItems` is the full list the order should end up with: existing items keep
+  // their $id, new items have none and a quantity of 0 removes an item. Updates carry
+  // the `price` the customer was shown for the item (its stored price if not given).
+  planItemChanges(existingItems, desiredItems) {
+    const plan = { keep: [], update: [], remove: [], create: [] };
+
+    if (!Array.isArray(desiredItems)) {
+      plan.keep = [...existingItems];
+      return plan;
+    }
+
+    const desiredById = new Map();
+    desiredItems.forEach((item) => {
+      const quantity = Number(item.productQty ?? item.quantity ?? 0);
+
+      if (!item.$id) {
+        if (quantity > 0) plan.create.push({ ...item, quantity });
+        return;
+      }
+      if (!existingItems.some((existing) => existing.$id === item.$id)) {
+        throw new Error(`Item ${item.$id} does not belong to this order.`);
+      }
+      desiredById.set(item.$id, { quantity, price: item.price ?? item.productPrice });
+    });
+
+    existingItems.forEach((item) => {
+      const desired = desiredById.get(item.$id);
+      const quantity = desired ? desired.quantity : 0;
+
+      if (quantity <= 0) {
+        plan.remove.push(item);
+      } else if (quantity !== Number(item.productQty)) {
+        plan.update.push({ item, quantity, price: Number(desired.price ?? item.productPrice ?? 0) });
+      } else {
+        plan.keep.push(item);
+      }
+    });
+
+    return plan;
+  }
+
+  // Document data without Appwrite's $-prefixed system fields
+  stripSystemFields(document) {
+    return Object.keys(document).reduce((data, key) => {
+      if (!key.startsWith("$")) data[key] = document[key];
+      return data;
+    }, {});
+  }
+
+  // Reprice the lines an amendment adds or re-quantities (`lines`, as for
+  // checkCatalogPrices) from the branch catalog, the way priceOrder does for a checkout.
+  // Resolves to the checkCatalogPrices result, or throws an error with it as `pricing`
+  // and a `code` of "catalog_unavailable", "product_unavailable", "below_min_quantity"
+  // or "price_changed" when a line's price isn't the catalog's.
+  async priceItemChanges(lines, branchId) {
+    const pricing = await this.checkCatalogPrices(lines, branchId);
+
+    const fail = (code, message) => {
+      const error = new Error(message);
+      error.code = code;
+      error.pricing = pricing;
+      throw error;
     };
 
+    if (!pricing.checked) {
+      fail("catalog_unavailable", "We couldn't check the current prices. Please try again.");
+    }
+    if (pricing.unavailable.length > 0) {
+      fail(
+        "product_unavailable",
+        `Not sold by this branch: ${pricing.unavailable.map((item) => item.name || item.productName).join(", ")}.`
+      );
+    }
+    if (pricing.belowMinimum.length > 0) {
+      fail(
+        "below_min_quantity",
+        pricing.belowMinimum
+          .map((item) => `The minimum for ${item.name || item.productName} is ${item.minQuantity}.`)
+          .join(" ")
+      );
+    }
+    if (pricing.priceChanges.length > 0) {
+      fail(
+        "price_changed",
+        `Prices have changed: ${pricing.priceChanges
+          .map((item) => `${item.name || item.productName} is now ${window.money.formatAmount(item.currentPrice)}`)
+          .join(", ")}.`
+      );
+    }
+
+    return pricing;
+  }
+
+  // Customer-facing message for each step of amendOrder
+  getAmendStepErrorMessage(step, error) {
+    switch (step) {
+      case "load":
+        return "We couldn't load this order. Please check your connection and try again.";
+      case "validation":
+      case "pricing":
+      case "slot":
+        return error.message;
+      case "items":
+      case "order":
+        return "We couldn't save your changes, so the order was left as it was. Please try again.";
+      default:
+        return error.message || "Something went wrong while changing your order.";
+    }
+  }
+
+  // Amend a pending order's items and delivery slot.
+  // `changes` may hold `items` (see planItemChanges), `deliveryDate` and `deliveryTime`.
+  // Added and re-quantitied lines are priced from the branch catalog (priceItemChanges),
+  // so they fail at "pricing" before any write if the branch doesn't sell the product or
+  // its price isn't the one the customer was shown. The total is recomputed from the
+  // items (including the service fee) with the delivery fee and discount from checkout
+  // (getAmendedTotals) and a new slot is checked against the branch's working hours, fetched when `workingDays` isn't given,
+  // and its capacity (checkSlotCapacity; a full slot fails at "slot" with code "slot_full",
+  // before or after the order is written).
+  // Resolves to { success, step, order, items, error, message, rolledBack, rollbackFailures, validation, pricing }
+  // and, like createCompleteOrder, undoes every write made so far when a step fails.
+  async amendOrder(orderId, changes = {}, workingDays = null) {
+    const writes = [];
+    const result = {
+      success: false,
+      step: null,
+      order: null,
+      items: [],
+      error: null,
+      message: "",
+      rolledBack: false,
+      rollbackFailures: [],
+      validation: null,
+      pricing: null,
+    };
+    let step = "load";
+
     try {
-      return await this.retryOperation(operation);
+      const order = await this.data.orders.get(orderId);
+      const existingItems = await this.getOrderItems(orderId);
+
+      step = "validation";
+      if (!window.orderStatus.canAmend(order.orderStatus)) {
+        throw new Error(
+          `This order is ${window.orderStatus
+            .getLabel(order.orderStatus)
+            .toLowerCase()} and can no longer be changed.`
+        );
+      }
+
+      const plan = this.planItemChanges(existingItems, changes.items);
+      if (plan.keep.length + plan.update.length + plan.create.length === 0) {
+        throw new Error(
+          "An order needs at least one product. Cancel the order instead."
+        );
+      }
+
+      const deliveryDate = changes.deliveryDate || order.deliveryDate;
+      const deliveryTime = changes.deliveryTime || order.deliveryTime;
+      if (deliveryDate !== order.deliveryDate || deliveryTime !== order.deliveryTime) {
+        const validation = this.validateDateTimeWithWorkingDays(
+          deliveryDate,
+          deliveryTime,
+          workingDays || (await this.getBranchWorkingDays(order.branch_id))
+        );
+        result.validation = validation;
+
+        if (!validation.valid) {
+          throw new Error(validation.message);
+        }
+
+        step = "slot";
+        await this.checkSlotCapacity({ branch_id: order.branch_id, deliveryDate, deliveryTime });
+      }
+
+      // Every line that changes is written at the catalog's price, never the client's
+      step = "pricing";
+      const lines = [
+        ...plan.update.map(({ item, quantity, price }) => ({ ...item, productPrice: price, quantity })),
+        ...plan.create,
+      ];
+      if (lines.length > 0) {
+        try {
+          result.pricing = await this.priceItemChanges(lines, order.branch_id);
+        } catch (pricingError) {
+          result.pricing = pricingError.pricing || null;
+          throw pricingError;
+        }
+      }
+      const promotion = Number(order.discountAmount) > 0 ? await this.getOrderPromotion(order) : null;
+      const pricedLines = result.pricing ? result.pricing.items : [];
+      const pricedUpdates = pricedLines.slice(0, plan.update.length);
+      const pricedCreates = pricedLines
+        .slice(plan.update.length)
+        .map((item) => ({ ...item, price: item.currentPrice }));
+
+      step = "items";
+      const updatedItems = [];
+      for (const [index, { item, quantity }] of plan.update.entries()) {
+        const restore = { productQty: item.productQty, productPrice: item.productPrice };
+        const updated = await this.retryOperation(() =>
+          this.data.orderItems.update(item.$id, {
+            productQty: quantity,
+            productPrice: pricedUpdates[index].currentPrice,
+          })
+        );
+        writes.push({
+          table: this.config.ORDER_ITEMS_TABLE,
+          id: item.$id,
+          restore,
+        });
+        updatedItems.push(updated);
+      }
+
+      for (const item of plan.remove) {
+        await this.retryOperation(() =>
+          this.data.orderItems.delete(item.$id)
+        );
+        writes.push({
+          table: this.config.ORDER_ITEMS_TABLE,
+          id: item.$id,
+          restore: this.stripSystemFields(item),
+          recreate: true,
+        });
+      }
+
+      let createdItems = [];
+      if (pricedCreates.length > 0) {
+        try {
+          createdItems = await this.createOrderItems(orderId, pricedCreates, order);
+        } catch (itemsError) {
+          (itemsError.createdItems || []).forEach((item) =>
+            writes.push({ table: this.config.ORDER_ITEMS_TABLE, id: item.$id })
+          );
+          throw itemsError;
+        }
+        createdItems.forEach((item) =>
+          writes.push({ table: this.config.ORDER_ITEMS_TABLE, id: item.$id })
+        );
+      }
+
+      step = "order";
+      const items = [...plan.keep, ...updatedItems, ...createdItems];
+      const totals = this.getAmendedTotals(order, items, promotion);
+      const orderChanges = {
+        deliveryDate,
+        deliveryTime,
+        total: window.money.toAmountString(totals.total),
+      };
+      const restore = { deliveryDate: order.deliveryDate, deliveryTime: order.deliveryTime, total: order.total };
+      if (totals.discount !== window.money.toPesewas(order.discountAmount || 0)) {
+        orderChanges.discountAmount = window.money.toAmountString(totals.discount);
+        restore.discountAmount = order.discountAmount;
+      }
+      result.order = await this.retryOperation(() =>
+        this.data.orders.update(orderId, orderChanges)
+      );
+      writes.push({
+        table: this.config.ORDERS_TABLE,
+        id: orderId,
+        restore,
+      });
+
+      // Another order may have taken the last place in the new slot meanwhile
+      if (deliveryDate !== order.deliveryDate || deliveryTime !== order.deliveryTime) {
+        step = "slot";
+        await this.checkSlotCapacity(
+          { branch_id: order.branch_id, deliveryDate, deliveryTime },
+          { orderId, ranked: false }
+        );
+      }
+      result.items = items;
+      result.success = true;
+
+      console.log(`✅ Order ${orderId} amended, new total: ${window.money.format(totals.total)}`);
+      return result;
+    } catch (error) {
+      console.error(`❌ Error amending order (step: ${step}):`, error);
+
+      result.step = step;
+      result.error = error;
+      result.message = this.getAmendStepErrorMessage(step, error);
+
+      if (writes.length > 0) {
+        result.rollbackFailures = await this.rollbackCreatedDocuments(writes);
+        result.rolledBack = result.rollbackFailures.length === 0;
+      }
+
+      result.order = null;
+      result.items = [];
+      return result;
+    }
+  }
+
+  // Get orders by customer ID
+  async getOrdersByCustomer(customerId) {
+    try {
+      const orders = await this.getAllOrders({ customerId });
+      console.log("✅ Orders retrieved for customer:", orders.length);
+      return orders;
     } catch (error) {
       console.error("❌ Error getting orders after retries:", error);
       return [];
@@ -667,11 +1731,7 @@ class OrderManager {
   // Get order items for an order
   async getOrderItems(orderId) {
     const operation = async () => {
-      const result = await this.databases.listDocuments(
-        this.config.DATABASE_ID,
-        this.config.ORDER_ITEMS_TABLE,
-        [Query.equal("orderId", orderId)]
-      );
+      const result = await this.data.orderItems.list([Query.equal("orderId", orderId)]);
 
       return result.documents;
     };
@@ -691,16 +1751,14 @@ class OrderManager {
       console.log("🔍 Table:", this.config.PURCHASE_RECIPIENT_TABLE);
       console.log("🔍 Database:", this.config.DATABASE_ID);
 
-      const result = await this.databases.listDocuments(
-        this.config.DATABASE_ID,
-        this.config.PURCHASE_RECIPIENT_TABLE,
-        [Query.equal("order_id", orderId)]
-      );
+      const result = await this.data.recipients.list([Query.equal("order_id", orderId)]);
 
       console.log("🔍 Purchase recipient query result:", result);
       console.log("🔍 Found recipient info:", result.documents);
 
-      return result.documents.length > 0 ? result.documents[0] : null;
+      return result.documents.length > 0
+        ? await this.cleanStoredRecipientInfo(result.documents[0])
+        : null;
     };
 
     try {
@@ -724,6 +1782,681 @@ class OrderManager {
       return null;
     }
   }
+
+  // --- Multi-branch checkout ---------------------------------------------
+  // A basket can hold products from several branches. It is placed as one order
+  // per branch, each with its own items, service fee and delivery slot, and every
+  // order carries the basket's checkout ID (checkoutId) so they can be found,
+  // paid and printed together.
+
+  // Idempotency key of the n-th branch order of a checkout: the 16 char checkout ID and
+  // one base-36 digit. Item IDs add "i" and the line number (buildOrderItem), so an order
+  // of up to MAX_CHECKOUT_LINES lines keeps them within 20 chars.
+  getCheckoutOrderKey(checkoutId, index) {
+    if (index >= this.MAX_CHECKOUT_BRANCHES) {
+      throw new Error(`A checkout can hold at most ${this.MAX_CHECKOUT_BRANCHES} branch orders.`);
+    }
+    return `${checkoutId}${index.toString(36)}`;
+  }
+
+  // Place a multi-branch basket.
+  // `checkout` holds the fields shared by every order (customer, address, payment
+  // method, transactionId) and `idempotencyKey`, which becomes the checkout ID.
+  // `branches` has one entry per branch:
+  // { branchId, name, items, deliveryDate, deliveryTime, workingDays, orderComment,
+  // deliveryFee, deliveryDistance } (the delivery fee in cedis and distance in km as
+  // quoted for that branch). Every branch's slot, prices and delivery fee are checked
+  // before anything is written. If a
+  // branch's order then fails, the orders already placed are rolled back too.
+  // Resolves to { success, checkoutId, orders, totals, step, branchId, branchName,
+  // error, message, pricing, rollbackFailures } where `orders` holds one
+  // createCompleteOrder result per branch and `totals` the combined pesewa totals.
+  async createMultiBranchCheckout(checkout, branches, recipientData = null) {
+    const checkoutId = checkout.idempotencyKey || this.generateIdempotencyKey();
+    const result = {
+      success: false,
+      checkoutId,
+      orders: [],
+      totals: { quantity: 0, subtotal: 0, serviceFee: 0, deliveryFee: 0, total: 0 },
+      step: null,
+      branchId: null,
+      branchName: null,
+      error: null,
+      message: "",
+      pricing: null,
+      rollbackFailures: [],
+    };
+    const fail = (step, branch, error) => {
+      result.step = step;
+      result.branchId = branch ? branch.branchId : null;
+      result.branchName = branch ? branch.name || branch.branchId : null;
+      result.error = error;
+      const message = this.getOrderStepErrorMessage(step, error);
+      result.message = branch && ["validation", "pricing", "slot"].includes(step)
+        ? `${result.branchName}: ${message}`
+        : message;
+      return result;
+    };
+
+    if (!branches || branches.length === 0) {
+      return fail("validation", null, new Error("Your basket is empty."));
+    }
+    if (branches.length > this.MAX_CHECKOUT_BRANCHES) {
+      return fail(
+        "validation",
+        null,
+        new Error(`Your basket can hold products from at most ${this.MAX_CHECKOUT_BRANCHES} branches.`)
+      );
+    }
+    const crowded = branches.find((branch) => (branch.items || []).length > this.MAX_CHECKOUT_LINES);
+    if (crowded) {
+      return fail(
+        "validation",
+        crowded,
+        new Error(`An order can hold at most ${this.MAX_CHECKOUT_LINES} products.`)
+      );
+    }
+
+    if (recipientData) {
+      try {
+        this.normalizeRecipientContact(recipientData);
+      } catch (error) {
+        return fail("validation", null, error);
+      }
+    }
+
+    // Check every branch before the first write
+    const pricings = [];
+    const deliveries = [];
+    for (let index = 0; index < branches.length; index++) {
+      const branch = branches[index];
+      const validation = this.validateDateTimeWithWorkingDays(
+        branch.deliveryDate,
+        branch.deliveryTime,
+        branch.workingDays || []
+      );
+      if (!validation.valid) {
+        return fail("validation", branch, new Error(validation.message));
+      }
+
+      try {
+        await this.checkSlotCapacity({
+          branch_id: branch.branchId,
+          deliveryDate: branch.deliveryDate,
+          deliveryTime: branch.deliveryTime,
+        }, { orderId: this.getCheckoutOrderKey(checkoutId, index) });
+      } catch (error) {
+        return fail("slot", branch, error);
+      }
+
+      try {
+        // Each branch's cart total (what the customer saw) must match its catalog
+        const cartTotal = window.money.toCedis(window.money.calculateTotals(branch.items).total);
+        const pricing = await this.priceOrder({ branch_id: branch.branchId, total: cartTotal }, branch.items);
+        pricings.push(pricing);
+        deliveries.push(await this.priceDelivery(
+          {
+            branch_id: branch.branchId,
+            deliveryAddress: checkout.deliveryAddress,
+            deliveryFee: branch.deliveryFee,
+            deliveryDistance: branch.deliveryDistance,
+          },
+          pricing.totals.subtotal
+        ));
+      } catch (error) {
+        result.pricing = error.pricing || null;
+        return fail("pricing", branch, error);
+      }
+    }
+
+    for (let index = 0; index < branches.length; index++) {
+      const branch = branches[index];
+      const orderResult = await this.createCompleteOrder(
+        {
+          ...checkout,
+          branch_id: branch.branchId,
+          deliveryDate: branch.deliveryDate,
+          deliveryTime: branch.deliveryTime,
+          orderComment: branch.orderComment ?? checkout.orderComment ?? "",
+          deliveryFee: branch.deliveryFee,
+          deliveryDistance: branch.deliveryDistance,
+          checkoutId,
+          idempotencyKey: this.getCheckoutOrderKey(checkoutId, index),
+        },
+        branch.items,
+        branch.workingDays || [],
+        recipientData,
+        // Promo codes are not offered for baskets
+        { pricing: pricings[index], delivery: deliveries[index], promotions: false }
+      );
+
+      if (!orderResult.success) {
+        result.pricing = orderResult.pricing;
+        fail(orderResult.step, branch, orderResult.error);
+        result.rollbackFailures = await this.rollbackCheckoutOrders(result.orders);
+        result.orders = [];
+        return result;
+      }
+
+      result.orders.push(orderResult);
+      const deliveryAmount = orderResult.delivery ? orderResult.delivery.fee : 0;
+      const orderTotals = {
+        ...orderResult.pricing.totals,
+        deliveryFee: deliveryAmount,
+        total: orderResult.pricing.totals.total + deliveryAmount,
+      };
+      Object.keys(result.totals).forEach((key) => {
+        result.totals[key] += orderTotals[key];
+      });
+    }
+
+    result.success = true;
+    console.log(`✅ Checkout ${checkoutId} placed as ${result.orders.length} orders`);
+    return result;
+  }
+
+  // Delete the orders of a failed multi-branch checkout (items, recipient info,
+  // status event and order). Orders that already existed before this attempt stay.
+  async rollbackCheckoutOrders(orderResults) {
+    const documents = [];
+    orderResults
+      .filter((orderResult) => !orderResult.replayed)
+      .forEach((orderResult) => {
+        const orderId = orderResult.order.$id;
+        documents.push({ table: this.config.ORDERS_TABLE, id: orderId });
+        documents.push({ table: this.config.ORDER_EVENTS_TABLE, id: this.getOrderEventId(orderId, "pending") });
+        orderResult.items.forEach((item) => {
+          documents.push({ table: this.config.ORDER_ITEMS_TABLE, id: item.$id });
+        });
+        if (orderResult.recipient) {
+          documents.push({ table: this.config.PURCHASE_RECIPIENT_TABLE, id: orderResult.recipient.$id });
+        }
+      });
+
+    return this.rollbackCreatedDocuments(documents);
+  }
+
+  // The orders of a multi-branch checkout, in the order they were placed
+  async getCheckoutOrders(checkoutId) {
+    const result = await this.retryOperation(() =>
+      this.data.orders.list(
+        [
+          this.Query.equal("checkoutId", checkoutId),
+          this.Query.orderAsc("orderId"),
+          this.Query.limit(this.MAX_PAGE_SIZE),
+        ]
+      )
+    );
+    return result.documents;
+  }
+
+  // --- Order status events -----------------------------------------------
+  // Every status an order reaches is recorded once in the order_events collection
+  // ({ order_id, status, previous_status, actor, note, occurred_at }). The document
+  // ID is the order ID plus the status, so recording the same move twice is harmless
+  // (statuses never repeat, see js/orderStatus.js). Events are cached per order so
+  // the timeline still shows offline.
+
+  getOrderEventId(orderId, status) {
+    return `${orderId}_${status}`;
+  }
+
+  // Stored document -> { id, orderId, status, previousStatus, actor, note, at }
+  toOrderEvent(doc) {
+    return {
+      id: doc.$id || this.getOrderEventId(doc.order_id, doc.status),
+      orderId: doc.order_id,
+      status: doc.status,
+      previousStatus: doc.previous_status || null,
+      actor: doc.actor || "system",
+      note: doc.note || "",
+      at: doc.occurred_at || doc.$createdAt || null,
+    };
+  }
+
+  // Oldest first; events without a time go last
+  sortOrderEvents(events) {
+    const time = (event) => (event.at ? new Date(event.at).getTime() : Infinity);
+    return [...events].sort((a, b) => time(a) - time(b));
+  }
+
+  async getCachedOrderEvents(orderId) {
+    if (!window.cacheManager) return [];
+    return (await window.cacheManager.getCache("order_events", orderId)) || [];
+  }
+
+  // Merge events into the order's cached copy (one per status) and return the result
+  async cacheOrderEvents(orderId, events) {
+    const byStatus = new Map();
+    [...(await this.getCachedOrderEvents(orderId)), ...events].forEach((event) => {
+      byStatus.set(event.status, event);
+    });
+
+    const merged = this.sortOrderEvents([...byStatus.values()]);
+    if (window.cacheManager) {
+      await window.cacheManager.setCache("order_events", merged, orderId);
+    }
+    return merged;
+  }
+
+  // Record that an order reached `status`. Never throws: the status change itself
+  // has already happened, so a failed write is only logged. Returns the event or null.
+  async recordOrderEvent(orderId, status, { actor = "system", previousStatus = null, note = "", at = null } = {}) {
+    try {
+      const doc = await this.createDocumentOnce(
+        this.config.ORDER_EVENTS_TABLE,
+        this.getOrderEventId(orderId, status),
+        {
+          order_id: orderId,
+          status,
+          previous_status: previousStatus || "",
+          actor,
+          note: note || "",
+          occurred_at: at || new Date().toISOString(),
+        }
+      );
+
+      const event = this.toOrderEvent(doc);
+      await this.cacheOrderEvents(orderId, [event]);
+      return event;
+    } catch (error) {
+      console.warn(`⚠️ Could not record ${status} event for order ${orderId}:`, error);
+      return null;
+    }
+  }
+
+  // Events of an order, oldest first. Served from the cache while offline or
+  // when the collection cannot be read.
+  async getOrderEvents(orderId) {
+    if (window.cacheManager && window.cacheManager.isOffline()) {
+      return this.sortOrderEvents(await this.getCachedOrderEvents(orderId));
+    }
+
+    try {
+      const result = await this.data.collection(this.config.ORDER_EVENTS_TABLE).list(
+        [this.Query.equal("order_id", orderId), this.Query.limit(this.MAX_PAGE_SIZE)]
+      );
+      return await this.cacheOrderEvents(orderId, result.documents.map((doc) => this.toOrderEvent(doc)));
+    } catch (error) {
+      console.warn("⚠️ Could not load order events, using cached copy:", error);
+      return this.sortOrderEvents(await this.getCachedOrderEvents(orderId));
+    }
+  }
+
+  // Events of an order for display. Fills in what was never recorded: the
+  // "pending" event of orders placed before events existed (at $createdAt) and a
+  // status set outside OrderManager, e.g. by the branch (at $updatedAt, the best
+  // time we have). Online, the missing events are written back.
+  async getOrderTimeline(order) {
+    const orderId = order.$id || order.orderId;
+    const events = await this.getOrderEvents(orderId);
+    const offline = !!(window.cacheManager && window.cacheManager.isOffline());
+
+    const addEvent = async (status, details) => {
+      const event = offline ? null : await this.recordOrderEvent(orderId, status, details);
+      events.push(event || this.toOrderEvent({
+        order_id: orderId,
+        status,
+        previous_status: details.previousStatus,
+        actor: details.actor,
+        note: details.note,
+        occurred_at: details.at,
+      }));
+    };
+
+    if (!events.some((event) => event.status === "pending")) {
+      await addEvent("pending", { actor: "customer", at: order.$createdAt || order.timestamp || null });
+    }
+
+    const current = window.orderStatus.normalize(order.orderStatus || order.status);
+    if (current && !events.some((event) => event.status === current)) {
+      const previous = this.sortOrderEvents(events).pop().status;
+      await addEvent(current, {
+        actor: window.orderStatus.canTransition(previous, current, "company") ? "company" : "system",
+        previousStatus: previous,
+        note: current === "cancelled" ? order.cancellationReason || "" : "",
+        at: order.$updatedAt || null,
+      });
+    }
+
+    return this.sortOrderEvents(events);
+  }
+
+  // --- Container returns -------------------------------------------------
+  // Return/exchange requests live in the return_requests collection, one document
+  // per order item line. The order item's returnStatus, returnQty and returnComment
+  // fields mirror the item's requests so existing screens can show them.
+
+  createReturnError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  // Whether an order item is a container the customer can hand back
+  isReturnableItem(item) {
+    if (item.returnable === true) return true;
+    const type = String(item.productType || item.type || "").toLowerCase();
+    return this.RETURNABLE_TYPES.includes(type);
+  }
+
+  // Requests that still count against the item's quantity
+  isActiveReturn(request) {
+    return !["rejected", "cancelled"].includes(request.status);
+  }
+
+  getReturnStatusLabel(status) {
+    return this.RETURN_STATUS_LABELS[status] || String(status || "");
+  }
+
+  // Whether `actor` may move a return request to `status`. Returns end in
+  // "refunded", exchanges in "exchanged".
+  canUpdateReturnStatus(request, status, actor = "company") {
+    const allowed = (this.RETURN_TRANSITIONS[request.status] || {})[status];
+    if (!Array.isArray(allowed) || !allowed.includes(actor)) return false;
+    if (status === "refunded") return request.kind === "return";
+    if (status === "exchanged") return request.kind === "exchange";
+    return true;
+  }
+
+  // Return requests, newest first. `filters`: { customerId, orderId, orderItemId }
+  async getReturnRequests(filters = {}) {
+    const queries = [this.Query.orderDesc("$createdAt")];
+    if (filters.customerId) queries.push(this.Query.equal("customer_id", filters.customerId));
+    if (filters.orderId) queries.push(this.Query.equal("order_id", filters.orderId));
+    if (filters.orderItemId) queries.push(this.Query.equal("order_item_id", filters.orderItemId));
+
+    // Follow the cursor to the end, as getAllOrders does
+    const requests = [];
+    let lastId = null;
+    let hasMore = true;
+
+    while (hasMore) {
+      const pageQueries = [...queries, this.Query.limit(this.MAX_PAGE_SIZE)];
+      if (lastId) {
+        pageQueries.push(this.Query.cursorAfter(lastId));
+      }
+
+      const result = await this.retryOperation(() =>
+        this.data.collection(this.config.RETURNS_TABLE).list(pageQueries)
+      );
+
+      requests.push(...result.documents);
+      if (result.documents.length > 0) {
+        lastId = result.documents[result.documents.length - 1].$id;
+      }
+      hasMore = result.documents.length === this.MAX_PAGE_SIZE;
+    }
+
+    return requests;
+  }
+
+  // Quantity of an order item that can still be returned
+  getReturnableQuantity(item, requests) {
+    const requested = requests
+      .filter((request) => request.order_item_id === item.$id && this.isActiveReturn(request))
+      .reduce((sum, request) => sum + Number(request.quantity || 0), 0);
+    return Math.max(0, Number(item.productQty || 0) - requested);
+  }
+
+  // Upload the optional photo of a return to Appwrite Storage; resolves to the file ID
+  async uploadReturnPhoto(file) {
+    if (!window.storage) {
+      throw this.createReturnError("photo_unavailable", "Photos can't be uploaded right now. Try again without one.");
+    }
+
+    const uploaded = await this.retryOperation(() =>
+      window.storage.createFile(this.config.STORAGE_BUCKET_ID, this.ID.unique(), file)
+    );
+    return uploaded.$id;
+  }
+
+  getReturnPhotoUrl(photoId) {
+    if (!photoId || !window.storage) return "";
+    return String(window.storage.getFileView(this.config.STORAGE_BUCKET_ID, photoId));
+  }
+
+  // Request a return or exchange for items of a delivered order.
+  // `request`: { items: [{ orderItemId, quantity }], kind: "return" | "exchange",
+  // reason (a RETURN_REASONS key), comment, photo (File, optional) }.
+  // Resolves to the created return_requests documents. Errors carry a `code`
+  // ("not_returnable" | "invalid_return" | "photo_unavailable"); if a write fails,
+  // the requests created so far are deleted again.
+  async createReturnRequest(orderId, request) {
+    const order = await this.getOrder(orderId);
+    if (window.orderStatus.normalize(order.orderStatus) !== "completed") {
+      throw this.createReturnError(
+        "not_returnable",
+        "Returns can be requested once the order has been delivered."
+      );
+    }
+
+    const kind = request.kind || "return";
+    if (!["return", "exchange"].includes(kind)) {
+      throw this.createReturnError("invalid_return", "Choose a return or an exchange.");
+    }
+    if (!this.RETURN_REASONS[request.reason]) {
+      throw this.createReturnError("invalid_return", "Choose a reason for the return.");
+    }
+
+    const lines = (request.items || []).filter((line) => Number(line.quantity) > 0);
+    if (lines.length === 0) {
+      throw this.createReturnError("invalid_return", "Choose at least one item to return.");
+    }
+
+    const existing = await this.getReturnRequests({ orderId });
+    lines.forEach((line) => {
+      const item = order.items.find((orderItem) => orderItem.$id === line.orderItemId);
+      if (!item) {
+        throw this.createReturnError("invalid_return", "That item is not part of this order.");
+      }
+
+      const available = this.getReturnableQuantity(item, existing);
+      if (!Number.isInteger(Number(line.quantity)) || Number(line.quantity) > available) {
+        throw this.createReturnError(
+          "invalid_return",
+          `You can return at most ${available} × ${item.productName}.`
+        );
+      }
+    });
+
+    const photoId = request.photo ? await this.uploadReturnPhoto(request.photo) : "";
+    const now = new Date().toISOString();
+    const created = [];
+
+    try {
+      for (const line of lines) {
+        const item = order.items.find((orderItem) => orderItem.$id === line.orderItemId);
+        const doc = await this.retryOperation(() =>
+          this.data.collection(this.config.RETURNS_TABLE).create(
+            this.ID.unique(),
+            {
+              order_id: orderId,
+              order_item_id: item.$id,
+              customer_id: order.customer_id,
+              branch_id: order.branch_id || item.branchId || "",
+              product_id: item.productId || "",
+              product_name: item.productName || "",
+              product_type: item.productType || "",
+              kind,
+              quantity: Number(line.quantity),
+              reason: request.reason,
+              comment: (request.comment || "").trim(),
+              photo_id: photoId,
+              status: "requested",
+              status_history: JSON.stringify([{ status: "requested", at: now, actor: "customer" }]),
+            }
+          )
+        );
+        created.push(doc);
+      }
+
+      await Promise.all(created.map((doc) => this.syncItemReturnFields(doc.order_item_id)));
+    } catch (error) {
+      console.error("❌ Error creating return request:", error);
+      await this.rollbackCreatedDocuments(
+        created.map((doc) => ({ table: this.config.RETURNS_TABLE, id: doc.$id }))
+      );
+      throw error;
+    }
+
+    console.log(`✅ Return requested for ${created.length} items of order ${orderId}`);
+    return created;
+  }
+
+  // Move a return request along requested -> approved -> picked_up -> refunded/exchanged
+  // (or rejected/cancelled), recording each step in status_history
+  async updateReturnStatus(returnId, status, actor = "company") {
+    const request = await this.data.collection(this.config.RETURNS_TABLE).get(returnId);
+
+    if (!this.canUpdateReturnStatus(request, status, actor)) {
+      throw this.createReturnError(
+        "invalid_transition",
+        `A return that is ${this.getReturnStatusLabel(request.status).toLowerCase()} cannot be ${this.getReturnStatusLabel(status).toLowerCase()} by the ${actor}.`
+      );
+    }
+
+    let history = [];
+    try {
+      history = JSON.parse(request.status_history || "[]");
+    } catch (error) {
+      console.warn("⚠️ Invalid return status history, starting a new one:", error);
+    }
+    history.push({ status, at: new Date().toISOString(), actor });
+
+    const updated = await this.retryOperation(() =>
+      this.data.collection(this.config.RETURNS_TABLE).update(
+        returnId,
+        { status, status_history: JSON.stringify(history) }
+      )
+    );
+
+    await this.syncItemReturnFields(request.order_item_id);
+    console.log(`✅ Return ${returnId}: ${request.status} -> ${status}`);
+    return updated;
+  }
+
+  async cancelReturnRequest(returnId) {
+    return this.updateReturnStatus(returnId, "cancelled", "customer");
+  }
+
+  // Mirror an item's requests on the order item: status of the newest active
+  // request (or "none"), the quantity of all active requests and the newest reason
+  async syncItemReturnFields(orderItemId) {
+    const requests = await this.getReturnRequests({ orderItemId });
+    const active = requests.filter((request) => this.isActiveReturn(request));
+    const latest = active[0] || null;
+
+    return this.retryOperation(() =>
+      this.data.orderItems.update(
+        orderItemId,
+        {
+          returnStatus: latest ? latest.status : "none",
+          returnQty: active.reduce((sum, request) => sum + Number(request.quantity || 0), 0),
+          returnComment: latest
+            ? [this.RETURN_REASONS[latest.reason], latest.comment].filter(Boolean).join(": ")
+            : "",
+        }
+      )
+    );
+  }
+
+  // Documents of a collection whose `field` holds one of the order IDs: up to
+  // MAX_PAGE_SIZE orders per query, each query paged with a cursor
+  async listDocumentsForOrders(collectionId, field, orderIds) {
+    const documents = [];
+    for (let i = 0; i < orderIds.length; i += this.MAX_PAGE_SIZE) {
+      let cursor = null;
+      let page;
+      do {
+        const queries = [
+          this.Query.equal(field, orderIds.slice(i, i + this.MAX_PAGE_SIZE)),
+          this.Query.limit(this.MAX_PAGE_SIZE),
+        ];
+        if (cursor) queries.push(this.Query.cursorAfter(cursor));
+
+        page = await this.retryOperation(() =>
+          this.data.collection(collectionId).list(queries)
+        );
+        documents.push(...page.documents);
+        cursor = page.documents.length > 0 ? page.documents[page.documents.length - 1].$id : null;
+      } while (page.documents.length === this.MAX_PAGE_SIZE);
+    }
+    return documents;
+  }
+
+  // Order items of many orders at once
+  async getItemsForOrders(orderIds) {
+    return this.listDocumentsForOrders(this.config.ORDER_ITEMS_TABLE, "orderId", orderIds);
+  }
+
+  // Purchase recipient info of many orders at once, as a Map of order ID -> document.
+  // Orders whose recipient can't be read (permissions) are left out.
+  async getRecipientsForOrders(orderIds) {
+    const recipients = new Map();
+    try {
+      const documents = await this.listDocumentsForOrders(
+        this.config.PURCHASE_RECIPIENT_TABLE,
+        "order_id",
+        orderIds
+      );
+      documents.forEach((document) => {
+        if (!recipients.has(document.order_id)) recipients.set(document.order_id, document);
+      });
+    } catch (error) {
+      console.warn("⚠️ Could not read purchase recipient info:", error);
+    }
+    return recipients;
+  }
+
+  // Returnable containers a customer holds: per product, how many were delivered on
+  // completed orders, handed back (picked up or settled), still being returned, and held.
+  // Resolves to { entries, totals, requests }.
+  async getContainerLedger(customerId) {
+    const orders = await this.getAllOrders({ customerId, status: "completed" });
+    const items = await this.getItemsForOrders(orders.map((order) => order.$id));
+
+    const requests = await this.getReturnRequests({ customerId });
+    const entries = new Map();
+    const getEntry = (key, source) => {
+      if (!entries.has(key)) {
+        entries.set(key, {
+          productId: source.productId || source.product_id || "",
+          productName: source.productName || source.product_name || "Container",
+          productType: source.productType || source.product_type || "",
+          delivered: 0,
+          returned: 0,
+          pending: 0,
+          held: 0,
+        });
+      }
+      return entries.get(key);
+    };
+
+    items.filter((item) => this.isReturnableItem(item)).forEach((item) => {
+      getEntry(item.productId || item.productName, item).delivered += Number(item.productQty || 0);
+    });
+
+    requests.filter((request) => this.isActiveReturn(request)).forEach((request) => {
+      const key = request.product_id || request.product_name;
+      if (!entries.has(key)) return;
+
+      const entry = entries.get(key);
+      if (["picked_up", "refunded", "exchanged"].includes(request.status)) {
+        entry.returned += Number(request.quantity || 0);
+      } else {
+        entry.pending += Number(request.quantity || 0);
+      }
+    });
+
+    const totals = { delivered: 0, returned: 0, pending: 0, held: 0 };
+    entries.forEach((entry) => {
+      entry.held = Math.max(0, entry.delivered - entry.returned);
+      Object.keys(totals).forEach((key) => { totals[key] += entry[key]; });
+    });
+
+    return { entries: [...entries.values()], totals, requests };
+  }
 }
 
 // Make OrderManager globally available
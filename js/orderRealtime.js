@@ -0,0 +1,348 @@
+/**
+ * Order Realtime
+ * Live updates of the signed-in customer's orders through Appwrite Realtime. Every
+ * change is written to the local order cache (localStorage phluowiseOrders, read by
+ * js/notifications.js) and passed to the onChange listeners. A dropped connection is
+ * retried with exponential backoff, and while realtime is unavailable the orders are
+ * polled instead.
+ */
+
+class OrderRealtime {
+    constructor(options = {}) {
+        this.CACHE_KEY = 'phluowiseOrders';
+        this.SYNC_LIMIT = options.syncLimit || 50; // Latest orders checked by sync()
+        this.POLL_INTERVAL = options.pollInterval || 30000;
+        this.HEALTH_CHECK_INTERVAL = options.healthCheckInterval || 15000;
+        this.RECONNECT_BASE_DELAY = options.reconnectBaseDelay || 1000;
+        this.RECONNECT_MAX_DELAY = options.reconnectMaxDelay || 60000;
+
+        this.customerId = null;
+        this.mode = 'idle'; // 'idle' | 'realtime' | 'polling'
+        this.listeners = new Set();
+        this.statuses = new Map(); // orderId -> last known status
+        this.unsubscribe = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.pollTimer = null;
+        this.healthTimer = null;
+        this.syncing = null;
+
+        window.addEventListener('online', () => {
+            if (this.customerId && this.mode !== 'realtime') {
+                this.reconnectNow();
+            }
+        });
+    }
+
+    /**
+     * Call `listener(change)` for every change, where change is
+     * { type: 'create' | 'update' | 'delete' | 'sync', orderId, order, status, previousStatus, statusChanged }.
+     * A 'sync' change (no order) follows each poll. Returns a function that removes the listener.
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(change) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('❌ Order update listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Follow a customer's orders. Starting again for the same customer does nothing.
+     */
+    start(customerId) {
+        if (!customerId || customerId === this.customerId) return;
+
+        this.stop();
+        this.customerId = customerId;
+        this.readCache().forEach(entry => this.statuses.set(entry.orderId, entry.status));
+        this.connect();
+    }
+
+    /**
+     * Follow the orders of the signed-in customer, if any
+     */
+    async startForCurrentUser() {
+        if (!window.account) return;
+
+        try {
+            const user = await window.account.get();
+            this.start(user.$id);
+        } catch (error) {
+            // Not signed in: there are no orders to follow
+        }
+    }
+
+    stop() {
+        this.disconnect();
+        this.stopPolling();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.customerId = null;
+        this.statuses.clear();
+        this.mode = 'idle';
+    }
+
+    getChannel() {
+        const config = window.appwriteConfig;
+        return `databases.${config.DATABASE_ID}.collections.${config.ORDERS_TABLE}.documents`;
+    }
+
+    isRealtimeAvailable() {
+        return !!(window.client && typeof window.client.subscribe === 'function' && typeof WebSocket !== 'undefined');
+    }
+
+    connect() {
+        if (!this.customerId) return;
+
+        if (!this.isRealtimeAvailable()) {
+            console.log('📡 Realtime not available, polling order updates');
+            this.mode = 'polling';
+            this.startPolling();
+            return;
+        }
+
+        try {
+            this.unsubscribe = window.client.subscribe(this.getChannel(), event => this.handleEvent(event));
+            this.mode = 'realtime';
+            this.stopPolling();
+            this.startHealthCheck();
+            console.log('📡 Subscribed to order updates');
+
+            // Catch up on anything missed while disconnected
+            this.sync();
+        } catch (error) {
+            console.warn('⚠️ Could not subscribe to order updates:', error);
+            this.scheduleReconnect();
+        }
+    }
+
+    disconnect() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+
+        if (this.unsubscribe) {
+            try {
+                this.unsubscribe();
+            } catch (error) {
+                // The socket is already gone
+            }
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Whether the realtime socket is open. SDKs that don't expose it are trusted.
+     */
+    isConnected() {
+        const realtime = window.client && window.client.realtime;
+        if (!realtime) return !!this.unsubscribe;
+
+        return !!realtime.socket && realtime.socket.readyState === WebSocket.OPEN;
+    }
+
+    startHealthCheck() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = setInterval(() => {
+            if (this.isConnected()) {
+                this.reconnectAttempts = 0;
+            } else {
+                console.warn('⚠️ Order updates disconnected');
+                this.scheduleReconnect();
+            }
+        }, this.HEALTH_CHECK_INTERVAL);
+    }
+
+    /**
+     * Poll until the next attempt, which waits twice as long as the last one
+     */
+    scheduleReconnect() {
+        this.disconnect();
+        this.mode = 'polling';
+        this.startPolling();
+
+        const delay = Math.min(this.RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempts), this.RECONNECT_MAX_DELAY);
+        this.reconnectAttempts++;
+        console.log(`🔄 Reconnecting order updates in ${delay}ms`);
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    reconnectNow() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.disconnect();
+        this.connect();
+    }
+
+    startPolling() {
+        if (this.pollTimer) return;
+
+        this.sync();
+        this.pollTimer = setInterval(() => this.sync(), this.POLL_INTERVAL);
+    }
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    handleEvent(event) {
+        const order = event && event.payload;
+        if (!order || order.customer_id !== this.customerId) return;
+
+        const events = event.events || [];
+        const type = events.some(name => name.endsWith('.delete'))
+            ? 'delete'
+            : (events.some(name => name.endsWith('.create')) ? 'create' : 'update');
+
+        this.applyOrder(order, type);
+    }
+
+    /**
+     * Read the customer's latest orders and apply any status change
+     */
+    async sync() {
+        if (!this.customerId || !window.dataStore || this.syncing) return this.syncing;
+
+        const customerId = this.customerId;
+        this.syncing = (async () => {
+            try {
+                const result = await window.dataStore.orders.list([
+                    window.Query.equal('customer_id', customerId),
+                    window.Query.orderDesc('$createdAt'),
+                    window.Query.limit(this.SYNC_LIMIT)
+                ]);
+                if (customerId !== this.customerId) return;
+
+                result.documents.forEach(order => this.applyOrder(order, 'update', { quiet: true }));
+                this.emit({ type: 'sync', orderId: null, order: null, status: null, previousStatus: null, statusChanged: false });
+            } catch (error) {
+                console.warn('⚠️ Could not check for order updates:', error);
+            } finally {
+                this.syncing = null;
+            }
+        })();
+
+        return this.syncing;
+    }
+
+    normalizeStatus(status) {
+        return window.orderStatus
+            ? window.orderStatus.normalize(status) || 'pending'
+            : String(status || 'pending').toLowerCase();
+    }
+
+    /**
+     * Record an order's state and tell the listeners. With `quiet` (polling) only a
+     * status change of an order already known is passed on.
+     */
+    applyOrder(order, type, { quiet = false } = {}) {
+        const orderId = order.$id || order.orderId;
+        const status = this.normalizeStatus(order.orderStatus);
+        const previousStatus = this.statuses.has(orderId) ? this.statuses.get(orderId) : null;
+        const statusChanged = previousStatus !== null && previousStatus !== status;
+
+        if (type === 'delete') {
+            this.statuses.delete(orderId);
+        } else {
+            this.statuses.set(orderId, status);
+        }
+        this.updateCache(order, type, status);
+
+        if (!quiet || statusChanged) {
+            this.emit({ type, orderId, order, status, previousStatus, statusChanged });
+        }
+    }
+
+    readCache() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(this.CACHE_KEY) || '[]');
+            return Array.isArray(cached) ? cached : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Name of the company an order was placed with, from the companies CompanyDataManager
+    // has loaded (js/companyData.js), or '' until it has
+    getCompanyName(order) {
+        const branchId = order.branch_id || order.branchId;
+        const companies = (window.companyDataManager && window.companyDataManager.companies) || [];
+        const company = branchId ? companies.find(entry => entry.branch_id === branchId) : null;
+        return company ? company.name || company.branch_name || '' : '';
+    }
+
+    /**
+     * Write an order change into the local order cache. An order the pages cached already
+     * (with its products, recipient and isNew flag) keeps all of that and only gets the
+     * new status, delivery slot and total (an amended order's); an order not cached yet is
+     * added, newest first. The other entries are left as they are.
+     */
+    updateCache(order, type, status) {
+        const orderId = order.$id || order.orderId;
+        const entries = this.readCache();
+        const index = entries.findIndex(entry => entry.orderId === orderId);
+
+        if (type === 'delete') {
+            if (index === -1) return;
+            entries.splice(index, 1);
+        } else {
+            const changes = {
+                status,
+                statusText: window.orderStatus ? window.orderStatus.getLabel(status) : status,
+                statusColor: window.orderStatus ? window.orderStatus.getColor(status) : '',
+                updatedAt: order.$updatedAt || new Date().toISOString()
+            };
+            if (order.deliveryDate) changes.deliveryDate = order.deliveryDate;
+            if (order.deliveryTime) changes.deliveryTime = order.deliveryTime;
+            if (order.total !== undefined && order.total !== null && window.money) {
+                // As the pages cache it: total in cedis and price formatted
+                changes.total = window.money.toCedis(window.money.toPesewas(order.total));
+                changes.price = window.money.formatAmount(order.total);
+            }
+
+            if (index === -1) {
+                entries.push({
+                    orderId,
+                    company: this.getCompanyName(order),
+                    timestamp: order.$createdAt || new Date().toISOString(),
+                    ...changes
+                });
+                entries.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+            } else {
+                entries[index] = { ...entries[index], ...changes };
+            }
+        }
+
+        try {
+            localStorage.setItem(this.CACHE_KEY, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('⚠️ Could not cache order update:', error);
+        }
+    }
+}
+
+// Initialize order realtime globally once Appwrite is configured
+window.OrderRealtime = OrderRealtime;
+if (window.appwriteConfig) {
+    window.orderRealtime = new OrderRealtime();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderRealtime;
+}
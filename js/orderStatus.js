@@ -0,0 +1,188 @@
+/**
+ * Order Status
+ * Single source of truth for order states, the allowed transitions between
+ * them and which actor (customer, company, system) may trigger each one
+ */
+
+class OrderStatus {
+    constructor() {
+        this.STATUSES = {
+            PENDING: 'pending',
+            ACCEPTED: 'accepted',
+            PREPARING: 'preparing',
+            READY: 'ready',
+            COMPLETED: 'completed',
+            DENIED: 'denied',
+            CANCELLED: 'cancelled'
+        };
+
+        this.ACTORS = {
+            CUSTOMER: 'customer',
+            COMPANY: 'company',
+            SYSTEM: 'system'
+        };
+
+        // Older values still stored on existing orders
+        this.ALIASES = {
+            confirmed: 'accepted',
+            ongoing: 'completed',
+            delivered: 'completed',
+            rejected: 'denied',
+            canceled: 'cancelled'
+        };
+
+        // from -> { to: [actors allowed to make the move] }
+        this.TRANSITIONS = {
+            pending: {
+                accepted: ['company'],
+                denied: ['company'],
+                cancelled: ['customer', 'company', 'system']
+            },
+            accepted: {
+                preparing: ['company'],
+                ready: ['company'],
+                completed: ['customer', 'company'],
+                cancelled: ['company', 'system']
+            },
+            preparing: {
+                ready: ['company'],
+                completed: ['customer', 'company'],
+                cancelled: ['company', 'system']
+            },
+            ready: {
+                completed: ['customer', 'company']
+            },
+            completed: {},
+            denied: {},
+            cancelled: {}
+        };
+
+        // States in which the customer may still change items and delivery slot
+        this.AMENDABLE = ['pending'];
+
+        this.LABELS = {
+            pending: 'Pending',
+            accepted: 'Accepted',
+            preparing: 'Preparing',
+            ready: 'Ready',
+            completed: 'Completed',
+            denied: 'Denied',
+            cancelled: 'Cancelled'
+        };
+
+        this.COLORS = {
+            pending: '#F2A78C',
+            accepted: '#2C9043',
+            preparing: '#9333EA',
+            ready: '#10B981',
+            completed: '#2CAA48',
+            denied: '#F85D5D',
+            cancelled: '#EF4444'
+        };
+    }
+
+    /**
+     * Map any stored status (including legacy aliases) to a canonical state.
+     * Missing values are treated as pending; unknown values return null.
+     */
+    normalize(status) {
+        if (status === null || status === undefined || status === '') {
+            return this.STATUSES.PENDING;
+        }
+
+        const value = String(status).trim().toLowerCase();
+        if (this.TRANSITIONS[value]) return value;
+        return this.ALIASES[value] || null;
+    }
+
+    /**
+     * Every value that may be stored for a state: the canonical one plus its legacy aliases
+     */
+    getStoredValues(status) {
+        const state = this.normalize(status);
+        if (!state) return [];
+
+        return [state, ...Object.keys(this.ALIASES).filter(alias => this.ALIASES[alias] === state)];
+    }
+
+    isValid(status) {
+        return this.normalize(status) !== null;
+    }
+
+    isFinal(status) {
+        const state = this.normalize(status);
+        return state !== null && Object.keys(this.TRANSITIONS[state]).length === 0;
+    }
+
+    /**
+     * Whether `actor` may move an order from `from` to `to`
+     */
+    canTransition(from, to, actor = this.ACTORS.CUSTOMER) {
+        const fromState = this.normalize(from);
+        const toState = this.normalize(to);
+        if (!fromState || !toState) return false;
+
+        const allowedActors = this.TRANSITIONS[fromState][toState];
+        return Array.isArray(allowedActors) && allowedActors.includes(actor);
+    }
+
+    /**
+     * Throw if the transition is not allowed. The error carries a `code` of
+     * "invalid_status" or "invalid_transition" plus the from/to states.
+     */
+    assertTransition(from, to, actor = this.ACTORS.CUSTOMER) {
+        const fromState = this.normalize(from);
+        const toState = this.normalize(to);
+
+        if (!fromState || !toState) {
+            const error = new Error(`Unknown order status: ${!fromState ? from : to}`);
+            error.code = 'invalid_status';
+            throw error;
+        }
+
+        if (!this.canTransition(fromState, toState, actor)) {
+            const error = new Error(`An order that is ${this.getLabel(fromState).toLowerCase()} cannot be ${this.getLabel(toState).toLowerCase()} by the ${actor}.`);
+            error.code = 'invalid_transition';
+            error.from = fromState;
+            error.to = toState;
+            throw error;
+        }
+
+        return toState;
+    }
+
+    getAllowedTransitions(status, actor = this.ACTORS.CUSTOMER) {
+        const state = this.normalize(status);
+        if (!state) return [];
+
+        return Object.keys(this.TRANSITIONS[state])
+            .filter(to => this.TRANSITIONS[state][to].includes(actor));
+    }
+
+    canCancel(status, actor = this.ACTORS.CUSTOMER) {
+        return this.canTransition(status, this.STATUSES.CANCELLED, actor);
+    }
+
+    canAmend(status) {
+        return this.AMENDABLE.includes(this.normalize(status));
+    }
+
+    getLabel(status) {
+        const state = this.normalize(status);
+        return state ? this.LABELS[state] : String(status);
+    }
+
+    getColor(status) {
+        const state = this.normalize(status);
+        return (state && this.COLORS[state]) || '#6B7280';
+    }
+}
+
+// Initialize order status helper globally
+window.OrderStatus = OrderStatus;
+window.orderStatus = new OrderStatus();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderStatus;
+}
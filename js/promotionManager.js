@@ -0,0 +1,358 @@
+/**
+ * Promotion Manager
+ * Promo codes and automatic discount rules from the promotions collection, and the
+ * redemptions that count against their usage limits. Amounts are in pesewas
+ * (js/money.js). An order gets at most one promotion: the one worth most.
+ */
+
+class PromotionManager {
+    constructor() {
+        if (!window.appwriteConfig) {
+            throw new Error('Appwrite configuration not initialized. Make sure appwriteConfig.js is loaded before PromotionManager.');
+        }
+        if (!window.dataStore) {
+            throw new Error('Data backend not initialized. Make sure dataBackend.js is loaded before PromotionManager.');
+        }
+        if (!window.money) {
+            throw new Error('Money helper not initialized. Make sure money.js is loaded before PromotionManager.');
+        }
+
+        this.config = window.appwriteConfig;
+        this.data = window.dataStore; // js/dataBackend.js
+        this.Query = window.Query;
+        this.money = window.money;
+
+        this.MAX_PROMOTIONS = 100;
+        this.TARGETS = {
+            SUBTOTAL: 'subtotal',
+            SERVICE_FEE: 'service_fee'
+        };
+    }
+
+    normalizeCode(code) {
+        return String(code === null || code === undefined ? '' : code).trim().toUpperCase();
+    }
+
+    /**
+     * Error for a promotion that cannot be used; `code` names the rule that failed
+     */
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Stored document -> promotion. Promotions without a code apply automatically.
+     * Money values (discount_value for fixed discounts, min_basket) are in cedis and
+     * a limit of 0 means unlimited.
+     */
+    toPromotion(doc) {
+        const code = this.normalizeCode(doc.code);
+        return {
+            id: doc.$id,
+            code,
+            name: doc.name || code || 'Promotion',
+            automatic: !code,
+            discountType: doc.discount_type === 'fixed' ? 'fixed' : 'percentage',
+            value: Number(doc.discount_value) || 0,
+            appliesTo: doc.applies_to === this.TARGETS.SERVICE_FEE ? this.TARGETS.SERVICE_FEE : this.TARGETS.SUBTOTAL,
+            branchId: doc.branch_id || '',
+            minBasket: Number(doc.min_basket) || 0,
+            productTypes: Array.isArray(doc.product_types) ? doc.product_types : [],
+            minQuantity: parseInt(doc.min_quantity, 10) || 0,
+            firstOrderOnly: !!doc.first_order_only,
+            startsAt: doc.starts_at || null,
+            endsAt: doc.ends_at || null,
+            maxUses: parseInt(doc.max_uses, 10) || 0,
+            maxUsesPerUser: parseInt(doc.max_uses_per_user, 10) || 0,
+            active: doc.active !== false
+        };
+    }
+
+    // Promotions saved without a code have it empty or null, depending on how they were added
+    async getAutomaticPromotions() {
+        const results = await Promise.all([this.Query.equal('code', ''), this.Query.isNull('code')].map(noCode =>
+            this.data.collection(this.config.PROMOTIONS_TABLE).list([
+                this.Query.equal('active', true),
+                noCode,
+                this.Query.limit(this.MAX_PROMOTIONS)
+            ])
+        ));
+
+        const promotions = new Map();
+        results.forEach(result => result.documents.forEach(doc => promotions.set(doc.$id, this.toPromotion(doc))));
+        return Array.from(promotions.values());
+    }
+
+    async findPromotionByCode(code) {
+        const normalized = this.normalizeCode(code);
+        if (!normalized) return null;
+
+        const result = await this.data.collection(this.config.PROMOTIONS_TABLE).list(
+            [this.Query.equal('code', normalized), this.Query.limit(1)]
+        );
+        return result.documents.length > 0 ? this.toPromotion(result.documents[0]) : null;
+    }
+
+    // The promotion with this ID, or null if it was deleted
+    async getPromotion(promotionId) {
+        try {
+            const doc = await this.data.collection(this.config.PROMOTIONS_TABLE).get(promotionId);
+            return this.toPromotion(doc);
+        } catch (error) {
+            if (error.code === 404) return null;
+            throw error;
+        }
+    }
+
+    // Basket items the promotion targets (all of them without product types)
+    getTargetItems(promotion, items) {
+        if (promotion.productTypes.length === 0) return items;
+
+        const types = promotion.productTypes.map(type => String(type).toLowerCase());
+        return items.filter(item => types.includes(String(item.type || item.productType || '').toLowerCase()));
+    }
+
+    /**
+     * Check the rules that need no database (active, validity window, branch,
+     * minimum basket, product types and quantity) and work out the discount.
+     * `basket`: { items, branchId, now }. Returns { eligible, reason, message, amount }.
+     */
+    evaluate(promotion, { items = [], branchId = '', now = new Date() } = {}) {
+        const reject = (reason, message) => ({ eligible: false, reason, message, amount: 0 });
+
+        if (!promotion.active) {
+            return reject('inactive', 'This promo code is no longer active.');
+        }
+        if (promotion.startsAt && new Date(promotion.startsAt) > now) {
+            return reject('not_started', 'This promo code is not valid yet.');
+        }
+        if (promotion.endsAt && new Date(promotion.endsAt) < now) {
+            return reject('expired', 'This promo code has expired.');
+        }
+        if (promotion.branchId && promotion.branchId !== branchId) {
+            return reject('wrong_branch', 'This promo code is not valid at this branch.');
+        }
+
+        const basketTotals = this.money.calculateTotals(items);
+        if (basketTotals.subtotal < this.money.toPesewas(promotion.minBasket)) {
+            return reject('min_basket', `Spend at least ${this.money.formatAmount(promotion.minBasket)} to use this promotion.`);
+        }
+
+        const targetTotals = this.money.calculateTotals(this.getTargetItems(promotion, items));
+        if (targetTotals.quantity === 0 || targetTotals.quantity < promotion.minQuantity) {
+            const products = promotion.productTypes.length > 0 ? promotion.productTypes.join(' or ') : 'items';
+            return reject('min_quantity', `Add at least ${Math.max(1, promotion.minQuantity)} ${products} to use this promotion.`);
+        }
+
+        const base = promotion.appliesTo === this.TARGETS.SERVICE_FEE ? targetTotals.serviceFee : targetTotals.subtotal;
+        const amount = promotion.discountType === 'fixed'
+            ? Math.min(this.money.toPesewas(promotion.value), base)
+            : Math.round(base * Math.min(promotion.value, 100) / 100);
+
+        if (amount <= 0) {
+            return reject('no_discount', 'This promotion gives no discount on this order.');
+        }
+        return { eligible: true, reason: null, message: '', amount };
+    }
+
+    async countDocuments(table, queries) {
+        const result = await this.data.collection(table).list(
+            [...queries, this.Query.limit(1)]
+        );
+        return result.total;
+    }
+
+    /**
+     * Check the usage limits and the first-order rule for a customer. `orderId` is the
+     * order being placed when it may exist already (a replayed checkout): it and its
+     * redemption are not counted. Returns { eligible, reason, message }.
+     */
+    async checkUsage(promotion, customerId, orderId = null) {
+        const reject = (reason, message) => ({ eligible: false, reason, message });
+        const otherRedemptions = orderId ? [this.Query.notEqual('order_id', orderId)] : [];
+        const otherOrders = orderId ? [this.Query.notEqual('$id', orderId)] : [];
+
+        if (promotion.maxUses > 0) {
+            const uses = await this.countDocuments(this.config.PROMOTION_REDEMPTIONS_TABLE, [
+                this.Query.equal('promotion_id', promotion.id),
+                ...otherRedemptions
+            ]);
+            if (uses >= promotion.maxUses) {
+                return reject('used_up', 'This promotion has been fully redeemed.');
+            }
+        }
+
+        if ((promotion.maxUsesPerUser > 0 || promotion.firstOrderOnly) && !customerId) {
+            return reject('sign_in_required', 'Sign in to use this promotion.');
+        }
+
+        if (promotion.maxUsesPerUser > 0) {
+            const uses = await this.countDocuments(this.config.PROMOTION_REDEMPTIONS_TABLE, [
+                this.Query.equal('promotion_id', promotion.id),
+                this.Query.equal('customer_id', customerId),
+                ...otherRedemptions
+            ]);
+            if (uses >= promotion.maxUsesPerUser) {
+                return reject('already_used', 'You have already used this promotion.');
+            }
+        }
+
+        if (promotion.firstOrderOnly) {
+            const orders = await this.countDocuments(this.config.ORDERS_TABLE, [
+                this.Query.equal('customer_id', customerId),
+                ...otherOrders
+            ]);
+            if (orders > 0) {
+                return reject('not_first_order', 'This promotion is for your first order only.');
+            }
+        }
+
+        return { eligible: true, reason: null, message: '' };
+    }
+
+    // Redemptions matching `queries` written before `redemption` (by ID within the same instant)
+    async countEarlierRedemptions(redemption, queries) {
+        const table = this.config.PROMOTION_REDEMPTIONS_TABLE;
+        const [before, sameInstant] = await Promise.all([
+            this.countDocuments(table, [...queries, this.Query.lessThan('$createdAt', redemption.$createdAt)]),
+            this.countDocuments(table, [
+                ...queries,
+                this.Query.equal('$createdAt', redemption.$createdAt),
+                this.Query.lessThan('$id', redemption.$id)
+            ])
+        ]);
+        return before + sameInstant;
+    }
+
+    /**
+     * Check the usage limits again once a redemption is written. Checkouts placed at the
+     * same time can all pass checkUsage before any of them redeems, so the redemptions
+     * count in the order they were written: only the first maxUses (and the customer's
+     * first maxUsesPerUser) are eligible. Returns { eligible, reason, message }; an
+     * ineligible redemption should be deleted along with its order.
+     */
+    async checkRedemption(redemption) {
+        const reject = (reason, message) => ({ eligible: false, reason, message });
+
+        const promotion = await this.getPromotion(redemption.promotion_id);
+        if (!promotion) return { eligible: true, reason: null, message: '' };
+
+        const byPromotion = [this.Query.equal('promotion_id', promotion.id)];
+        if (promotion.maxUses > 0 && await this.countEarlierRedemptions(redemption, byPromotion) >= promotion.maxUses) {
+            return reject('used_up', 'This promotion has been fully redeemed.');
+        }
+
+        if (promotion.maxUsesPerUser > 0 && redemption.customer_id) {
+            const byCustomer = [...byPromotion, this.Query.equal('customer_id', redemption.customer_id)];
+            if (await this.countEarlierRedemptions(redemption, byCustomer) >= promotion.maxUsesPerUser) {
+                return reject('already_used', 'You have already used this promotion.');
+            }
+        }
+
+        return { eligible: true, reason: null, message: '' };
+    }
+
+    toDiscount(promotion, amount) {
+        return {
+            promotionId: promotion.id,
+            code: promotion.code,
+            name: promotion.name,
+            appliesTo: promotion.appliesTo,
+            amount
+        };
+    }
+
+    /**
+     * The best discount for a basket out of the promo code (if given) and every
+     * automatic promotion. `basket`: { items, branchId, customerId, code, now, orderId }
+     * (orderId: see checkUsage).
+     * Returns { discount, codeError } where `discount` is
+     * { promotionId, code, name, appliesTo, amount } or null, and `codeError` the
+     * reason the code could not be used ({ code, message }) or null.
+     */
+    async getBestDiscount(basket) {
+        const candidates = [];
+        let codeError = null;
+
+        const code = this.normalizeCode(basket.code);
+        if (code) {
+            const promotion = await this.findPromotionByCode(code);
+            if (promotion) {
+                candidates.push(promotion);
+            } else {
+                codeError = { code: 'unknown_code', message: `${code} is not a valid promo code.` };
+            }
+        }
+
+        try {
+            candidates.push(...await this.getAutomaticPromotions());
+        } catch (error) {
+            // A code can still be used without the automatic rules
+            console.warn('⚠️ Could not load automatic promotions:', error);
+        }
+
+        let best = null;
+        for (const promotion of candidates) {
+            const result = this.evaluate(promotion, basket);
+            const usage = result.eligible ? await this.checkUsage(promotion, basket.customerId, basket.orderId) : result;
+
+            if (!usage.eligible) {
+                if (!promotion.automatic) codeError = { code: usage.reason, message: usage.message };
+                continue;
+            }
+            if (!best || result.amount > best.amount) {
+                best = this.toDiscount(promotion, result.amount);
+            }
+        }
+
+        if (code && best && best.code !== code && !codeError) {
+            codeError = { code: 'better_promotion', message: `${best.name} saves you more than ${code}, so it was applied instead.` };
+        }
+
+        return { discount: best, codeError };
+    }
+
+    /**
+     * Totals (pesewas, from money.calculateTotals) with a discount taken off.
+     * Adds `discount` and what is left to pay of the service fee and of the subtotal,
+     * since the service fee is paid online and the rest on delivery.
+     */
+    applyToTotals(totals, discount) {
+        const amount = discount ? discount.amount : 0;
+        const onServiceFee = !!discount && discount.appliesTo === this.TARGETS.SERVICE_FEE;
+
+        return {
+            ...totals,
+            discount: amount,
+            total: totals.total - amount,
+            payableServiceFee: totals.serviceFee - (onServiceFee ? amount : 0),
+            payableSubtotal: totals.subtotal - (onServiceFee ? 0 : amount)
+        };
+    }
+
+    /**
+     * promotion_redemptions document for a discount applied to an order
+     */
+    buildRedemption(discount, orderId, customerId) {
+        return {
+            promotion_id: discount.promotionId,
+            code: discount.code,
+            customer_id: customerId || '',
+            order_id: orderId,
+            amount: this.money.toAmountString(discount.amount)
+        };
+    }
+}
+
+// Initialize promotion manager globally once Appwrite is configured
+window.PromotionManager = PromotionManager;
+if (window.appwriteConfig && window.dataStore && window.money) {
+    window.promotionManager = new PromotionManager();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromotionManager;
+}
@@ -0,0 +1,648 @@
+/**
+ * Receipt Generator
+ * Receipts built from order data rather than the page: an order as returned by
+ * OrderManager.getOrder (with its items), its purchase recipient and its branch.
+ * A receipt is drawn as a PDF (jsPDF) or as printable HTML, and several orders, such
+ * as the branch orders of a basket, make one document with a receipt each.
+ */
+
+class ReceiptGenerator {
+    constructor(orderManager = null) {
+        this.orderManager = orderManager;
+        this.BRAND = 'Phluowise';
+        this.BRAND_COLOR = [59, 116, 255];
+        this.PAYMENT_METHODS = {
+            mtn: 'MTN Mobile Money',
+            vodafone: 'Vodafone Cash',
+            airteltigo: 'AirtelTigo Money',
+            mobile: 'Mobile Money',
+            delivery: 'Pay on delivery'
+        };
+        this.SAVE_MESSAGES = {
+            file: 'Receipt saved to your Download folder.',
+            shared: 'Receipt ready to share.',
+            opened: 'Receipt opened. Use the share or save option to keep it.',
+            downloaded: 'Receipt downloaded.',
+            cancelled: 'Receipt not saved.'
+        };
+    }
+
+    getOrderManager() {
+        if (!this.orderManager) {
+            this.orderManager = new window.OrderManager();
+        }
+        return this.orderManager;
+    }
+
+    /**
+     * Receipt number such as "PW-20261019-4F7A2C": the day the order was placed (UTC)
+     * and the end of its ID, so every copy of a receipt carries the same number
+     */
+    getReceiptNumber(order) {
+        const placed = new Date(order.$createdAt || Date.now());
+        const day = (isNaN(placed.getTime()) ? new Date() : placed).toISOString().slice(0, 10).replace(/-/g, '');
+        const id = String(order.$id || order.orderId || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+        return `PW-${day}-${id.slice(-6) || '000000'}`;
+    }
+
+    getPaymentLabel(method) {
+        const key = String(method || '').toLowerCase();
+        if (this.PAYMENT_METHODS[key]) return this.PAYMENT_METHODS[key];
+        return method ? String(method) : 'Mobile Money';
+    }
+
+    formatDate(value) {
+        if (!value) return 'N/A';
+
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+        if (isNaN(date.getTime())) return String(value);
+
+        return date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+    }
+
+    formatTime(value) {
+        if (!value) return 'N/A';
+
+        const minutes = window.workingHours ? window.workingHours.parseTime(value) : null;
+        return minutes === null ? String(value) : window.workingHours.formatTime(minutes);
+    }
+
+    /**
+     * The receipt of an order (OrderManager.getOrder shape: order fields and `items`).
+     * `recipient` is its purchase recipient document and `branch` the branch from
+     * CompanyDataManager; both may be null. Amounts are in pesewas (js/money.js).
+     */
+    buildReceipt(order, { recipient = null, branch = null } = {}) {
+        const money = window.money;
+        const orderItems = order.items || [];
+        const totals = money.calculateTotals(orderItems);
+        const deliveryFee = money.toPesewas(order.deliveryFee || 0);
+        const discount = money.toPesewas(order.discountAmount || 0);
+        const distance = order.deliveryDistance;
+        const status = window.orderStatus
+            ? window.orderStatus.normalize(order.orderStatus) || 'pending'
+            : String(order.orderStatus || 'pending').toLowerCase();
+
+        return {
+            receiptNumber: this.getReceiptNumber(order),
+            orderId: order.$id || order.orderId || '',
+            checkoutId: order.checkoutId || null,
+            placedAt: order.$createdAt || null,
+            issuedAt: new Date().toISOString(),
+            status,
+            statusText: window.orderStatus ? window.orderStatus.getLabel(status) : status.charAt(0).toUpperCase() + status.slice(1),
+            branch: {
+                name: branch ? branch.name || '' : '',
+                branchName: branch && branch.branch_name !== branch.name ? branch.branch_name || '' : '',
+                location: branch ? branch.location || '' : '',
+                phone: branch ? branch.phone_number || '' : '',
+                email: branch ? branch.email || '' : ''
+            },
+            recipient: {
+                name: (recipient && recipient.recipient_name) || order.deliveryName || '',
+                phone: (recipient && recipient.recipient_phone) || '',
+                email: (recipient && recipient.recipient_email) || '',
+                address: (recipient && recipient.recipient_address) || order.deliveryAddress || '',
+                instructions: order.orderComment || ''
+            },
+            delivery: {
+                date: order.deliveryDate || '',
+                time: order.deliveryTime || '',
+                distanceKm: distance === null || distance === undefined || distance === '' ? null : Number(distance)
+            },
+            payment: {
+                method: this.getPaymentLabel(order.paymentMethod),
+                transactionId: order.transactionId || ''
+            },
+            items: orderItems.map(item => ({
+                name: item.productName || 'Unknown Product',
+                quantity: parseInt(item.productQty, 10) || 0,
+                price: money.toPesewas(item.productPrice),
+                total: money.lineTotal(item.productPrice, item.productQty)
+            })),
+            totals: {
+                quantity: totals.quantity,
+                subtotal: totals.subtotal,
+                serviceFee: totals.serviceFee,
+                deliveryFee,
+                discount,
+                total: totals.total + deliveryFee - discount
+            },
+            discountLabel: order.promoCode || ''
+        };
+    }
+
+    async loadBranch(branchId) {
+        if (!branchId) return null;
+
+        try {
+            return await this.getOrderManager().getBranch(branchId);
+        } catch (error) {
+            console.warn('⚠️ Could not load the branch for the receipt:', error);
+            return null;
+        }
+    }
+
+    /**
+     * The receipt of an order ID, or of an order already loaded. An order may bring
+     * its `recipient` and `branch` along; whatever is missing is fetched.
+     */
+    async loadReceipt(orderOrId) {
+        const order = typeof orderOrId === 'string'
+            ? await this.getOrderManager().getOrder(orderOrId)
+            : orderOrId;
+        const orderId = order.$id || order.orderId;
+
+        const [recipient, branch] = await Promise.all([
+            order.recipient !== undefined ? order.recipient : this.getOrderManager().getPurchaseRecipientInfo(orderId),
+            order.branch !== undefined ? order.branch : this.loadBranch(order.branch_id || order.branchId)
+        ]);
+
+        return this.buildReceipt(order, { recipient, branch });
+    }
+
+    /**
+     * Detail rows shared by the PDF and the HTML receipt
+     */
+    getDetailRows(receipt) {
+        const rows = [
+            ['Delivery date', this.formatDate(receipt.delivery.date)],
+            ['Delivery time', this.formatTime(receipt.delivery.time)],
+            ['Payment', receipt.payment.method]
+        ];
+        if (receipt.payment.transactionId) rows.push(['Transaction', receipt.payment.transactionId]);
+        rows.push(['Status', receipt.statusText]);
+        if (receipt.placedAt) rows.push(['Ordered', this.formatDate(receipt.placedAt)]);
+        return rows;
+    }
+
+    /**
+     * Price summary rows ({ label, amount }, pesewas) ending with the total
+     */
+    getSummaryRows(receipt) {
+        const totals = receipt.totals;
+        const rows = [
+            { label: 'Subtotal', amount: totals.subtotal },
+            { label: `Service Fee (${totals.quantity} items)`, amount: totals.serviceFee }
+        ];
+
+        if (receipt.delivery.distanceKm !== null || totals.deliveryFee > 0) {
+            rows.push({
+                label: receipt.delivery.distanceKm !== null ? `Delivery Fee (${receipt.delivery.distanceKm} km)` : 'Delivery Fee',
+                amount: totals.deliveryFee
+            });
+        }
+        if (totals.discount > 0) {
+            rows.push({
+                label: receipt.discountLabel ? `Discount (${receipt.discountLabel})` : 'Discount',
+                amount: -totals.discount
+            });
+        }
+
+        rows.push({ label: 'Total', amount: totals.total, total: true });
+        return rows;
+    }
+
+    getBranchLines(receipt) {
+        const branch = receipt.branch;
+        return [branch.name || 'Branch details unavailable', branch.branchName, branch.location, branch.phone, branch.email]
+            .filter(Boolean);
+    }
+
+    getRecipientLines(receipt) {
+        const recipient = receipt.recipient;
+        return [recipient.name || 'N/A', recipient.phone, recipient.email, recipient.address]
+            .filter(Boolean);
+    }
+
+    getFilename(receipts) {
+        const first = receipts[0];
+        return receipts.length > 1 && first.checkoutId
+            ? `receipts_${first.checkoutId}.pdf`
+            : `receipt_${first.receiptNumber}.pdf`;
+    }
+
+    // --- PDF ------------------------------------------------------------------
+
+    /**
+     * A jsPDF document with one receipt per page (longer receipts continue on the next)
+     */
+    createPdf(receipts) {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+
+        receipts.forEach((receipt, index) => {
+            if (index > 0) doc.addPage();
+            this.drawReceipt(doc, receipt);
+        });
+
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const totalPages = doc.internal.getNumberOfPages();
+        for (let page = 1; page <= totalPages; page++) {
+            doc.setPage(page);
+            doc.setFontSize(8);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(100, 100, 100);
+            doc.text(`Page ${page} of ${totalPages}`, pageWidth - 15, pageHeight - 8, { align: 'right' });
+        }
+
+        return doc;
+    }
+
+    drawReceipt(doc, receipt) {
+        const money = window.money;
+        const [red, green, blue] = this.BRAND_COLOR;
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const margin = 15;
+        const contentWidth = pageWidth - (margin * 2);
+        const right = margin + contentWidth;
+        let y = 0;
+
+        const ensureSpace = height => {
+            if (y + height > pageHeight - 30) {
+                doc.addPage();
+                y = 20;
+            }
+        };
+        const sectionTitle = (title, x, top) => {
+            doc.setTextColor(red, green, blue);
+            doc.setFontSize(11);
+            doc.setFont('helvetica', 'bold');
+            doc.text(title, x, top);
+        };
+
+        // Header
+        doc.setFillColor(red, green, blue);
+        doc.rect(0, 0, pageWidth, 42, 'F');
+        doc.setTextColor(255, 255, 255);
+        doc.setFontSize(20);
+        doc.setFont('helvetica', 'bold');
+        doc.text(this.BRAND, margin, 20);
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'normal');
+        doc.text('Receipt', margin, 30);
+
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'bold');
+        doc.text(receipt.receiptNumber, right, 18, { align: 'right' });
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'normal');
+        doc.text(`Order #${receipt.orderId}`, right, 26, { align: 'right' });
+        doc.text(`Issued ${this.formatDate(receipt.issuedAt)}`, right, 33, { align: 'right' });
+
+        // Branch and recipient side by side
+        y = 55;
+        const columnWidth = contentWidth / 2 - 5;
+        const columns = [
+            { title: 'From', x: margin, lines: this.getBranchLines(receipt) },
+            { title: 'Deliver to', x: margin + contentWidth / 2, lines: this.getRecipientLines(receipt) }
+        ];
+        let columnsBottom = y;
+        columns.forEach(column => {
+            sectionTitle(column.title, column.x, y);
+            doc.setTextColor(0, 0, 0);
+            doc.setFontSize(9);
+            let lineY = y + 7;
+            column.lines.forEach((line, index) => {
+                doc.setFont('helvetica', index === 0 ? 'bold' : 'normal');
+                doc.splitTextToSize(String(line), columnWidth).forEach(part => {
+                    doc.text(part, column.x, lineY);
+                    lineY += 5;
+                });
+            });
+            columnsBottom = Math.max(columnsBottom, lineY);
+        });
+        y = columnsBottom + 6;
+
+        // Delivery and payment details, two per row
+        const details = this.getDetailRows(receipt);
+        doc.setFillColor(245, 247, 255);
+        doc.rect(margin, y - 5, contentWidth, Math.ceil(details.length / 2) * 7 + 4, 'F');
+        doc.setFontSize(9);
+        details.forEach(([label, value], index) => {
+            const x = index % 2 === 0 ? margin + 3 : margin + contentWidth / 2;
+            doc.setTextColor(100, 100, 100);
+            doc.setFont('helvetica', 'normal');
+            doc.text(`${label}:`, x, y);
+            doc.setTextColor(0, 0, 0);
+            doc.setFont('helvetica', 'bold');
+            doc.text(doc.splitTextToSize(String(value), columnWidth - 30)[0], x + 28, y);
+            if (index % 2 === 1) y += 7;
+        });
+        if (details.length % 2 === 1) y += 7;
+        y += 3;
+
+        if (receipt.recipient.instructions) {
+            const instructions = doc.splitTextToSize(`Instructions: ${receipt.recipient.instructions}`, contentWidth);
+            ensureSpace(instructions.length * 5 + 4);
+            doc.setFont('helvetica', 'italic');
+            doc.setTextColor(80, 80, 80);
+            instructions.forEach(line => {
+                doc.text(line, margin, y);
+                y += 5;
+            });
+            y += 2;
+        }
+
+        // Items
+        y += 6;
+        ensureSpace(30);
+        sectionTitle('Items', margin, y);
+        y += 8;
+        doc.setFillColor(240, 240, 240);
+        doc.rect(margin, y - 5, contentWidth, 8, 'F');
+        doc.setTextColor(0, 0, 0);
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Product', margin + 3, y);
+        doc.text('Qty', margin + 100, y);
+        doc.text('Price', margin + 118, y);
+        doc.text('Total', right - 3, y, { align: 'right' });
+        y += 8;
+
+        doc.setFont('helvetica', 'normal');
+        receipt.items.forEach((item, index) => {
+            const nameLines = doc.splitTextToSize(item.name, 92);
+            const rowHeight = nameLines.length * 5 + 3;
+            ensureSpace(rowHeight);
+
+            if (index % 2 === 1) {
+                doc.setFillColor(248, 248, 248);
+                doc.rect(margin, y - 5, contentWidth, rowHeight, 'F');
+            }
+            nameLines.forEach((line, lineIndex) => doc.text(line, margin + 3, y + lineIndex * 5));
+            doc.text(String(item.quantity), margin + 100, y);
+            doc.text(money.formatForPdf(item.price), margin + 118, y);
+            doc.text(money.formatForPdf(item.total), right - 3, y, { align: 'right' });
+            y += rowHeight;
+        });
+
+        // Price summary
+        const summary = this.getSummaryRows(receipt);
+        y += 6;
+        ensureSpace(summary.length * 7 + 12);
+        doc.setDrawColor(red, green, blue);
+        doc.setLineWidth(0.3);
+        summary.forEach(row => {
+            const amount = row.amount < 0 ? `-${money.formatForPdf(-row.amount)}` : money.formatForPdf(row.amount);
+            if (row.total) {
+                doc.line(margin + contentWidth / 2, y - 4, right, y - 4);
+                y += 2;
+                doc.setFontSize(11);
+                doc.setFont('helvetica', 'bold');
+                doc.setTextColor(red, green, blue);
+            } else {
+                doc.setFontSize(9);
+                doc.setFont('helvetica', 'normal');
+                doc.setTextColor(0, 0, 0);
+            }
+            doc.text(`${row.label}:`, margin + contentWidth / 2, y);
+            doc.text(amount, right - 3, y, { align: 'right' });
+            y += 7;
+        });
+
+        // Footer
+        doc.setTextColor(100, 100, 100);
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'normal');
+        doc.text(`Thank you for choosing ${this.BRAND}!`, margin, pageHeight - 20);
+        doc.text('Keep this receipt for your records. For questions, contact the branch above.', margin, pageHeight - 14);
+    }
+
+    // --- Printable HTML -------------------------------------------------------
+
+    escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderReceiptHtml(receipt) {
+        const money = window.money;
+        const escape = value => this.escapeHtml(value);
+        const lines = values => values.map((line, index) => index === 0 ? `<strong>${escape(line)}</strong>` : escape(line)).join('<br>');
+
+        return `
+        <section class="receipt">
+            <header>
+                <div><h1>${escape(this.BRAND)}</h1><p>Receipt</p></div>
+                <div class="numbers">
+                    <strong>${escape(receipt.receiptNumber)}</strong><br>
+                    Order #${escape(receipt.orderId)}<br>
+                    Issued ${escape(this.formatDate(receipt.issuedAt))}
+                </div>
+            </header>
+            <div class="parties">
+                <div><h2>From</h2><p>${lines(this.getBranchLines(receipt))}</p></div>
+                <div><h2>Deliver to</h2><p>${lines(this.getRecipientLines(receipt))}</p></div>
+            </div>
+            <dl class="details">
+                ${this.getDetailRows(receipt).map(([label, value]) => `<div><dt>${escape(label)}</dt><dd>${escape(value)}</dd></div>`).join('')}
+            </dl>
+            ${receipt.recipient.instructions ? `<p class="instructions">Instructions: ${escape(receipt.recipient.instructions)}</p>` : ''}
+            <h2>Items</h2>
+            <table>
+                <thead><tr><th>Product</th><th>Qty</th><th>Price</th><th>Total</th></tr></thead>
+                <tbody>
+                    ${receipt.items.map(item => `<tr><td>${escape(item.name)}</td><td>${item.quantity}</td><td>${escape(money.format(item.price))}</td><td>${escape(money.format(item.total))}</td></tr>`).join('')}
+                </tbody>
+            </table>
+            <table class="summary">
+                ${this.getSummaryRows(receipt).map(row => `<tr${row.total ? ' class="total"' : ''}><td>${escape(row.label)}</td><td>${escape(row.amount < 0 ? `-${money.format(-row.amount)}` : money.format(row.amount))}</td></tr>`).join('')}
+            </table>
+            <footer>Thank you for choosing ${escape(this.BRAND)}! Keep this receipt for your records. For questions, contact the branch above.</footer>
+        </section>`;
+    }
+
+    /**
+     * A standalone HTML document with one receipt per printed page
+     */
+    renderHtml(receipts) {
+        const [red, green, blue] = this.BRAND_COLOR;
+        const brand = `rgb(${red}, ${green}, ${blue})`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${this.escapeHtml(receipts.length === 1 ? `Receipt ${receipts[0].receiptNumber}` : `${this.BRAND} receipts`)}</title>
+    <style>
+        * { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        body { margin: 0; font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #111; }
+        .receipt { max-width: 720px; margin: 0 auto 32px; page-break-after: always; }
+        .receipt:last-child { page-break-after: auto; margin-bottom: 0; }
+        header { display: flex; justify-content: space-between; background: ${brand}; color: #fff; padding: 20px 24px; }
+        header h1 { margin: 0; font-size: 24px; }
+        header p { margin: 4px 0 0; }
+        .numbers { text-align: right; font-size: 12px; line-height: 1.6; }
+        h2 { color: ${brand}; font-size: 14px; margin: 20px 0 6px; }
+        .parties { display: flex; gap: 24px; padding: 0 24px; }
+        .parties > div { flex: 1; }
+        .parties p { margin: 0; line-height: 1.5; }
+        .details { display: grid; grid-template-columns: 1fr 1fr; gap: 6px 24px; margin: 16px 24px 0; padding: 12px; background: #f5f7ff; }
+        .details div { display: flex; gap: 8px; }
+        .details dt { color: #666; min-width: 96px; }
+        .details dd { margin: 0; font-weight: bold; }
+        .instructions { margin: 12px 24px 0; font-style: italic; color: #555; }
+        .receipt > h2, table { margin-left: 24px; margin-right: 24px; }
+        table { width: calc(100% - 48px); border-collapse: collapse; }
+        th { background: #f0f0f0; text-align: left; padding: 6px; }
+        td { padding: 6px; }
+        tbody tr:nth-child(even) { background: #f8f8f8; }
+        th:not(:first-child), td:not(:first-child) { text-align: right; }
+        .summary { width: 50%; margin-left: auto; margin-top: 12px; }
+        .summary .total td { border-top: 1px solid ${brand}; color: ${brand}; font-weight: bold; font-size: 15px; }
+        footer { margin: 24px; color: #666; font-size: 11px; }
+    </style>
+</head>
+<body>${receipts.map(receipt => this.renderReceiptHtml(receipt)).join('')}
+</body>
+</html>`;
+    }
+
+    /**
+     * Print an HTML document from a hidden frame
+     */
+    printHtml(html) {
+        return new Promise((resolve, reject) => {
+            const frame = document.createElement('iframe');
+            frame.setAttribute('aria-hidden', 'true');
+            frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+
+            frame.onload = () => {
+                const frameWindow = frame.contentWindow;
+                const cleanup = () => setTimeout(() => frame.remove(), 1000);
+                try {
+                    frameWindow.addEventListener('afterprint', cleanup);
+                    frameWindow.focus();
+                    frameWindow.print();
+                    resolve();
+                } catch (error) {
+                    frame.remove();
+                    reject(error);
+                }
+            };
+
+            frame.srcdoc = html;
+            document.body.appendChild(frame);
+        });
+    }
+
+    // --- Saving ---------------------------------------------------------------
+
+    /**
+     * Inside the Android app (WebView) or a local copy, where download links are ignored
+     */
+    isEmbeddedApp() {
+        return /\bwv\b/.test(navigator.userAgent || '') ||
+            window.location.protocol === 'file:' ||
+            !!window.cordova ||
+            !!(window.webkit && window.webkit.messageHandlers);
+    }
+
+    writeCordovaFile(directoryUrl, blob, filename) {
+        return new Promise((resolve, reject) => {
+            window.resolveLocalFileSystemURL(directoryUrl, root => {
+                root.getDirectory('Download', { create: true, exclusive: false }, directory => {
+                    directory.getFile(filename, { create: true, exclusive: false }, fileEntry => {
+                        fileEntry.createWriter(writer => {
+                            writer.onwriteend = () => resolve(fileEntry.toURL());
+                            writer.onerror = reject;
+                            writer.write(blob);
+                        }, reject);
+                    }, reject);
+                }, reject);
+            }, reject);
+        });
+    }
+
+    // Write the file to the first storage the Cordova file plugin lets us use
+    async saveWithCordova(blob, filename) {
+        const file = window.cordova.file;
+        const directories = [file.externalRootDirectory, file.dataDirectory, file.cacheDirectory].filter(Boolean);
+
+        let lastError = new Error('No storage available');
+        for (const directory of directories) {
+            try {
+                return await this.writeCordovaFile(directory, blob, filename);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Save a PDF the way the platform allows: the Cordova file plugin, the share sheet
+     * or the system viewer inside the app, a download elsewhere. Resolves to how it was
+     * saved: 'file', 'shared', 'opened', 'downloaded' or 'cancelled'.
+     */
+    async savePdf(doc, filename) {
+        if (window.cordova && window.cordova.file && window.resolveLocalFileSystemURL) {
+            try {
+                await this.saveWithCordova(doc.output('blob'), filename);
+                return 'file';
+            } catch (error) {
+                console.warn('⚠️ Could not save the receipt to the device:', error);
+            }
+        }
+
+        if (this.isEmbeddedApp()) {
+            const file = typeof File !== 'undefined'
+                ? new File([doc.output('blob')], filename, { type: 'application/pdf' })
+                : null;
+            if (file && navigator.canShare && navigator.canShare({ files: [file] })) {
+                try {
+                    await navigator.share({ files: [file], title: filename });
+                    return 'shared';
+                } catch (error) {
+                    if (error.name === 'AbortError') return 'cancelled';
+                    console.warn('⚠️ Could not share the receipt:', error);
+                }
+            }
+
+            if (window.open(doc.output('bloburl'), '_blank')) {
+                return 'opened';
+            }
+        }
+
+        doc.save(filename);
+        return 'downloaded';
+    }
+
+    getSaveMessage(method) {
+        return this.SAVE_MESSAGES[method] || this.SAVE_MESSAGES.downloaded;
+    }
+
+    // --- Orders -> receipts ---------------------------------------------------
+
+    /**
+     * Save one PDF with the receipts of the given orders (IDs or loaded orders).
+     * Resolves to how it was saved, see savePdf.
+     */
+    async downloadReceipts(orders) {
+        const receipts = await Promise.all(orders.map(order => this.loadReceipt(order)));
+        return this.savePdf(this.createPdf(receipts), this.getFilename(receipts));
+    }
+
+    /**
+     * Print the receipts of the given orders (IDs or loaded orders)
+     */
+    async printReceipts(orders) {
+        const receipts = await Promise.all(orders.map(order => this.loadReceipt(order)));
+        return this.printHtml(this.renderHtml(receipts));
+    }
+}
+
+// Make ReceiptGenerator globally available
+window.ReceiptGenerator = ReceiptGenerator;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReceiptGenerator;
+}
@@ -0,0 +1,336 @@
+/**
+ * Recipient Manager
+ * The customer's saved recipients (address book) in their own collection,
+ * plus the one-time move of the old favorite_<userId> purchase_recipient_info rows
+ */
+
+class RecipientManager {
+    constructor() {
+        if (!window.appwriteConfig) {
+            throw new Error('Appwrite configuration not initialized. Make sure appwriteConfig.js is loaded before RecipientManager.');
+        }
+        if (!window.dataStore) {
+            throw new Error('Data backend not initialized. Make sure dataBackend.js is loaded before RecipientManager.');
+        }
+
+        this.config = window.appwriteConfig;
+        this.data = window.dataStore; // js/dataBackend.js
+        this.Query = window.Query;
+        this.ID = window.ID;
+
+        this.MAX_RECIPIENTS = 100;
+        this.MIGRATION_KEY_PREFIX = 'recipientsMigrated_';
+    }
+
+    /**
+     * Stored document -> the recipient shape used by the checkout pages
+     */
+    toRecipient(doc) {
+        return {
+            id: doc.$id,
+            name: doc.name || '',
+            phone: doc.phone || '',
+            email: doc.email || '',
+            address: doc.address || '',
+            type: doc.type || 'individual',
+            businessName: doc.business_name || '',
+            businessType: doc.business_type || '',
+            isDefault: !!doc.is_default,
+            createdAt: doc.$createdAt
+        };
+    }
+
+    toDocument(recipientData) {
+        const document = {};
+        const fields = {
+            name: 'name',
+            phone: 'phone',
+            email: 'email',
+            address: 'address',
+            type: 'type',
+            businessName: 'business_name',
+            businessType: 'business_type'
+        };
+
+        Object.keys(fields).forEach(key => {
+            if (recipientData[key] !== undefined) {
+                document[fields[key]] = recipientData[key] || '';
+            }
+        });
+        return document;
+    }
+
+    /**
+     * Normalise phone (E.164) and email with js/contactValidation.js. Only the fields
+     * present are checked, so partial updates work. Throws an error with code
+     * invalid_phone/invalid_email.
+     */
+    validateContact(recipientData) {
+        const contactValidation = window.contactValidation;
+        if (!contactValidation) return recipientData;
+
+        const validated = { ...recipientData };
+
+        if (recipientData.phone !== undefined) {
+            const phone = contactValidation.parsePhone(recipientData.phone);
+            if (!phone.valid) throw contactValidation.createError('phone', phone.error);
+            validated.phone = phone.e164;
+        }
+
+        if (recipientData.email) {
+            const email = contactValidation.parseEmail(recipientData.email);
+            if (!email.valid) throw contactValidation.createError('email', email.error);
+            validated.email = email.email;
+        }
+
+        return validated;
+    }
+
+    /**
+     * Recipients saved before contact validation are cleaned up and written back when read
+     */
+    async cleanStoredRecipient(doc) {
+        if (!window.contactValidation) return doc;
+
+        const cleaned = window.contactValidation.cleanStoredContact(doc.phone, doc.email);
+        if (cleaned.phone === doc.phone && cleaned.email === doc.email) return doc;
+
+        try {
+            await this.data.collection(this.config.RECIPIENTS_TABLE).update(
+                doc.$id,
+                { phone: cleaned.phone, email: cleaned.email }
+            );
+        } catch (error) {
+            console.warn('⚠️ Could not clean up recipient contact details:', error);
+        }
+
+        return { ...doc, ...cleaned };
+    }
+
+    // Only the customer can see and change their recipients
+    getPermissions(userId) {
+        const { Permission, Role } = window.Appwrite || {};
+        if (!Permission || !Role) return undefined;
+
+        return [
+            Permission.read(Role.user(userId)),
+            Permission.update(Role.user(userId)),
+            Permission.delete(Role.user(userId))
+        ];
+    }
+
+    // Recipients count as the same person when name, phone and email match
+    getRecipientKey(recipient) {
+        return [recipient.name, recipient.phone, recipient.email]
+            .map(value => String(value || '').trim().toLowerCase())
+            .join('|');
+    }
+
+    /**
+     * Saved recipients of a customer, default first then newest first.
+     * Runs the favorite_ migration the first time it is called for the customer.
+     */
+    async listRecipients(userId) {
+        await this.migrateFavoriteRecipients(userId);
+
+        const result = await this.data.collection(this.config.RECIPIENTS_TABLE).list(
+            [
+                this.Query.equal('customer_id', userId),
+                this.Query.orderDesc('$createdAt'),
+                this.Query.limit(this.MAX_RECIPIENTS)
+            ]
+        );
+
+        const documents = await Promise.all(result.documents.map(doc => this.cleanStoredRecipient(doc)));
+
+        return documents
+            .map(doc => this.toRecipient(doc))
+            .sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+    }
+
+    /**
+     * Create a recipient after validating its contact details.
+     * The customer's first recipient becomes the default.
+     */
+    async createRecipient(userId, recipientData) {
+        return this.insertRecipient(userId, this.validateContact(recipientData));
+    }
+
+    // Write a recipient document as given. `documentId` is only passed by the
+    // migration to keep it repeatable.
+    async insertRecipient(userId, recipientData, documentId = null) {
+        const existing = await this.data.collection(this.config.RECIPIENTS_TABLE).list(
+            [this.Query.equal('customer_id', userId), this.Query.limit(1)]
+        );
+
+        const doc = await this.data.collection(this.config.RECIPIENTS_TABLE).create(
+            documentId || this.ID.unique(),
+            {
+                ...this.toDocument(recipientData),
+                customer_id: userId,
+                is_default: existing.documents.length === 0 || !!recipientData.isDefault
+            },
+            this.getPermissions(userId)
+        );
+
+        if (doc.is_default && existing.documents.length > 0) {
+            await this.clearOtherDefaults(userId, doc.$id);
+        }
+
+        console.log('✅ Recipient saved:', doc.$id);
+        return this.toRecipient(doc);
+    }
+
+    async updateRecipient(recipientId, changes) {
+        const doc = await this.data.collection(this.config.RECIPIENTS_TABLE).update(
+            recipientId,
+            this.toDocument(this.validateContact(changes))
+        );
+
+        return this.toRecipient(doc);
+    }
+
+    /**
+     * Create the recipient, or update the saved one with the same name, phone and email
+     */
+    async saveRecipient(userId, recipientData) {
+        recipientData = this.validateContact(recipientData);
+        const recipients = await this.listRecipients(userId);
+        const key = this.getRecipientKey(recipientData);
+        const match = recipients.find(recipient => this.getRecipientKey(recipient) === key);
+
+        return match
+            ? this.updateRecipient(match.id, recipientData)
+            : this.createRecipient(userId, recipientData);
+    }
+
+    /**
+     * Delete a recipient. If it was the default, the newest remaining one takes over.
+     */
+    async deleteRecipient(userId, recipientId) {
+        const doc = await this.data.collection(this.config.RECIPIENTS_TABLE).get(recipientId);
+
+        await this.data.collection(this.config.RECIPIENTS_TABLE).delete(recipientId);
+        console.log('✅ Recipient deleted:', recipientId);
+
+        if (doc.is_default) {
+            const remaining = await this.listRecipients(userId);
+            if (remaining.length > 0) {
+                await this.setDefaultRecipient(userId, remaining[0].id);
+            }
+        }
+        return true;
+    }
+
+    async setDefaultRecipient(userId, recipientId) {
+        const doc = await this.data.collection(this.config.RECIPIENTS_TABLE).update(
+            recipientId,
+            { is_default: true }
+        );
+
+        await this.clearOtherDefaults(userId, recipientId);
+        return this.toRecipient(doc);
+    }
+
+    async clearOtherDefaults(userId, recipientId) {
+        const result = await this.data.collection(this.config.RECIPIENTS_TABLE).list(
+            [
+                this.Query.equal('customer_id', userId),
+                this.Query.equal('is_default', true),
+                this.Query.limit(this.MAX_RECIPIENTS)
+            ]
+        );
+
+        await Promise.all(result.documents
+            .filter(doc => doc.$id !== recipientId)
+            .map(doc => this.data.collection(this.config.RECIPIENTS_TABLE).update(
+                doc.$id,
+                { is_default: false }
+            )));
+    }
+
+    /**
+     * One-time move of favourites saved in purchase_recipient_info with
+     * order_id "favorite_<userId>". Each row is copied under its own ID (so a
+     * half-finished run can simply be repeated) and then deleted. Returns the
+     * number of rows moved; remembered per customer in localStorage once done.
+     */
+    async migrateFavoriteRecipients(userId) {
+        const migrationKey = `${this.MIGRATION_KEY_PREFIX}${userId}`;
+        if (localStorage.getItem(migrationKey)) return 0;
+
+        try {
+            const favorites = await this.data.recipients.list(
+                [this.Query.equal('order_id', `favorite_${userId}`), this.Query.limit(this.MAX_RECIPIENTS)]
+            );
+
+            for (const favorite of favorites.documents) {
+                const contact = window.contactValidation
+                    ? window.contactValidation.cleanStoredContact(favorite.recipient_phone, favorite.recipient_email)
+                    : { phone: favorite.recipient_phone, email: favorite.recipient_email };
+
+                try {
+                    // Kept even if the old number cannot be parsed; it is cleaned on later reads
+                    await this.insertRecipient(userId, {
+                        name: favorite.recipient_name,
+                        phone: contact.phone,
+                        email: contact.email,
+                        address: favorite.recipient_address,
+                        type: favorite.recipient_type || favorite.purchase_recipient_type,
+                        businessName: favorite.business_name,
+                        businessType: favorite.business_type
+                    }, favorite.$id);
+                } catch (error) {
+                    // Already copied by an earlier, interrupted run
+                    if (error.code !== 409) throw error;
+                }
+
+                await this.data.recipients.delete(favorite.$id);
+            }
+
+            localStorage.setItem(migrationKey, new Date().toISOString());
+            if (favorites.documents.length > 0) {
+                console.log(`✅ Moved ${favorites.documents.length} saved recipients to ${this.config.RECIPIENTS_TABLE}`);
+            }
+            return favorites.documents.length;
+        } catch (error) {
+            // Not fatal: the migration is retried on the next load
+            console.warn('⚠️ Could not migrate saved recipients:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Import recipients kept in this browser's localStorage by older versions of
+     * the schedule checkout, then forget the local copy
+     */
+    async importLocalRecipients(userId, storageKey = 'savedRecipients') {
+        let localRecipients = [];
+        try {
+            localRecipients = JSON.parse(localStorage.getItem(storageKey) || '[]');
+        } catch (error) {
+            console.warn('⚠️ Invalid local recipients, ignoring:', error);
+        }
+
+        for (const recipient of localRecipients) {
+            try {
+                await this.saveRecipient(userId, recipient);
+            } catch (error) {
+                if (!error.field) throw error;
+                // Old entries with a number we cannot parse are kept as typed
+                await this.insertRecipient(userId, recipient);
+            }
+        }
+
+        localStorage.removeItem(storageKey);
+        return localRecipients.length;
+    }
+}
+
+// Make RecipientManager globally available
+window.RecipientManager = RecipientManager;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipientManager;
+}
@@ -0,0 +1,113 @@
+/**
+ * Reorder Manager
+ * Turns a previous order into a checkout draft for schedule.html and checks its
+ * products against the branch's current catalog (via OrderManager)
+ */
+
+class ReorderManager {
+    constructor(orderManager = null) {
+        this.orderManager = orderManager || new window.OrderManager();
+        this.STORAGE_KEY = 'reorderDraft';
+        this.DRAFT_TTL = 30 * 60 * 1000; // 30 minutes
+    }
+
+    getProductKey(product) {
+        return this.orderManager.getProductKey(product);
+    }
+
+    /**
+     * Build a draft (branch, items, quantities, recipient) from an existing order
+     */
+    async buildDraft(orderId) {
+        const order = await this.orderManager.getOrder(orderId);
+        if (!order.items || order.items.length === 0) {
+            throw new Error('This order has no products to reorder.');
+        }
+
+        const recipient = await this.orderManager.getPurchaseRecipientInfo(orderId);
+
+        return {
+            sourceOrderId: orderId,
+            branch_id: order.branch_id,
+            items: order.items.map(item => ({
+                productId: item.productId,
+                name: item.productName,
+                price: Number(item.productPrice || 0),
+                quantity: Number(item.productQty || 1),
+                type: item.productType,
+                image: item.productImage
+            })),
+            recipient: recipient ? {
+                type: this.getRecipientType(recipient),
+                name: recipient.recipient_name || '',
+                phone: recipient.recipient_phone || '',
+                email: recipient.recipient_email || '',
+                address: recipient.recipient_address || order.deliveryAddress || '',
+                businessName: recipient.business_name || '',
+                businessType: recipient.business_type || ''
+            } : {
+                type: 'you',
+                address: order.deliveryAddress || ''
+            },
+            orderComment: order.orderComment || '',
+            createdAt: Date.now()
+        };
+    }
+
+    // Map stored recipient info onto the checkout's recipient types (you | individual | business)
+    getRecipientType(recipient) {
+        if (recipient.purchase_recipient_type === 'you' || recipient.recipient_type === 'you') return 'you';
+        if (recipient.recipient_type === 'business' || recipient.business_name) return 'business';
+        return 'individual';
+    }
+
+    saveDraft(draft) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(draft));
+    }
+
+    /**
+     * The saved draft for a branch, or null if there is none or it has expired
+     */
+    loadDraft(branchId) {
+        try {
+            const draft = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null');
+            if (!draft || draft.branch_id !== branchId) return null;
+
+            if (Date.now() - draft.createdAt > this.DRAFT_TTL) {
+                this.clearDraft();
+                return null;
+            }
+            return draft;
+        } catch (error) {
+            console.warn('⚠️ Invalid reorder draft, ignoring:', error);
+            this.clearDraft();
+            return null;
+        }
+    }
+
+    clearDraft() {
+        localStorage.removeItem(this.STORAGE_KEY);
+    }
+
+    getCheckoutUrl(draft) {
+        return `schedule.html?branch_id=${encodeURIComponent(draft.branch_id)}&reorder=1`;
+    }
+
+    /**
+     * Check items ({ productId|id, name, price, quantity }) against the branch catalog.
+     * Returns { checked, items, unavailable, priceChanges } (see OrderManager.checkCatalogPrices)
+     * where each item carries `available` and `currentPrice`. `checked` is false if the
+     * catalog could not be loaded.
+     */
+    async checkPrices(items, branchId) {
+        return this.orderManager.checkCatalogPrices(items, branchId);
+    }
+}
+
+// Make ReorderManager globally available
+window.ReorderManager = ReorderManager;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReorderManager;
+}
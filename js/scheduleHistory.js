@@ -1,4 +1,4 @@
-// Schedule History Manager
+// Schedule History Manager (requires js/orderStatus.js)
 class ScheduleHistoryManager {
     constructor() {
         this.baseUrl = window.location.origin;
@@ -73,7 +73,8 @@ class ScheduleHistoryManager {
 
     // Get schedule history by status
     getScheduleByStatus(status) {
-        return this.scheduleHistory.filter(item => item.orderStatus === status);
+        const state = window.orderStatus.normalize(status);
+        return this.scheduleHistory.filter(item => window.orderStatus.normalize(item.orderStatus) === state);
     }
 
     // Get schedule history by date range
@@ -90,7 +91,7 @@ class ScheduleHistoryManager {
         return this.scheduleHistory.filter(item => {
             if (item.scheduledDate) {
                 const scheduledDate = new Date(item.scheduledDate);
-                return scheduledDate >= now && item.orderStatus !== 'completed' && item.orderStatus !== 'cancelled';
+                return scheduledDate >= now && !window.orderStatus.isFinal(item.orderStatus);
             }
             return false;
         });
@@ -102,7 +103,7 @@ class ScheduleHistoryManager {
         return this.scheduleHistory.filter(item => {
             if (item.scheduledDate) {
                 const scheduledDate = new Date(item.scheduledDate);
-                return scheduledDate < now || item.orderStatus === 'completed';
+                return scheduledDate < now || window.orderStatus.normalize(item.orderStatus) === 'completed';
             }
             return false;
         });
@@ -131,38 +132,19 @@ class ScheduleHistoryManager {
         });
     }
 
-    // Format currency
+    // Format currency (amount in cedis, see js/money.js)
     formatCurrency(amount) {
-        if (!amount) return 'GH₵ 0.00';
-        return `GH₵ ${parseFloat(amount).toFixed(2)}`;
+        return window.money.formatAmount(amount);
     }
 
     // Get status color
     getStatusColor(status) {
-        const colors = {
-            'pending': '#FFA500',
-            'confirmed': '#3B74FF',
-            'preparing': '#9333EA',
-            'ready': '#10B981',
-            'delivered': '#059669',
-            'completed': '#059669',
-            'cancelled': '#EF4444'
-        };
-        return colors[status] || '#6B7280';
+        return window.orderStatus.getColor(status);
     }
 
     // Get status text
     getStatusText(status) {
-        const statusTexts = {
-            'pending': 'Pending',
-            'confirmed': 'Confirmed',
-            'preparing': 'Preparing',
-            'ready': 'Ready',
-            'delivered': 'Delivered',
-            'completed': 'Completed',
-            'cancelled': 'Cancelled'
-        };
-        return statusTexts[status] || status;
+        return window.orderStatus.getLabel(status);
     }
 
     // Refresh schedule history
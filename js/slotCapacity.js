@@ -0,0 +1,125 @@
+/**
+ * Slot Capacity
+ * How many orders a branch takes per delivery slot: slot_capacity for every slot,
+ * overridden per slot by slot_capacities ({ "09:00": 10 }). Slots are counted from
+ * the orders already booked for them; denied and cancelled orders free their place.
+ */
+
+class SlotCapacity {
+    constructor() {
+        this.RELEASED_STATUSES = ['denied', 'cancelled'];
+    }
+
+    /**
+     * A delivery time ("9:00 AM", "09:00") as "HH:MM", or '' if unreadable
+     */
+    normalizeTime(time) {
+        const workingHours = window.workingHours;
+        const minutes = workingHours ? workingHours.parseTime(time) : null;
+        return minutes === null ? String(time || '').trim() : workingHours.toTimeValue(minutes);
+    }
+
+    /**
+     * A branch's capacities: { defaultCapacity, capacities: { "HH:MM": n } }, where
+     * 0 means no limit. Null for branches without slot_capacity or slot_capacities.
+     */
+    getSchedule(branch) {
+        if (!branch) return null;
+
+        let overrides = branch.slot_capacities;
+        if (typeof overrides === 'string') {
+            try {
+                overrides = overrides.trim() ? JSON.parse(overrides) : null;
+            } catch (error) {
+                console.warn('⚠️ Could not read slot_capacities:', error);
+                overrides = null;
+            }
+        }
+
+        const capacities = {};
+        if (overrides && typeof overrides === 'object') {
+            Object.keys(overrides).forEach(time => {
+                const capacity = parseInt(overrides[time], 10);
+                if (capacity >= 0) capacities[this.normalizeTime(time)] = capacity;
+            });
+        }
+
+        const defaultCapacity = parseInt(branch.slot_capacity, 10) || 0;
+        if (defaultCapacity <= 0 && Object.keys(capacities).length === 0) {
+            return null;
+        }
+
+        return { defaultCapacity, capacities };
+    }
+
+    /**
+     * Orders a slot takes, or null for no limit
+     */
+    getCapacity(schedule, time) {
+        if (!schedule) return null;
+
+        const key = this.normalizeTime(time);
+        const capacity = key in schedule.capacities ? schedule.capacities[key] : schedule.defaultCapacity;
+        return capacity > 0 ? capacity : null;
+    }
+
+    // Whether an order still holds its place in a slot
+    holdsSlot(order) {
+        const status = window.orderStatus
+            ? window.orderStatus.normalize(order.orderStatus)
+            : String(order.orderStatus || '').toLowerCase();
+        return !this.RELEASED_STATUSES.includes(status);
+    }
+
+    /**
+     * Orders holding a place, counted per "HH:MM" slot
+     */
+    countBookings(orders) {
+        return (orders || []).filter(order => this.holdsSlot(order)).reduce((counts, order) => {
+            const time = this.normalizeTime(order.deliveryTime);
+            counts[time] = (counts[time] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    /**
+     * Slots from workingHours.getSlots with their capacity, `booked` and `remaining`
+     * (null without a limit) and `full`. Full slots are no longer available.
+     */
+    applyToSlots(slots, schedule, bookings = {}) {
+        return slots.map(slot => {
+            const capacity = this.getCapacity(schedule, slot.time);
+            const booked = bookings[this.normalizeTime(slot.time)] || 0;
+            const full = capacity !== null && booked >= capacity;
+
+            return {
+                ...slot,
+                capacity,
+                booked,
+                remaining: capacity === null ? null : Math.max(0, capacity - booked),
+                full,
+                available: slot.available && !full
+            };
+        });
+    }
+
+    /**
+     * Button label: "9:00 AM", "9:00 AM · Full" or "9:00 AM · 2 left" when few remain
+     */
+    getLabel(slot, fewLeft = 3) {
+        if (slot.full) return `${slot.label} · Full`;
+        if (slot.available && slot.remaining !== null && slot.remaining !== undefined && slot.remaining <= fewLeft) {
+            return `${slot.label} · ${slot.remaining} left`;
+        }
+        return slot.label;
+    }
+}
+
+// Initialize slot capacity helper globally
+window.SlotCapacity = SlotCapacity;
+window.slotCapacity = new SlotCapacity();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SlotCapacity;
+}
@@ -0,0 +1,488 @@
+/**
+ * Subscription Manager
+ * Recurring delivery plans: a plan repeats a checkout (branch, items, recipient,
+ * time slot) on a schedule and the upcoming orders are created through OrderManager
+ */
+
+class SubscriptionManager {
+    constructor(orderManager = null) {
+        if (!window.appwriteConfig) {
+            throw new Error('Appwrite configuration not initialized. Make sure appwriteConfig.js is loaded before SubscriptionManager.');
+        }
+        if (!window.dataStore) {
+            throw new Error('Data backend not initialized. Make sure dataBackend.js is loaded before SubscriptionManager.');
+        }
+
+        this.config = window.appwriteConfig;
+        this.data = window.dataStore; // js/dataBackend.js
+        this.Query = window.Query;
+        this.ID = window.ID;
+        this.orderManager = orderManager || new window.OrderManager();
+
+        this.FREQUENCIES = {
+            WEEKLY: 'weekly',
+            BIWEEKLY: 'biweekly',
+            MONTHLY: 'monthly',
+            WEEKDAYS: 'weekdays'
+        };
+
+        this.STATUSES = {
+            ACTIVE: 'active',
+            PAUSED: 'paused',
+            CANCELLED: 'cancelled'
+        };
+
+        // Orders are created this many days ahead of their delivery date
+        this.HORIZON_DAYS = 7;
+    }
+
+    get workingHours() {
+        return window.workingHours;
+    }
+
+    /**
+     * Deterministic 16 character order ID for one occurrence of a plan, used as the
+     * order's idempotency key so generating the same occurrence twice is harmless
+     */
+    getOccurrenceKey(subscriptionId, date) {
+        const input = `${subscriptionId}:${date}`;
+        let h1 = 0x811c9dc5;
+        let h2 = 0x01000193;
+
+        for (let i = 0; i < input.length; i++) {
+            const code = input.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 16777619) >>> 0;
+            h2 = Math.imul(h2 ^ code, 2246822507) >>> 0;
+        }
+
+        return h1.toString(36).padStart(7, '0').slice(-7) + 's' + h2.toString(36).padStart(8, '0').slice(-8);
+    }
+
+    /**
+     * Turn a stored plan document into a usable object (JSON fields parsed)
+     */
+    parseSubscription(doc) {
+        const parseJSON = (value, fallback) => {
+            if (!value) return fallback;
+            if (typeof value !== 'string') return value;
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return fallback;
+            }
+        };
+
+        return {
+            ...doc,
+            weekdays: parseJSON(doc.weekdays, []),
+            items: parseJSON(doc.items, []),
+            recipient: parseJSON(doc.recipient, null),
+            order_data: parseJSON(doc.order_data, {}),
+            skipped_dates: parseJSON(doc.skipped_dates, [])
+        };
+    }
+
+    serializeSubscription(plan) {
+        const data = { ...plan };
+        ['weekdays', 'items', 'recipient', 'order_data', 'skipped_dates'].forEach(field => {
+            if (data[field] !== undefined && typeof data[field] !== 'string') {
+                data[field] = JSON.stringify(data[field]);
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Check a schedule before saving it. Returns an error message or null.
+     */
+    validateSchedule(schedule) {
+        if (!Object.values(this.FREQUENCIES).includes(schedule.frequency)) {
+            return 'Please choose how often the delivery should repeat.';
+        }
+        if (schedule.frequency === this.FREQUENCIES.WEEKDAYS && (!schedule.weekdays || schedule.weekdays.length === 0)) {
+            return 'Please choose at least one delivery day.';
+        }
+        if (!this.workingHours.toDateString(schedule.startDate)) {
+            return 'Please choose a start date.';
+        }
+        if (this.workingHours.parseTime(schedule.deliveryTime) === null) {
+            return 'Please choose a delivery time.';
+        }
+        return null;
+    }
+
+    /**
+     * Create a plan from an existing order.
+     * `schedule` is { frequency, weekdays, startDate, deliveryTime }.
+     */
+    async createFromOrder(orderId, schedule) {
+        try {
+            const error = this.validateSchedule(schedule);
+            if (error) throw new Error(error);
+
+            const order = await this.orderManager.getOrder(orderId);
+            const status = window.orderStatus.normalize(order.orderStatus);
+            if (status === 'denied' || status === 'cancelled') {
+                throw new Error('A denied or cancelled order cannot be repeated.');
+            }
+            if (!order.items || order.items.length === 0) {
+                throw new Error('This order has no products to repeat.');
+            }
+
+            const recipient = await this.orderManager.getPurchaseRecipientInfo(orderId);
+
+            const plan = {
+                customer_id: order.customer_id,
+                branch_id: order.branch_id,
+                frequency: schedule.frequency,
+                weekdays: schedule.frequency === this.FREQUENCIES.WEEKDAYS
+                    ? this.workingHours.DAYS.filter(day => schedule.weekdays.map(d => d.toLowerCase()).includes(day))
+                    : [],
+                start_date: this.workingHours.toDateString(schedule.startDate),
+                delivery_time: schedule.deliveryTime,
+                items: order.items.map(item => ({
+                    productId: item.productId,
+                    productName: item.productName,
+                    productPrice: Number(item.productPrice || 0),
+                    productType: item.productType,
+                    productImage: item.productImage,
+                    productQty: Number(item.productQty || 1)
+                })),
+                recipient: recipient ? this.orderManager.stripSystemFields(recipient) : null,
+                order_data: {
+                    deliveryAddress: order.deliveryAddress || '',
+                    paymentMethod: order.paymentMethod || '',
+                    deliveryName: order.deliveryName || '',
+                    deliveryOrgType: order.deliveryOrgType || '',
+                    orderComment: order.orderComment || ''
+                },
+                status: this.STATUSES.ACTIVE,
+                skipped_dates: [],
+                generated_until: ''
+            };
+
+            const result = await this.data.collection(this.config.SUBSCRIPTIONS_TABLE).create(
+                this.ID.unique(),
+                this.serializeSubscription(plan)
+            );
+
+            console.log('✅ Subscription created:', result.$id);
+            return this.parseSubscription(result);
+        } catch (error) {
+            console.error('❌ Error creating subscription:', error);
+            throw error;
+        }
+    }
+
+    async getSubscriptions(customerId) {
+        try {
+            const result = await this.data.collection(this.config.SUBSCRIPTIONS_TABLE).list(
+                [this.Query.equal('customer_id', customerId), this.Query.orderDesc('$createdAt')]
+            );
+            return result.documents.map(doc => this.parseSubscription(doc));
+        } catch (error) {
+            console.error('❌ Error fetching subscriptions:', error);
+            throw error;
+        }
+    }
+
+    async updateSubscription(subscriptionId, data) {
+        try {
+            const result = await this.data.collection(this.config.SUBSCRIPTIONS_TABLE).update(
+                subscriptionId,
+                this.serializeSubscription(data)
+            );
+            return this.parseSubscription(result);
+        } catch (error) {
+            console.error('❌ Error updating subscription:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pause a plan. `reason` tells the customer why when the plan was paused for them
+     * (see repriceItems); a pause they chose has none.
+     */
+    async pauseSubscription(subscriptionId, reason = '') {
+        return this.updateSubscription(subscriptionId, { status: this.STATUSES.PAUSED, pause_reason: reason });
+    }
+
+    async resumeSubscription(subscriptionId) {
+        return this.updateSubscription(subscriptionId, { status: this.STATUSES.ACTIVE, pause_reason: '' });
+    }
+
+    /**
+     * Cancel a plan. Orders already created for it are left alone.
+     */
+    async cancelSubscription(subscriptionId) {
+        return this.updateSubscription(subscriptionId, { status: this.STATUSES.CANCELLED });
+    }
+
+    /**
+     * Skip one occurrence. If its order was already created and is still pending
+     * it is cancelled as well.
+     */
+    async skipOccurrence(plan, date) {
+        const dateString = this.workingHours.toDateString(date);
+        const skipped = Array.from(new Set([...(plan.skipped_dates || []), dateString])).sort();
+        const updated = await this.updateSubscription(plan.$id, { skipped_dates: skipped });
+
+        const orderId = this.getOccurrenceKey(plan.$id, dateString);
+        try {
+            const order = await this.data.orders.get(orderId);
+            if (window.orderStatus.canCancel(order.orderStatus)) {
+                await this.orderManager.cancelOrder(orderId, 'Skipped recurring delivery');
+            }
+        } catch (error) {
+            // No order yet for this occurrence
+            if (error.code !== 404) throw error;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Dates ("YYYY-MM-DD") on which the plan delivers between fromDate and toDate (inclusive),
+     * skipped occurrences excluded
+     */
+    getOccurrences(plan, fromDate, toDate) {
+        const wh = this.workingHours;
+        const start = wh.toDateString(plan.start_date);
+        const skipped = new Set(plan.skipped_dates || []);
+        const dates = [];
+
+        if (!start) return dates;
+
+        let date = fromDate > start ? fromDate : start;
+        while (date <= toDate) {
+            if (this.isOccurrence(plan, start, date) && !skipped.has(date)) {
+                dates.push(date);
+            }
+            date = wh.addDays(date, 1);
+        }
+
+        return dates;
+    }
+
+    isOccurrence(plan, start, date) {
+        const wh = this.workingHours;
+        const daysSinceStart = Math.round((new Date(`${date}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / 86400000);
+
+        switch (plan.frequency) {
+            case this.FREQUENCIES.WEEKLY:
+                return daysSinceStart % 7 === 0;
+            case this.FREQUENCIES.BIWEEKLY:
+                return daysSinceStart % 14 === 0;
+            case this.FREQUENCIES.MONTHLY: {
+                // Same day of the month, or the last day for shorter months
+                const startDay = parseInt(start.slice(8, 10), 10);
+                const day = parseInt(date.slice(8, 10), 10);
+                const lastDay = new Date(Date.UTC(parseInt(date.slice(0, 4), 10), parseInt(date.slice(5, 7), 10), 0)).getUTCDate();
+                return day === Math.min(startDay, lastDay);
+            }
+            case this.FREQUENCIES.WEEKDAYS:
+                return (plan.weekdays || []).includes(wh.dayName(date));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Next delivery date of a plan from tomorrow on, or null
+     */
+    getNextOccurrence(plan) {
+        const from = this.workingHours.addDays(this.workingHours.now().date, 1);
+        const dates = this.getOccurrences(plan, from, this.workingHours.addDays(from, 62));
+        return dates[0] || null;
+    }
+
+    describeSchedule(plan) {
+        const wh = this.workingHours;
+        const time = wh.parseTime(plan.delivery_time);
+        const at = time === null ? '' : ` at ${wh.formatTime(time)}`;
+
+        switch (plan.frequency) {
+            case this.FREQUENCIES.WEEKLY:
+                return `Every ${wh.capitalize(wh.dayName(plan.start_date))}${at}`;
+            case this.FREQUENCIES.BIWEEKLY:
+                return `Every other ${wh.capitalize(wh.dayName(plan.start_date))}${at}`;
+            case this.FREQUENCIES.MONTHLY:
+                return `Monthly on day ${parseInt(String(plan.start_date).slice(8, 10), 10)}${at}`;
+            case this.FREQUENCIES.WEEKDAYS:
+                return `Every ${(plan.weekdays || []).map(day => wh.capitalize(day)).join(', ')}${at}`;
+            default:
+                return plan.frequency;
+        }
+    }
+
+    /**
+     * Bring a plan's items up to the branch's current catalog prices before its orders are
+     * placed, so a price change doesn't fail every occurrence at the pricing step. The
+     * new prices are saved with the plan. A product the branch no longer sells, or a
+     * quantity under its new minimum, can't be fixed for the customer: the plan is
+     * paused with the reason. If the catalog can't be loaded the plan is left as it is.
+     * Returns { plan, priceChanges, paused } where `plan` is the plan to generate from.
+     */
+    async repriceItems(plan) {
+        const result = { plan, priceChanges: [], paused: null };
+        const items = plan.items.map(item => ({ ...item, quantity: item.productQty }));
+        const pricing = await this.orderManager.checkCatalogPrices(items, plan.branch_id);
+        if (!pricing.checked) return result;
+
+        const names = list => list.map(item => item.productName).join(', ');
+        let reason = '';
+        if (pricing.unavailable.length > 0) {
+            reason = `No longer sold: ${names(pricing.unavailable)}.`;
+        } else if (pricing.belowMinimum.length > 0) {
+            reason = pricing.belowMinimum
+                .map(item => `The minimum for ${item.productName} is now ${item.minQuantity}.`)
+                .join(' ');
+        }
+        if (reason) {
+            result.plan = await this.pauseSubscription(plan.$id, reason);
+            result.paused = { message: reason };
+            console.warn(`⚠️ Subscription ${plan.$id} paused: ${reason}`);
+            return result;
+        }
+
+        if (pricing.priceChanges.length > 0) {
+            const repriced = plan.items.map((item, index) => ({
+                ...item,
+                productPrice: pricing.items[index].currentPrice
+            }));
+            result.plan = await this.updateSubscription(plan.$id, { items: repriced });
+            result.priceChanges = pricing.priceChanges.map(item => ({
+                productName: item.productName,
+                oldPrice: item.oldPrice,
+                currentPrice: item.currentPrice
+            }));
+        }
+        return result;
+    }
+
+    /**
+     * Create the orders of one active plan that fall within the horizon.
+     * Days the branch is closed (or the slot is outside its hours) are skipped. The items
+     * are repriced from the catalog first (repriceItems), which may pause the plan, and
+     * the delivery fee is quoted again for the plan's address from the branch's current
+     * schedule (OrderManager.quoteDelivery). An address now outside the delivery area
+     * pauses the plan; one that can't be located is tried again next time.
+     * Returns { created, skipped, failed, priceChanges, paused }.
+     */
+    async generateOrdersForSubscription(plan) {
+        const wh = this.workingHours;
+        const summary = { created: [], skipped: [], failed: [], priceChanges: [], paused: null };
+
+        if (plan.status !== this.STATUSES.ACTIVE) return summary;
+
+        const tomorrow = wh.addDays(wh.now().date, 1);
+        const horizon = wh.addDays(tomorrow, this.HORIZON_DAYS - 1);
+        const from = plan.generated_until && plan.generated_until >= tomorrow
+            ? wh.addDays(plan.generated_until, 1)
+            : tomorrow;
+
+        const dates = this.getOccurrences(plan, from, horizon);
+        if (dates.length > 0) {
+            const repricing = await this.repriceItems(plan);
+            summary.priceChanges = repricing.priceChanges;
+            summary.paused = repricing.paused;
+            if (repricing.paused) return summary;
+            plan = repricing.plan;
+        }
+
+        let delivery = null;
+        if (dates.length > 0) {
+            try {
+                delivery = await this.orderManager.quoteDelivery(
+                    { branch_id: plan.branch_id, deliveryAddress: plan.order_data.deliveryAddress },
+                    this.orderManager.calculateOrderTotal(plan.items).subtotal
+                );
+            } catch (error) {
+                summary.failed.push({ date: dates[0], message: error.message });
+                return summary;
+            }
+
+            if (delivery && !delivery.available) {
+                await this.pauseSubscription(plan.$id, delivery.message);
+                summary.paused = { message: delivery.message };
+                return summary;
+            }
+        }
+        const deliveryAmount = delivery ? delivery.fee : 0;
+
+        const workingDays = dates.length > 0 ? await this.orderManager.getBranchWorkingDays(plan.branch_id) : [];
+        let generatedUntil = horizon;
+
+        for (const date of dates) {
+            const validation = this.orderManager.validateDateTimeWithWorkingDays(date, plan.delivery_time, workingDays);
+            if (!validation.valid) {
+                summary.skipped.push({ date, reason: validation.reason });
+                continue;
+            }
+
+            const items = plan.items.map(item => ({ ...item, quantity: item.productQty }));
+            const orderData = {
+                ...plan.order_data,
+                customer_id: plan.customer_id,
+                branch_id: plan.branch_id,
+                deliveryDate: date,
+                deliveryTime: plan.delivery_time,
+                total: window.money.toCedis(this.orderManager.calculateOrderTotal(plan.items).total + deliveryAmount),
+                deliveryFee: window.money.toCedis(deliveryAmount),
+                deliveryDistance: delivery ? delivery.distanceKm : null,
+                idempotencyKey: this.getOccurrenceKey(plan.$id, date)
+            };
+
+            const result = await this.orderManager.createCompleteOrder(orderData, items, workingDays, plan.recipient, { delivery });
+            if (!result.success) {
+                // Try this date again next time
+                summary.failed.push({ date, message: result.message });
+                generatedUntil = wh.addDays(date, -1);
+                break;
+            }
+
+            if (!result.replayed) summary.created.push(result.order);
+        }
+
+        if (generatedUntil !== plan.generated_until && generatedUntil >= from) {
+            await this.updateSubscription(plan.$id, { generated_until: generatedUntil });
+        }
+
+        return summary;
+    }
+
+    /**
+     * Create upcoming orders for all of a customer's active plans.
+     * Returns { created, skipped, failed, priceChanges, paused }, the last three with the
+     * subscriptionId of each entry.
+     */
+    async generateUpcomingOrders(customerId) {
+        const totals = { created: [], skipped: [], failed: [], priceChanges: [], paused: [] };
+        const plans = await this.getSubscriptions(customerId);
+
+        for (const plan of plans) {
+            try {
+                const summary = await this.generateOrdersForSubscription(plan);
+                totals.created.push(...summary.created);
+                totals.skipped.push(...summary.skipped.map(entry => ({ ...entry, subscriptionId: plan.$id })));
+                totals.failed.push(...summary.failed.map(entry => ({ ...entry, subscriptionId: plan.$id })));
+                totals.priceChanges.push(...summary.priceChanges.map(entry => ({ ...entry, subscriptionId: plan.$id })));
+                if (summary.paused) totals.paused.push({ ...summary.paused, subscriptionId: plan.$id });
+            } catch (error) {
+                console.error(`❌ Error generating orders for subscription ${plan.$id}:`, error);
+                totals.failed.push({ subscriptionId: plan.$id, message: error.message });
+            }
+        }
+
+        console.log(`✅ Subscriptions: ${totals.created.length} orders created, ${totals.skipped.length} skipped`);
+        return totals;
+    }
+}
+
+// Make SubscriptionManager globally available
+window.SubscriptionManager = SubscriptionManager;
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubscriptionManager;
+}
@@ -0,0 +1,360 @@
+/**
+ * Working Hours
+ * Parses branch opening hours and validates delivery slots against them
+ * in the branch's local time (Africa/Accra)
+ */
+
+class WorkingHours {
+    constructor(options = {}) {
+        this.TIME_ZONE = options.timeZone || 'Africa/Accra';
+        this.MIN_LEAD_MINUTES = options.minLeadMinutes !== undefined ? options.minLeadMinutes : 120; // 2 hours for same-day delivery
+        this.SLOT_INTERVAL_MINUTES = options.slotIntervalMinutes || 60;
+        this.SEARCH_DAYS = options.searchDays || 14;
+        this.DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+        // Machine-readable validation outcomes
+        this.REASONS = {
+            OK: 'ok',
+            NO_RESTRICTIONS: 'no_restrictions',
+            INVALID_DATE: 'invalid_date',
+            INVALID_TIME: 'invalid_time',
+            PAST_DATE: 'past_date',
+            TOO_SOON: 'too_soon',
+            CLOSED_DAY: 'closed_day',
+            OUTSIDE_HOURS: 'outside_hours',
+            UNPARSEABLE_HOURS: 'unparseable_hours'
+        };
+    }
+
+    /**
+     * Parse a time of day into minutes after midnight.
+     * Accepts "8:00 AM", "8 pm", "08:00", "18:30" and "24:00". Returns null if unparseable.
+     */
+    parseTime(value) {
+        if (value === null || value === undefined) return null;
+
+        const match = String(value).trim().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*([ap])?\.?\s*m?\.?$/i);
+        if (!match) return null;
+
+        let hours = parseInt(match[1], 10);
+        const minutes = match[2] ? parseInt(match[2], 10) : 0;
+        const meridiem = match[3] ? match[3].toLowerCase() : null;
+
+        if (minutes > 59) return null;
+
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return null;
+            if (hours === 12) hours = 0;
+            if (meridiem === 'p') hours += 12;
+        } else if (!match[2]) {
+            // A bare number without minutes or AM/PM is too ambiguous
+            return null;
+        }
+
+        if (hours > 24 || (hours === 24 && minutes > 0)) return null;
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Parse an opening-hours value into { open, close, overnight } in minutes.
+     * Accepts "8:00 AM - 6:00 PM", "08:00-18:00", "8am to 6pm", { open, close } and
+     * "Open 24 hours". Returns { closed: true } for closed days and null if unparseable.
+     */
+    parseRange(value) {
+        if (!value) return null;
+
+        if (typeof value === 'object') {
+            if (value.isOpen === false || value.closed === true) return { closed: true };
+            if (value.time) return this.parseRange(value.time);
+            return this.buildRange(this.parseTime(value.open), this.parseTime(value.close));
+        }
+
+        const text = String(value).trim();
+        if (/^closed$/i.test(text)) return { closed: true };
+        if (/24\s*(hours|hrs|h)/i.test(text)) return { open: 0, close: 24 * 60, overnight: false };
+
+        const parts = text.split(/\s*[-–—]\s*|\s+to\s+/i);
+        if (parts.length !== 2) return null;
+
+        return this.buildRange(this.parseTime(parts[0]), this.parseTime(parts[1]));
+    }
+
+    buildRange(open, close) {
+        if (open === null || close === null) return null;
+        if (open === close) return { open: 0, close: 24 * 60, overnight: false };
+        return { open, close, overnight: close < open };
+    }
+
+    /**
+     * Normalise the working days shapes used across the app into { monday: range, ... }.
+     * Supports the working_days documents ([{ day, time }]) and the { monday: { open, close } } map.
+     */
+    normalizeWorkingDays(workingDays) {
+        const schedule = {};
+
+        if (Array.isArray(workingDays)) {
+            workingDays.forEach(entry => {
+                if (!entry || !entry.day) return;
+                const range = this.parseRange(entry.time ? entry.time : entry);
+                schedule[String(entry.day).trim().toLowerCase()] = range;
+            });
+        } else if (workingDays && typeof workingDays === 'object') {
+            Object.keys(workingDays).forEach(day => {
+                schedule[day.trim().toLowerCase()] = this.parseRange(workingDays[day]);
+            });
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Current date ("YYYY-MM-DD") and minutes after midnight in the branch time zone
+     */
+    now() {
+        const parts = {};
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.TIME_ZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date()).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: (parseInt(parts.hour, 10) % 24) * 60 + parseInt(parts.minute, 10)
+        };
+    }
+
+    /**
+     * Parse "YYYY-MM-DD" (or anything Date understands) into a calendar date string
+     */
+    toDateString(value) {
+        if (!value) return null;
+
+        const isoMatch = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (isoMatch) return `${isoMatch[1]}-${isoMatch[2]}-${isoMatch[3]}`;
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return null;
+        return date.toISOString().split('T')[0];
+    }
+
+    addDays(dateString, days) {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    dayName(dateString) {
+        return this.DAYS[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+    }
+
+    capitalize(day) {
+        return day.charAt(0).toUpperCase() + day.slice(1);
+    }
+
+    formatTime(minutes) {
+        const hours24 = Math.floor(minutes / 60) % 24;
+        const mins = String(minutes % 60).padStart(2, '0');
+        const ampm = hours24 >= 12 ? 'PM' : 'AM';
+        return `${hours24 % 12 || 12}:${mins} ${ampm}`;
+    }
+
+    toTimeValue(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Open windows ([start, end) in minutes) on a given date, including the
+     * after-midnight tail of the previous day's overnight range
+     */
+    getOpenWindows(schedule, dateString) {
+        const windows = [];
+        const today = schedule[this.dayName(dateString)];
+        const yesterday = schedule[this.dayName(this.addDays(dateString, -1))];
+
+        if (yesterday && !yesterday.closed && yesterday.overnight && yesterday.close > 0) {
+            windows.push({ start: 0, end: yesterday.close });
+        }
+        if (today && !today.closed) {
+            windows.push({ start: today.open, end: today.overnight ? 24 * 60 : today.close });
+        }
+
+        return windows;
+    }
+
+    /**
+     * Earliest allowed delivery minute on a date given the current time and lead time
+     */
+    getEarliestMinutes(dateString, now) {
+        if (dateString < now.date) return Infinity;
+
+        // The lead time can spill past midnight into the next day
+        const dayOffset = Math.round((new Date(`${dateString}T00:00:00Z`) - new Date(`${now.date}T00:00:00Z`)) / 86400000);
+        return Math.max(0, now.minutes + this.MIN_LEAD_MINUTES - dayOffset * 24 * 60);
+    }
+
+    /**
+     * Find the first open slot at or after the given date/time
+     */
+    findNextSlot(schedule, fromDate, fromMinutes = 0, now = this.now()) {
+        let dateString = fromDate < now.date ? now.date : fromDate;
+        let startMinutes = fromDate < now.date ? 0 : fromMinutes;
+
+        for (let i = 0; i < this.SEARCH_DAYS; i++) {
+            const earliest = Math.max(startMinutes, this.getEarliestMinutes(dateString, now));
+
+            for (const window of this.getOpenWindows(schedule, dateString)) {
+                // Slots are aligned to the interval from the window's start
+                const offset = Math.max(0, earliest - window.start);
+                const steps = Math.ceil(offset / this.SLOT_INTERVAL_MINUTES);
+                const candidate = window.start + steps * this.SLOT_INTERVAL_MINUTES;
+
+                if (candidate < window.end && candidate < 24 * 60) {
+                    return {
+                        date: dateString,
+                        time: this.toTimeValue(candidate),
+                        label: `${this.capitalize(this.dayName(dateString))} ${dateString} at ${this.formatTime(candidate)}`
+                    };
+                }
+            }
+
+            dateString = this.addDays(dateString, 1);
+            startMinutes = 0;
+        }
+
+        return null;
+    }
+
+    /**
+     * Delivery slots on a date, one per interval within the open windows:
+     * [{ time: "HH:MM", label: "h:mm AM", available, reason }] where `reason` is
+     * this.REASONS.TOO_SOON for slots inside the lead time. Without working days data
+     * the default hours (8:00 AM - 7:00 PM) are used; closed days have no slots.
+     */
+    getSlots(selectedDate, workingDays, now = this.now()) {
+        const dateString = this.toDateString(selectedDate);
+        if (!dateString) return [];
+
+        const schedule = this.normalizeWorkingDays(workingDays);
+        const day = this.dayName(dateString);
+        const restricted = Object.keys(schedule).length > 0 && schedule[day] !== null;
+        const windows = restricted
+            ? this.getOpenWindows(schedule, dateString)
+            : [{ start: 8 * 60, end: 19 * 60 }];
+        const earliest = this.getEarliestMinutes(dateString, now);
+
+        const slots = [];
+        windows.forEach(window => {
+            for (let minutes = window.start; minutes < window.end && minutes < 24 * 60; minutes += this.SLOT_INTERVAL_MINUTES) {
+                const tooSoon = minutes < earliest;
+                slots.push({
+                    time: this.toTimeValue(minutes),
+                    label: this.formatTime(minutes),
+                    available: !tooSoon,
+                    reason: tooSoon ? this.REASONS.TOO_SOON : this.REASONS.OK
+                });
+            }
+        });
+
+        return slots;
+    }
+
+    /**
+     * Validate a delivery date ("YYYY-MM-DD") and time ("HH:MM" or "h:mm AM") against working days.
+     * Returns { valid, reason, message, nextSlot } where reason is one of this.REASONS.
+     */
+    validate(selectedDate, selectedTime, workingDays) {
+        const now = this.now();
+        const dateString = this.toDateString(selectedDate);
+
+        if (!dateString) {
+            return this.result(false, this.REASONS.INVALID_DATE, 'Please select a valid delivery date.');
+        }
+
+        const hasTime = selectedTime !== undefined && selectedTime !== null && selectedTime !== '';
+        const minutes = hasTime ? this.parseTime(selectedTime) : null;
+        if (hasTime && minutes === null) {
+            return this.result(false, this.REASONS.INVALID_TIME, 'Please select a valid delivery time.');
+        }
+
+        const schedule = this.normalizeWorkingDays(workingDays);
+        const knownDays = Object.keys(schedule);
+        const restricted = knownDays.length > 0;
+
+        // Without working days data only the clock is checked
+        const effectiveSchedule = restricted ? schedule : this.DAYS.reduce((all, day) => {
+            all[day] = { open: 0, close: 24 * 60, overnight: false };
+            return all;
+        }, {});
+
+        if (dateString < now.date) {
+            return this.result(false, this.REASONS.PAST_DATE, 'The selected date has already passed.',
+                this.findNextSlot(effectiveSchedule, now.date, 0, now));
+        }
+
+        if (minutes !== null && minutes < this.getEarliestMinutes(dateString, now)) {
+            return this.result(false, this.REASONS.TOO_SOON,
+                `Orders must be scheduled at least ${this.MIN_LEAD_MINUTES / 60} hours in advance.`,
+                this.findNextSlot(effectiveSchedule, dateString, minutes, now));
+        }
+
+        if (!restricted) {
+            return this.result(true, this.REASONS.NO_RESTRICTIONS, 'No working days restrictions');
+        }
+
+        const day = this.dayName(dateString);
+        const dayLabel = this.capitalize(day);
+
+        // Hours we can't read are not held against the customer
+        if (schedule[day] === null) {
+            return this.result(true, this.REASONS.UNPARSEABLE_HOURS, `Working hours for ${dayLabel} could not be read; time not checked.`);
+        }
+
+        const windows = this.getOpenWindows(schedule, dateString);
+
+        if (windows.length === 0) {
+            return this.result(false, this.REASONS.CLOSED_DAY, `Not a working day. ${dayLabel} is not available.`,
+                this.findNextSlot(schedule, dateString, 0, now));
+        }
+
+        if (minutes === null) {
+            return this.result(true, this.REASONS.OK, `Working day confirmed: ${dayLabel}`);
+        }
+
+        const inWindow = windows.some(window => minutes >= window.start && minutes < window.end);
+        if (!inWindow) {
+            const hours = schedule[day] && !schedule[day].closed
+                ? `${this.formatTime(schedule[day].open)} - ${this.formatTime(schedule[day].close)}`
+                : 'closed';
+            return this.result(false, this.REASONS.OUTSIDE_HOURS,
+                `Selected time is outside working hours (${dayLabel}: ${hours}).`,
+                this.findNextSlot(schedule, dateString, minutes, now));
+        }
+
+        return this.result(true, this.REASONS.OK, `Working hours confirmed for ${dayLabel}`);
+    }
+
+    result(valid, reason, message, nextSlot = null) {
+        return {
+            valid,
+            reason,
+            message: nextSlot ? `${message} Next available: ${nextSlot.label}.` : message,
+            nextSlot
+        };
+    }
+}
+
+// Initialize working hours helper globally
+window.WorkingHours = WorkingHours;
+window.workingHours = new WorkingHours();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkingHours;
+}
@@ -0,0 +1,403 @@
+/**
+ * CacheManager against the fake Appwrite SDK: cached data in IndexedDB and in the
+ * localStorage fallback, and the sync queue - queueing, replaying saved orders, reviews
+ * and profile updates, and the retry, backoff and drop paths. Run with `node --test tests/`.
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, plain } = require('./helpers/browser');
+const { createFakeIndexedDB } = require('./helpers/fakeIndexedDB');
+
+const SCRIPTS = ['money', 'orderStatus', 'workingHours', 'contactValidation', 'appwriteConfig', 'dataBackend', 'orderManager', 'cacheStore', 'cacheManager'];
+const NOW = Date.parse('2030-01-01T09:00:00.000Z');
+
+let page;
+let window;
+let cacheManager;
+let tables;
+
+// Lets timers and pending syncs run
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+function savedOrder(overrides = {}) {
+    return {
+        orderId: 'offline-1', // the local ID shown while offline, never the document ID
+        customer_id: 'customer-1',
+        branch_id: 'branch-1',
+        deliveryDate: '2030-01-07',
+        deliveryTime: '10:00',
+        deliveryAddress: '12 Oxford Street, Osu',
+        paymentMethod: 'mtn',
+        total: 41.3,
+        products: [
+            { productId: 'sachet', name: 'Sachet Water', price: 8, quantity: 2 },
+            { productId: 'large', name: 'Large Bottle', price: 25, quantity: 1 }
+        ],
+        ...overrides
+    };
+}
+
+function queue() {
+    return plain(cacheManager.getStoredSyncQueue());
+}
+
+// Queue while offline, so only the test decides when the queue runs
+function enqueue(action, data, priority) {
+    cacheManager.isOnline = false;
+    const id = cacheManager.addToSyncQueue(action, data, priority);
+    cacheManager.isOnline = true;
+    return id;
+}
+
+// A page whose CacheManager keeps its cache in `backend`, full at `quota` characters.
+// before(window) runs ahead of the scripts, e.g. to leave entries from an earlier visit.
+async function openCache(backend, { quota = Infinity, before = null } = {}) {
+    const idb = backend === 'indexedDB' ? createFakeIndexedDB({ quota }) : null;
+    const cachePage = createBrowser({
+        online: false,
+        indexedDB: idb && idb.indexedDB,
+        storageQuota: backend === 'localStorage' ? quota : Infinity
+    });
+    cachePage.setNow(NOW);
+    if (before) before(cachePage.window);
+    cachePage.load(...SCRIPTS);
+    await cachePage.window.cacheManager.getStore();
+    return { page: cachePage, window: cachePage.window, cacheManager: cachePage.window.cacheManager };
+}
+
+beforeEach(() => {
+    page = createBrowser({ online: false });
+    window = page.load(...SCRIPTS);
+    page.setNow(NOW);
+    cacheManager = window.cacheManager;
+    tables = window.appwriteConfig;
+    page.appwrite.seed(tables.CUSTOMER_TABLE, [{ $id: 'customer-1', name: 'Ama Mensah', phone: '' }]);
+});
+
+['indexedDB', 'localStorage'].forEach(backend => {
+    describe(`cache in ${backend}`, () => {
+        beforeEach(async () => {
+            ({ page, window, cacheManager } = await openCache(backend));
+        });
+
+        test('hands back a JSON copy of what was cached', async () => {
+            const companies = [{ name: 'Bel-Aqua', verifiedAt: new Date(NOW), branches: ['Osu'] }];
+
+            assert.equal(await cacheManager.setCache('companies', companies), true);
+            companies[0].branches.push('Tema');
+
+            assert.deepEqual(plain(await cacheManager.getCache('companies')), [
+                { name: 'Bel-Aqua', verifiedAt: '2030-01-01T09:00:00.000Z', branches: ['Osu'] }
+            ]);
+            assert.equal((await cacheManager.getCacheStats()).store, backend);
+        });
+
+        test('keys entries by type and identifier', async () => {
+            await cacheManager.setCache('orders', { total: '12.30' }, 'o1');
+            await cacheManager.setCache('orders', { total: '8.00' }, 'o2');
+
+            assert.equal((await cacheManager.getCache('orders', 'o2')).total, '8.00');
+            assert.equal(await cacheManager.getCache('orders'), null);
+        });
+
+        test('expires entries and removes them when read', async () => {
+            await cacheManager.setCache('user_profile', { name: 'Ama' }, '', 1000);
+
+            page.setNow(NOW + 1000);
+            assert.equal((await cacheManager.getCache('user_profile')).name, 'Ama');
+
+            page.setNow(NOW + 1001);
+            assert.equal(await cacheManager.getCache('user_profile'), null);
+            assert.equal((await cacheManager.getCacheStats()).totalItems, 0);
+        });
+
+        test('removes an entry', async () => {
+            await cacheManager.setCache('companies', []);
+            assert.equal(await cacheManager.removeCache('companies'), true);
+            assert.equal(await cacheManager.getCache('companies'), null);
+        });
+
+        test('counts entries by type', async () => {
+            await cacheManager.setCache('user_profile', { name: 'Ama' });
+            await cacheManager.setCache('orders', {}, 'o1');
+            await cacheManager.setCache('orders', {}, 'o2');
+
+            const stats = await cacheManager.getCacheStats();
+            assert.equal(stats.totalItems, 3);
+            assert.deepEqual(plain(Object.entries(stats.items).map(([type, { count }]) => [type, count])), [
+                ['user_profile', 1],
+                ['orders', 2]
+            ]);
+        });
+
+        test('clears the cache but not the sync queue', async () => {
+            await cacheManager.setCache('companies', []);
+            await cacheManager.setCache('user_profile', {});
+            enqueue('save_review', { rating: 5 });
+
+            assert.equal(await cacheManager.clearAllCache(), 2);
+            assert.equal(await cacheManager.getCache('companies'), null);
+            assert.equal(queue().length, 1);
+        });
+    });
+
+    describe(`full cache in ${backend}`, () => {
+        beforeEach(async () => {
+            ({ page, window, cacheManager } = await openCache(backend, { quota: 1000 }));
+        });
+
+        test('clears expired entries to make room', async () => {
+            for (const id of ['o1', 'o2', 'o3']) {
+                assert.equal(await cacheManager.setCache('orders', 'x'.repeat(150), id, 1000), true);
+            }
+
+            page.setNow(NOW + 2000);
+            assert.equal(await cacheManager.setCache('companies', 'y'.repeat(150)), true);
+
+            const stats = await cacheManager.getCacheStats();
+            assert.deepEqual(plain(Object.keys(stats.items)), ['companies']);
+        });
+
+        test('fails without losing what is cached when nothing has expired', async () => {
+            for (const id of ['o1', 'o2', 'o3']) {
+                await cacheManager.setCache('orders', 'x'.repeat(150), id);
+            }
+
+            assert.equal(await cacheManager.setCache('companies', 'y'.repeat(150)), false);
+            assert.equal((await cacheManager.getCacheStats()).totalItems, 3);
+        });
+    });
+});
+
+describe('cache from an earlier version', () => {
+    test('is moved from localStorage into IndexedDB', async () => {
+        ({ page, window, cacheManager } = await openCache('indexedDB', {
+            before: earlier => {
+                earlier.localStorage.setItem('phluowise_user_profile__1.0', JSON.stringify({
+                    data: { name: 'Ama' }, timestamp: NOW, expiry: NOW + 1000, version: '1.0'
+                }));
+                earlier.localStorage.setItem('phluowise_sync_queue', '[]');
+            }
+        }));
+
+        assert.equal((await cacheManager.getCache('user_profile')).name, 'Ama');
+        assert.deepEqual(Object.keys(window.localStorage), ['phluowise_sync_queue']);
+    });
+
+    test('stays in localStorage without IndexedDB', async () => {
+        ({ page, window, cacheManager } = await openCache('localStorage', {
+            before: earlier => {
+                earlier.localStorage.setItem('phluowise_user_profile__1.0', JSON.stringify({
+                    data: { name: 'Ama' }, timestamp: NOW, expiry: NOW + 1000, version: '1.0'
+                }));
+            }
+        }));
+
+        assert.equal((await cacheManager.getCache('user_profile')).name, 'Ama');
+        assert.ok(window.localStorage.getItem('phluowise_user_profile__1.0'));
+    });
+});
+
+describe('queue', () => {
+    test('queues an action with its priority and no retries yet', () => {
+        const id = cacheManager.addToSyncQueue('save_review', { rating: 5 }, 'high');
+
+        assert.deepEqual(queue(), [{
+            id,
+            action: 'save_review',
+            data: { rating: 5 },
+            timestamp: NOW,
+            priority: 'high',
+            retries: 0,
+            nextRetry: NOW
+        }]);
+    });
+
+    test('keeps a keyed write once', () => {
+        const first = cacheManager.addToSyncQueue('save_order', savedOrder({ idempotencyKey: 'key0000000000001' }));
+        const again = cacheManager.addToSyncQueue('save_order', savedOrder({ idempotencyKey: 'key0000000000001' }));
+
+        assert.equal(again, first);
+        assert.equal(queue().length, 1);
+    });
+
+    test('does nothing while offline', async () => {
+        cacheManager.addToSyncQueue('save_review', { rating: 5 });
+        await cacheManager.processSyncQueue();
+
+        assert.equal(queue().length, 1);
+        assert.equal(page.appwrite.calls.length, 0);
+    });
+
+    test('syncs when the connection comes back', async () => {
+        cacheManager.addToSyncQueue('save_review', { rating: 4 });
+        page.dispatch('online');
+        await settle();
+
+        assert.equal(queue().length, 0);
+        assert.equal(page.appwrite.documents(tables.RATINGS_TABLE).length, 1);
+        assert.equal(cacheManager.getLastSyncTime(), NOW);
+    });
+});
+
+describe('syncing', () => {
+    // Branch 1's catalog and opening hours, which a queued order is checked against
+    beforeEach(() => {
+        window.companyDataManager = {
+            fetchCompanyData: async () => [{
+                branch_id: 'branch-1',
+                products: [
+                    { $id: 'sachet', name: 'Sachet Water', price: '8.00', minQuantity: 1 },
+                    { $id: 'large', name: 'Large Bottle', price: 25, minQuantity: 1 }
+                ]
+            }]
+        };
+        page.appwrite.seed(tables.WORKING_DAYS_TABLE, [{ $id: 'wd-1', branch_id: 'branch-1', day: 'Monday', time: '8:00 AM - 6:00 PM' }]);
+    });
+
+    test('saves a queued order with its items and recipient under the created order ID', async () => {
+        enqueue('save_order', savedOrder({
+            recipient: { purchase_recipient_type: 'someone_else', recipient_name: 'Kofi Boateng', recipient_phone: '024 123 4567' }
+        }));
+        await cacheManager.processSyncQueue();
+
+        const [order] = page.appwrite.documents(tables.ORDERS_TABLE);
+        const items = page.appwrite.documents(tables.ORDER_ITEMS_TABLE);
+        assert.equal(items.length, 2);
+        assert.ok(items.every(item => item.orderId === order.$id), 'items belong to the created order');
+        assert.notEqual(order.$id, 'offline-1');
+        assert.equal(order.total, '41.30');
+        assert.equal(page.appwrite.documents(tables.PURCHASE_RECIPIENT_TABLE)[0].recipient_phone, '+233241234567');
+        assert.deepEqual(plain(page.appwrite.documents(tables.ORDER_EVENTS_TABLE).map(e => e.status)), ['pending']);
+        assert.equal(queue().length, 0);
+    });
+
+    test('checks a queued order against the catalog and opening hours before writing it', async () => {
+        enqueue('save_order', savedOrder({ total: 0.5, products: [{ productId: 'sachet', name: 'Sachet Water', price: 0.2, quantity: 2 }] }));
+        enqueue('save_order', savedOrder({ deliveryTime: '19:00' }));
+        await cacheManager.processSyncQueue();
+
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 0);
+        assert.equal(page.appwrite.documents(tables.ORDER_ITEMS_TABLE).length, 0);
+        assert.deepEqual(queue().map(item => item.retries), [1, 1]);
+    });
+
+    test('a retried order is created once, under the key it got on the first attempt', async () => {
+        let itemsDown = true;
+        page.appwrite.fail('createDocument', { collectionId: tables.ORDER_ITEMS_TABLE, times: 100, when: () => itemsDown });
+
+        enqueue('save_order', savedOrder());
+        await cacheManager.processSyncQueue();
+
+        const [waiting] = queue();
+        assert.equal(waiting.retries, 1);
+        assert.match(waiting.data.idempotencyKey, /^[0-9a-z]{16}$/);
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 0, 'the failed attempt is rolled back');
+
+        itemsDown = false;
+        page.setNow(waiting.nextRetry);
+        await cacheManager.processSyncQueue();
+
+        assert.equal(queue().length, 0);
+        assert.deepEqual(plain(page.appwrite.documents(tables.ORDERS_TABLE).map(order => order.$id)), [waiting.data.idempotencyKey]);
+        assert.equal(page.appwrite.documents(tables.ORDER_ITEMS_TABLE).length, 2);
+    });
+
+    test('saves a queued review as a rating', async () => {
+        enqueue('save_review', { customer_id: 'customer-1', branch_id: 'branch-1', rating: 5 });
+        await cacheManager.processSyncQueue();
+
+        const [rating] = page.appwrite.documents(tables.RATINGS_TABLE);
+        assert.equal(rating.rating, 5);
+        assert.equal(rating.branch_id, 'branch-1');
+    });
+
+    test('applies a queued profile update to the customer', async () => {
+        enqueue('update_profile', { uid: 'customer-1', phone: '+233241234567' });
+        await cacheManager.processSyncQueue();
+
+        const [customer] = page.appwrite.documents(tables.CUSTOMER_TABLE);
+        assert.equal(customer.phone, '+233241234567');
+        assert.equal(customer.name, 'Ama Mensah');
+    });
+
+    test('syncs high priority items first', async () => {
+        enqueue('save_review', { rating: 1 }, 'low');
+        enqueue('save_review', { rating: 3 });
+        enqueue('update_profile', { uid: 'customer-1', name: 'Ama' }, 'high');
+        await cacheManager.processSyncQueue();
+
+        const writes = page.appwrite.calls.map(call => [call.method, call.data.rating ?? call.data.name]);
+        assert.deepEqual(writes, [['updateDocument', 'Ama'], ['createDocument', 3], ['createDocument', 1]]);
+    });
+
+    test('drops an unknown action', async () => {
+        enqueue('save_wishlist', { productId: 'sachet' });
+        await cacheManager.processSyncQueue();
+
+        assert.equal(queue().length, 0);
+    });
+});
+
+describe('retries', () => {
+    test('backs off 2s then 4s and drops the item after the third failure', async () => {
+        page.appwrite.fail('createDocument', { collectionId: tables.RATINGS_TABLE, times: 3 });
+        enqueue('save_review', { rating: 2 });
+
+        await cacheManager.processSyncQueue();
+        assert.deepEqual(queue().map(item => [item.retries, item.nextRetry]), [[1, NOW + 2000]]);
+
+        page.setNow(NOW + 2000);
+        await cacheManager.processSyncQueue();
+        assert.deepEqual(queue().map(item => [item.retries, item.nextRetry]), [[2, NOW + 6000]]);
+
+        page.setNow(NOW + 6000);
+        await cacheManager.processSyncQueue();
+        assert.deepEqual(queue(), []);
+        assert.equal(page.appwrite.documents(tables.RATINGS_TABLE).length, 0);
+    });
+
+    test('leaves an item alone until its retry time', async () => {
+        page.appwrite.fail('createDocument', { collectionId: tables.RATINGS_TABLE });
+        enqueue('save_review', { rating: 2 });
+        await cacheManager.processSyncQueue();
+
+        page.setNow(NOW + 1999);
+        await cacheManager.processSyncQueue();
+        assert.equal(queue()[0].retries, 1);
+        assert.equal(page.appwrite.calls.length, 1);
+
+        page.setNow(NOW + 2000);
+        await cacheManager.processSyncQueue();
+        assert.deepEqual(queue(), []);
+        assert.equal(page.appwrite.documents(tables.RATINGS_TABLE).length, 1);
+    });
+
+    test('keeps items waiting for their retry while others sync', async () => {
+        page.appwrite.fail('createDocument', { collectionId: tables.RATINGS_TABLE });
+        enqueue('save_review', { rating: 2 });
+        await cacheManager.processSyncQueue();
+
+        enqueue('update_profile', { uid: 'customer-1', name: 'Ama' });
+        await cacheManager.processSyncQueue();
+
+        assert.deepEqual(queue().map(item => [item.action, item.retries]), [['save_review', 1]]);
+    });
+
+    test('keeps items queued while a sync is running', async () => {
+        enqueue('update_profile', { uid: 'customer-1', name: 'Ama' });
+
+        // Another tab queues a review while this one is syncing
+        const syncItem = cacheManager.processSyncItem.bind(cacheManager);
+        cacheManager.processSyncItem = async item => {
+            const stored = cacheManager.getStoredSyncQueue();
+            stored.push({ id: 'other-tab', action: 'save_review', data: { rating: 4 }, priority: 'normal', retries: 0, nextRetry: NOW });
+            window.localStorage.setItem(cacheManager.SYNC_QUEUE_KEY, JSON.stringify(stored));
+            return syncItem(item);
+        };
+        await cacheManager.processSyncQueue();
+
+        assert.deepEqual(queue().map(item => item.id), ['other-tab']);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * The cache stores behind CacheManager: IndexedDB, the localStorage fallback, and the
+ * move of entries cached in localStorage into IndexedDB. Run with `node --test tests/`.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, plain } = require('./helpers/browser');
+const { createFakeIndexedDB } = require('./helpers/fakeIndexedDB');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2030-01-01T09:00:00.000Z');
+
+const isCacheKey = key => key.startsWith('phluowise_') && key.endsWith('_1.0');
+
+function entry(key, data, expiry = NOW + DAY) {
+    return { key, type: key.split('_')[1], data, timestamp: NOW, expiry, version: '1.0' };
+}
+
+function openPage(options = {}) {
+    const page = createBrowser(options);
+    const window = page.load('cacheStore');
+    page.setNow(NOW);
+    return { page, window, createCacheStore: () => window.createCacheStore({ isCacheKey }) };
+}
+
+// An entry as an earlier version cached it: JSON in localStorage, without key or type
+function legacyEntry(window, key, data, expiry = NOW + DAY) {
+    window.localStorage.setItem(key, JSON.stringify({ data, timestamp: NOW, expiry, version: '1.0' }));
+}
+
+describe('IndexedDBCacheStore', () => {
+    test('stores, reads and removes entries by key', async () => {
+        const idb = createFakeIndexedDB();
+        const { window } = openPage({ indexedDB: idb.indexedDB });
+        const store = await new window.IndexedDBCacheStore().open();
+
+        await store.set(entry('phluowise_companies__1.0', [{ name: 'Bel-Aqua' }]));
+        await store.set(entry('phluowise_user_profile__1.0', { name: 'Ama' }));
+
+        assert.deepEqual(plain(await store.get('phluowise_companies__1.0')).data, [{ name: 'Bel-Aqua' }]);
+        assert.equal(await store.get('phluowise_orders_missing_1.0'), null);
+
+        await store.remove('phluowise_companies__1.0');
+        assert.deepEqual(plain((await store.getAll()).map(e => e.key)), ['phluowise_user_profile__1.0']);
+
+        await store.clear();
+        assert.deepEqual(idb.records(), []);
+    });
+
+    test('writes nothing when a batch goes over the quota', async () => {
+        const idb = createFakeIndexedDB({ quota: 300 });
+        const { window } = openPage({ indexedDB: idb.indexedDB });
+        const store = await new window.IndexedDBCacheStore().open();
+
+        await assert.rejects(
+            store.setAll([entry('phluowise_a__1.0', 'x'.repeat(100)), entry('phluowise_b__1.0', 'y'.repeat(200))]),
+            error => error.name === 'QuotaExceededError'
+        );
+        assert.deepEqual(idb.records(), []);
+    });
+});
+
+describe('LocalStorageCacheStore', () => {
+    test('keeps entries as JSON and leaves the other keys alone', async () => {
+        const { window } = openPage();
+        window.localStorage.setItem('phluowise_sync_queue', '[]');
+        const store = new window.LocalStorageCacheStore({ isCacheKey });
+
+        await store.set(entry('phluowise_companies__1.0', [{ name: 'Bel-Aqua' }]));
+        assert.equal(JSON.parse(window.localStorage.getItem('phluowise_companies__1.0')).data[0].name, 'Bel-Aqua');
+
+        await store.clear();
+        assert.deepEqual(Object.keys(window.localStorage), ['phluowise_sync_queue']);
+    });
+
+    test('gives legacy entries their key and unreadable ones an expiry in the past', async () => {
+        const { window } = openPage();
+        legacyEntry(window, 'phluowise_companies__1.0', []);
+        window.localStorage.setItem('phluowise_orders_o1_1.0', '{not json');
+        const store = new window.LocalStorageCacheStore({ isCacheKey });
+
+        const entries = plain(await store.getAll());
+        assert.deepEqual(entries.map(e => [e.key, e.expiry]), [
+            ['phluowise_companies__1.0', NOW + DAY],
+            ['phluowise_orders_o1_1.0', 0]
+        ]);
+    });
+});
+
+describe('createCacheStore', () => {
+    test('uses IndexedDB when it opens', async () => {
+        const idb = createFakeIndexedDB();
+        const { createCacheStore } = openPage({ indexedDB: idb.indexedDB });
+
+        const store = await createCacheStore();
+        assert.equal(store.name, 'indexedDB');
+    });
+
+    test('falls back to localStorage without IndexedDB', async () => {
+        const { createCacheStore } = openPage();
+
+        const store = await createCacheStore();
+        assert.equal(store.name, 'localStorage');
+    });
+
+    test('falls back to localStorage when IndexedDB cannot be opened', async () => {
+        const idb = createFakeIndexedDB({ failOpen: true });
+        const { window, createCacheStore } = openPage({ indexedDB: idb.indexedDB });
+        legacyEntry(window, 'phluowise_companies__1.0', [{ name: 'Bel-Aqua' }]);
+
+        const store = await createCacheStore();
+        assert.equal(store.name, 'localStorage');
+        assert.equal(plain(await store.get('phluowise_companies__1.0')).data[0].name, 'Bel-Aqua');
+    });
+
+    test('moves cached entries out of localStorage into IndexedDB', async () => {
+        const idb = createFakeIndexedDB();
+        const { window, createCacheStore } = openPage({ indexedDB: idb.indexedDB });
+        legacyEntry(window, 'phluowise_companies__1.0', [{ name: 'Bel-Aqua' }]);
+        legacyEntry(window, 'phluowise_user_profile__1.0', { name: 'Ama' });
+        legacyEntry(window, 'phluowise_orders_o1_1.0', { orderId: 'o1' }, NOW - 1);
+        window.localStorage.setItem('phluowise_sync_queue', '[]');
+        window.localStorage.setItem('phluowise_data_backend', 'memory');
+        window.localStorage.setItem('customerSession', '{}');
+
+        const store = await createCacheStore();
+
+        assert.deepEqual(idb.records().map(e => e.key).sort(), ['phluowise_companies__1.0', 'phluowise_user_profile__1.0']);
+        assert.equal(plain(await store.get('phluowise_user_profile__1.0')).data.name, 'Ama');
+        assert.deepEqual(Object.keys(window.localStorage).sort(), ['customerSession', 'phluowise_data_backend', 'phluowise_sync_queue']);
+    });
+
+    test('leaves the entries in localStorage when the move fails', async () => {
+        const idb = createFakeIndexedDB({ quota: 50 });
+        const { window, createCacheStore } = openPage({ indexedDB: idb.indexedDB });
+        legacyEntry(window, 'phluowise_companies__1.0', [{ name: 'Bel-Aqua', description: 'x'.repeat(100) }]);
+
+        const store = await createCacheStore();
+
+        assert.equal(store.name, 'indexedDB');
+        assert.deepEqual(idb.records(), []);
+        assert.deepEqual(Object.keys(window.localStorage), ['phluowise_companies__1.0']);
+    });
+});
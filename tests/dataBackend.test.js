@@ -0,0 +1,44 @@
+/**
+ * Which data backend a page uses, and the demo mode shown while it is the memory
+ * backend. Run with `node --test tests/`.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/browser');
+
+const BACKEND_KEY = 'phluowise_data_backend';
+
+// A page on `hostname` that loads the data backend, with `saved` remembered from before
+function openPage({ hostname, search = '', saved = null }) {
+    const page = createBrowser({ hostname, search });
+    if (saved) page.window.localStorage.setItem(BACKEND_KEY, saved);
+    return page.load('appwriteConfig', 'dataBackend');
+}
+
+const banner = window => window.document.body.children.find(child => child.id === 'demo-mode-banner');
+
+describe('backend choice', () => {
+    test('switches to the memory backend from the query string on localhost', () => {
+        const window = openPage({ hostname: 'localhost', search: '?backend=memory' });
+
+        assert.equal(window.dataStore.name, 'memory');
+        assert.equal(window.localStorage.getItem(BACKEND_KEY), 'memory');
+        assert.match(banner(window).innerHTML, /Demo mode/);
+    });
+
+    test('ignores the query string on the live site', () => {
+        const window = openPage({ hostname: 'phluowise.com', search: '?backend=memory' });
+
+        assert.equal(window.dataStore.name, 'appwrite');
+        assert.equal(window.localStorage.getItem(BACKEND_KEY), null);
+        assert.equal(banner(window), undefined);
+    });
+
+    test('drops a memory backend remembered on the live site', () => {
+        const window = openPage({ hostname: 'phluowise.com', saved: 'memory' });
+
+        assert.equal(window.dataStore.name, 'appwrite');
+        assert.equal(window.localStorage.getItem(BACKEND_KEY), null);
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Browser sandbox
+ * Runs the app's scripts (js/*.js) in a vm context that stands in for a page: `window`
+ * is the global object, with localStorage, navigator.onLine, a minimal document and
+ * window events, the fake Appwrite SDK as `Appwrite` and, when given, a fake
+ * IndexedDB (tests/helpers/fakeIndexedDB.js). Timers fire on the next
+ * turn whatever their delay, so retry and backoff waits don't slow the tests down;
+ * Date.now() is controlled with setNow().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createFakeAppwrite } = require('./fakeAppwrite');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// The Web Storage API over a Map, enumerable like the browser's (Object.keys(localStorage)).
+// A write that would take it over `quota` characters throws a QuotaExceededError.
+function createStorage({ quota = Infinity } = {}) {
+    const items = new Map();
+    const used = () => Array.from(items).reduce((sum, [key, value]) => sum + key.length + value.length, 0);
+    const api = {
+        getItem: key => (items.has(String(key)) ? items.get(String(key)) : null),
+        setItem: (key, value) => {
+            const previous = items.get(String(key));
+            const size = used() - (previous === undefined ? 0 : String(key).length + previous.length);
+            if (size + String(key).length + String(value).length > quota) {
+                const error = new Error('The quota has been exceeded.');
+                error.name = 'QuotaExceededError';
+                throw error;
+            }
+            items.set(String(key), String(value));
+        },
+        removeItem: key => { items.delete(String(key)); },
+        clear: () => items.clear(),
+        key: index => Array.from(items.keys())[index] ?? null
+    };
+
+    return new Proxy(api, {
+        get: (target, prop) => (prop === 'length' ? items.size : prop in target ? target[prop] : target.getItem(prop)),
+        ownKeys: () => Array.from(items.keys()),
+        getOwnPropertyDescriptor: (target, prop) => (items.has(prop)
+            ? { value: items.get(prop), enumerable: true, configurable: true, writable: true }
+            : undefined)
+    });
+}
+
+function createElement(tagName) {
+    return {
+        tagName: String(tagName).toUpperCase(),
+        style: {},
+        className: '',
+        innerHTML: '',
+        parentElement: null,
+        children: [],
+        appendChild(child) { child.parentElement = this; this.children.push(child); return child; },
+        remove() {
+            if (!this.parentElement) return;
+            const siblings = this.parentElement.children;
+            siblings.splice(siblings.indexOf(this), 1);
+            this.parentElement = null;
+        },
+        addEventListener() {},
+        setAttribute() {},
+        querySelector: () => null
+    };
+}
+
+/**
+ * A new page. options: { online, appwrite (createFakeAppwrite()), indexedDB, storageQuota, search, hostname, quiet }
+ * Returns { window, appwrite, load(...scripts), dispatch(type), setNow(ms) }.
+ */
+function createBrowser({ online = true, appwrite = createFakeAppwrite(), indexedDB = null, storageQuota = Infinity, search = '', hostname = 'localhost', quiet = true } = {}) {
+    const listeners = {};
+    const noop = () => {};
+    const body = createElement('body');
+
+    const window = {
+        console: quiet ? { log: noop, info: noop, warn: noop, error: noop, debug: noop } : console,
+        setTimeout: (callback, delay, ...args) => setTimeout(callback, 0, ...args),
+        clearTimeout,
+        setInterval: () => 0,
+        clearInterval: noop,
+        localStorage: createStorage({ quota: storageQuota }),
+        indexedDB,
+        sessionStorage: createStorage(),
+        navigator: { onLine: online, userAgent: 'node' },
+        location: { search, hostname, href: `http://${hostname}/${search}`, pathname: '/' },
+        document: {
+            body,
+            createElement,
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener: noop
+        },
+        URL,
+        URLSearchParams,
+        Appwrite: appwrite.Appwrite,
+        addEventListener(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        removeEventListener(type, listener) {
+            listeners[type] = (listeners[type] || []).filter(l => l !== listener);
+        },
+        dispatchEvent(event) {
+            (listeners[event.type] || []).forEach(listener => listener(event));
+            return true;
+        }
+    };
+    window.window = window;
+    window.self = window;
+    vm.createContext(window);
+
+    const PageDate = vm.runInContext('Date', window);
+    const realNow = PageDate.now;
+
+    return {
+        window,
+        appwrite,
+
+        // Run js/ files in order, like <script> tags (e.g. load('money', 'orderManager'))
+        load(...scripts) {
+            scripts.forEach(name => {
+                const file = path.join(ROOT, 'js', `${name}.js`);
+                vm.runInContext(fs.readFileSync(file, 'utf8'), window, { filename: file });
+            });
+            return window;
+        },
+
+        dispatch(type) {
+            window.dispatchEvent({ type });
+        },
+
+        // Fix Date.now() inside the page (null goes back to the real clock)
+        setNow(ms) {
+            PageDate.now = ms === null ? realNow : () => ms;
+        }
+    };
+}
+
+// Page objects come from another realm: compare them as plain JSON values
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createBrowser, createStorage, plain, ROOT };
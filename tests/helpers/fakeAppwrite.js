@@ -0,0 +1,263 @@
+/**
+ * Fake Appwrite SDK
+ * The parts of the Appwrite web SDK the app uses (Client, Account, Databases, Storage,
+ * ID, Query, Permission, Role), kept in memory. Queries are the SDK's JSON strings. Every Databases call
+ * is recorded in `calls`, and fail() makes the next calls of a method throw, optionally
+ * after the write went through (a request that timed out after the server applied it).
+ */
+
+class AppwriteException extends Error {
+    constructor(message, code = 0, type = '') {
+        super(message);
+        this.name = 'AppwriteException';
+        this.code = code;
+        this.type = type;
+    }
+}
+
+function createFakeAppwrite() {
+    const collections = new Map();
+    const calls = [];
+    const failures = [];
+    let clock = Date.parse('2030-01-01T08:00:00.000Z');
+    let ids = 0;
+
+    const ID = {
+        unique: () => `fake${String(++ids).padStart(16, '0')}`,
+        custom: id => id
+    };
+
+    const query = (method, attribute, values) => JSON.stringify({
+        method,
+        ...(attribute !== undefined ? { attribute } : {}),
+        ...(values !== undefined ? { values: Array.isArray(values) ? values : [values] } : {})
+    });
+    const Query = {
+        equal: (attribute, value) => query('equal', attribute, value),
+        notEqual: (attribute, value) => query('notEqual', attribute, value),
+        lessThan: (attribute, value) => query('lessThan', attribute, value),
+        lessThanEqual: (attribute, value) => query('lessThanEqual', attribute, value),
+        greaterThan: (attribute, value) => query('greaterThan', attribute, value),
+        greaterThanEqual: (attribute, value) => query('greaterThanEqual', attribute, value),
+        isNull: attribute => query('isNull', attribute),
+        orderAsc: attribute => query('orderAsc', attribute),
+        orderDesc: attribute => query('orderDesc', attribute),
+        limit: limit => query('limit', undefined, limit),
+        offset: offset => query('offset', undefined, offset),
+        cursorAfter: id => query('cursorAfter', undefined, id)
+    };
+
+    const getCollection = id => {
+        if (!collections.has(id)) collections.set(id, []);
+        return collections.get(id);
+    };
+    const copy = value => JSON.parse(JSON.stringify(value));
+    const notFound = () => new AppwriteException('Document with the requested ID could not be found.', 404, 'document_not_found');
+
+    // Throw if a failure is queued for this call; `commit` ones throw after the write
+    const takeFailure = (method, collectionId, data) => {
+        const index = failures.findIndex(f =>
+            f.method === method &&
+            (!f.collectionId || f.collectionId === collectionId) &&
+            (!f.when || f.when(data || {})));
+        if (index === -1) return null;
+
+        const failure = failures[index];
+        if (--failure.times <= 0) failures.splice(index, 1);
+        return failure;
+    };
+
+    const run = (method, collectionId, data, write) => {
+        calls.push({ method, collectionId, data: data === undefined ? undefined : copy(data) });
+        const failure = takeFailure(method, collectionId, data);
+        if (failure && !failure.commit) return Promise.reject(failure.error);
+
+        let result;
+        try {
+            result = write();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return failure ? Promise.reject(failure.error) : Promise.resolve(result);
+    };
+
+    const matches = (doc, { method, attribute, values }) => {
+        const value = doc[attribute];
+        switch (method) {
+            case 'equal': return values.includes(value);
+            case 'notEqual': return !values.includes(value);
+            case 'lessThan': return value < values[0];
+            case 'lessThanEqual': return value <= values[0];
+            case 'greaterThan': return value > values[0];
+            case 'greaterThanEqual': return value >= values[0];
+            case 'isNull': return value === null || value === undefined;
+            default: return true;
+        }
+    };
+
+    class Databases {
+        listDocuments(databaseId, collectionId, queries = []) {
+            return run('listDocuments', collectionId, { queries }, () => {
+                const parsed = queries.map(q => JSON.parse(q));
+                const option = method => (parsed.find(q => q.method === method) || { values: [] }).values[0];
+                let docs = getCollection(collectionId).filter(doc => parsed.every(q => matches(doc, q)));
+
+                parsed.filter(q => q.method === 'orderAsc' || q.method === 'orderDesc').reverse().forEach(q => {
+                    docs = docs.slice().sort((a, b) => {
+                        const result = a[q.attribute] < b[q.attribute] ? -1 : a[q.attribute] > b[q.attribute] ? 1 : 0;
+                        return q.method === 'orderDesc' ? -result : result;
+                    });
+                });
+
+                const total = docs.length;
+                const cursor = option('cursorAfter');
+                if (cursor !== undefined) {
+                    const index = docs.findIndex(doc => doc.$id === cursor);
+                    if (index === -1) throw new AppwriteException('Invalid cursor', 400, 'general_cursor_not_found');
+                    docs = docs.slice(index + 1);
+                }
+                const offset = option('offset') || 0;
+                const limit = option('limit') !== undefined ? option('limit') : 25;
+                return { total, documents: copy(docs.slice(offset, offset + limit)) };
+            });
+        }
+
+        getDocument(databaseId, collectionId, documentId) {
+            return run('getDocument', collectionId, { documentId }, () => {
+                const doc = getCollection(collectionId).find(d => d.$id === documentId);
+                if (!doc) throw notFound();
+                return copy(doc);
+            });
+        }
+
+        createDocument(databaseId, collectionId, documentId, data, permissions = []) {
+            return run('createDocument', collectionId, data, () => {
+                const docs = getCollection(collectionId);
+                const id = documentId === 'unique()' ? ID.unique() : documentId;
+                if (docs.some(d => d.$id === id)) {
+                    throw new AppwriteException('Document with the requested ID already exists.', 409, 'document_already_exists');
+                }
+                const now = new Date(clock += 1000).toISOString();
+                const doc = {
+                    ...copy(data), $id: id, $collectionId: collectionId, $databaseId: databaseId,
+                    $createdAt: now, $updatedAt: now, $permissions: copy(permissions)
+                };
+                docs.push(doc);
+                return copy(doc);
+            });
+        }
+
+        updateDocument(databaseId, collectionId, documentId, data) {
+            return run('updateDocument', collectionId, data, () => {
+                const doc = getCollection(collectionId).find(d => d.$id === documentId);
+                if (!doc) throw notFound();
+                Object.assign(doc, copy(data), { $updatedAt: new Date(clock += 1000).toISOString() });
+                return copy(doc);
+            });
+        }
+
+        deleteDocument(databaseId, collectionId, documentId) {
+            return run('deleteDocument', collectionId, { documentId }, () => {
+                const docs = getCollection(collectionId);
+                const index = docs.findIndex(d => d.$id === documentId);
+                if (index === -1) throw notFound();
+                docs.splice(index, 1);
+                return {};
+            });
+        }
+    }
+
+    const users = [];
+    let session = null;
+
+    class Account {
+        async get() {
+            const user = session && users.find(u => u.$id === session.userId);
+            if (!user) throw new AppwriteException('User (role: guests) missing scope (account)', 401, 'general_unauthorized_scope');
+            return { $id: user.$id, name: user.name, email: user.email };
+        }
+
+        async create(userId, email, password, name) {
+            if (users.some(u => u.email === email)) throw new AppwriteException('A user with the same email already exists.', 409, 'user_already_exists');
+            const user = { $id: userId === 'unique()' ? ID.unique() : userId, email, password, name };
+            users.push(user);
+            return { $id: user.$id, name, email };
+        }
+
+        async createEmailPasswordSession(email, password) {
+            const user = users.find(u => u.email === email && u.password === password);
+            if (!user) throw new AppwriteException('Invalid credentials.', 401, 'user_invalid_credentials');
+            session = { $id: ID.unique(), userId: user.$id };
+            return { ...session };
+        }
+
+        async listSessions() {
+            await this.get();
+            return { total: 1, sessions: [{ ...session }] };
+        }
+
+        async deleteSession() {
+            if (!session) throw new AppwriteException('Session not found', 404, 'user_session_not_found');
+            session = null;
+            return {};
+        }
+    }
+
+    class Client {
+        setEndpoint() { return this; }
+        setProject() { return this; }
+        subscribe() { return () => {}; }
+    }
+
+    class Storage {}
+
+    const Role = {
+        any: () => 'any',
+        user: userId => `user:${userId}`
+    };
+    const Permission = {
+        read: role => `read("${role}")`,
+        update: role => `update("${role}")`,
+        delete: role => `delete("${role}")`
+    };
+
+    return {
+        Appwrite: { Client, Account, Databases, Storage, ID, Query, Permission, Role, AppwriteException },
+        calls,
+
+        // The documents of a collection, as stored
+        documents(collectionId) {
+            return copy(getCollection(collectionId));
+        },
+
+        seed(collectionId, documents) {
+            documents.forEach(doc => {
+                const now = new Date(clock += 1000).toISOString();
+                getCollection(collectionId).push({ $createdAt: now, $updatedAt: now, ...copy(doc) });
+            });
+        },
+
+        // Make the next `times` calls of `method` throw `error` (an AppwriteException
+        // with `code` by default). options: { collectionId, when(data), commit }
+        fail(method, { times = 1, code = 500, error = null, collectionId = null, when = null, commit = false } = {}) {
+            failures.push({
+                method,
+                times,
+                collectionId,
+                when,
+                commit,
+                error: error || new AppwriteException(`Fake ${method} failure`, code, 'general_server_error')
+            });
+        },
+
+        addUser(user) {
+            users.push({ ...user });
+        },
+
+        signIn(userId) {
+            session = { $id: ID.unique(), userId };
+        }
+    };
+}
+
+module.exports = { createFakeAppwrite, AppwriteException };
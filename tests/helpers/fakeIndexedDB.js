@@ -0,0 +1,129 @@
+/**
+ * Fake IndexedDB
+ * The parts of IndexedDB js/cacheStore.js uses: open() with an upgrade, object stores
+ * with a key path, and get/getAll/put/delete/clear in transactions that commit or abort
+ * as a whole. Events fire on a later turn like the browser's, and values are stored as
+ * structured clones. `quota` (characters of JSON across all stores) makes a transaction
+ * that goes over it abort with a QuotaExceededError; `failOpen` makes open() fail.
+ */
+
+function domError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+function createFakeIndexedDB({ quota = Infinity, failOpen = false } = {}) {
+    const databases = new Map(); // name -> { version, stores: Map(name -> { keyPath, records }) }
+    const later = callback => setTimeout(callback, 0);
+    const fire = (target, type) => {
+        if (target[`on${type}`]) target[`on${type}`]({ type, target });
+    };
+
+    const usedSpace = (db, storeName, records) => {
+        let used = 0;
+        db.stores.forEach((store, name) => {
+            (name === storeName ? records : store.records).forEach(value => {
+                used += JSON.stringify(value).length;
+            });
+        });
+        return used;
+    };
+
+    function transaction(db, storeName, mode) {
+        const store = db.stores.get(storeName);
+        if (!store) throw domError('NotFoundError', `No object store named ${storeName}`);
+
+        const records = new Map(store.records);
+        const pending = [];
+        const tx = { mode, error: null, oncomplete: null, onerror: null, onabort: null };
+        const request = operation => {
+            const req = { result: undefined, error: null };
+            pending.push(() => { req.result = operation(); });
+            return req;
+        };
+        const writable = () => {
+            if (mode !== 'readwrite') throw domError('ReadOnlyError', 'The transaction is read-only.');
+        };
+
+        tx.objectStore = () => ({
+            get: key => request(() => (records.has(key) ? structuredClone(records.get(key)) : undefined)),
+            getAll: () => request(() => Array.from(records.values(), value => structuredClone(value))),
+            put: value => {
+                writable();
+                return request(() => {
+                    records.set(value[store.keyPath], structuredClone(value));
+                    return value[store.keyPath];
+                });
+            },
+            delete: key => {
+                writable();
+                return request(() => { records.delete(key); });
+            },
+            clear: () => {
+                writable();
+                return request(() => { records.clear(); });
+            }
+        });
+
+        later(() => {
+            pending.forEach(run => run());
+            if (usedSpace(db, storeName, records) > quota) {
+                tx.error = domError('QuotaExceededError', 'The quota has been exceeded.');
+                fire(tx, 'abort');
+                return;
+            }
+            store.records = records;
+            fire(tx, 'complete');
+        });
+        return tx;
+    }
+
+    function connect(db) {
+        return {
+            objectStoreNames: { contains: name => db.stores.has(name) },
+            createObjectStore(name, { keyPath }) {
+                db.stores.set(name, { keyPath, records: new Map() });
+            },
+            transaction: (storeName, mode = 'readonly') => transaction(db, storeName, mode),
+            close() {},
+            onversionchange: null
+        };
+    }
+
+    const indexedDB = {
+        open(name, version = 1) {
+            const request = { result: null, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+            later(() => {
+                if (failOpen) {
+                    request.error = domError('InvalidStateError', 'A mutation operation was attempted on a database that did not allow mutations.');
+                    fire(request, 'error');
+                    return;
+                }
+
+                if (!databases.has(name)) databases.set(name, { version: 0, stores: new Map() });
+                const db = databases.get(name);
+                request.result = connect(db);
+                if (db.version < version) {
+                    db.version = version;
+                    fire(request, 'upgradeneeded');
+                }
+                fire(request, 'success');
+            });
+            return request;
+        }
+    };
+
+    return {
+        indexedDB,
+
+        // The records of an object store, as stored
+        records(storeName = 'entries', dbName = 'phluowise_cache') {
+            const db = databases.get(dbName);
+            const store = db && db.stores.get(storeName);
+            return store ? Array.from(store.records.values(), value => structuredClone(value)) : [];
+        }
+    };
+}
+
+module.exports = { createFakeIndexedDB };
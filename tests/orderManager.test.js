@@ -0,0 +1,624 @@
+/**
+ * OrderManager against the fake Appwrite SDK: orders, items, recipients, working-day
+ * validation, retries and idempotent replays. Run with `node --test tests/`.
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, plain } = require('./helpers/browser');
+
+const SCRIPTS = ['money', 'orderStatus', 'workingHours', 'contactValidation', 'appwriteConfig', 'dataBackend', 'orderManager'];
+const MONDAY = '2030-01-07';
+const WORKING_DAYS = [{ day: 'Monday', time: '8:00 AM - 6:00 PM' }, { day: 'Tuesday', time: '8:00 AM - 6:00 PM' }];
+
+let page;
+let window;
+let orderManager;
+let tables;
+
+function orderData(overrides = {}) {
+    return {
+        customer_id: 'customer-1',
+        branch_id: 'branch-1',
+        deliveryDate: MONDAY,
+        deliveryTime: '10:00',
+        deliveryAddress: '12 Oxford Street, Osu',
+        deliveryName: 'Ama Mensah',
+        paymentMethod: 'mtn',
+        total: 41.3, // 2 × 8.00 + 25.00 and GH₵0.10 per item
+        ...overrides
+    };
+}
+
+const CART = [
+    { productId: 'sachet', name: 'Sachet Water', price: 8, quantity: 2, type: 'sachet' },
+    { productId: 'large', name: 'Large Bottle', price: 25, quantity: 1, type: 'large-bottle' }
+];
+
+const RECIPIENT = {
+    purchase_recipient_type: 'someone_else',
+    recipient_name: 'Kofi Boateng',
+    recipient_phone: '024 123 4567',
+    recipient_email: 'Kofi@Example.com',
+    recipient_address: 'Ring Road, Accra'
+};
+
+beforeEach(() => {
+    page = createBrowser();
+    window = page.load(...SCRIPTS);
+    window.companyDataManager = {
+        fetchCompanyData: async () => [{
+            branch_id: 'branch-1',
+            products: [
+                { $id: 'sachet', name: 'Sachet Water', price: '8.00', minQuantity: 1 },
+                { $id: 'large', name: 'Large Bottle', price: 25, minQuantity: 1 }
+            ]
+        }]
+    };
+    orderManager = new window.OrderManager();
+    orderManager.retryDelay = 0;
+    tables = window.appwriteConfig;
+});
+
+describe('setup', () => {
+    test('uses the Appwrite data backend by default', () => {
+        assert.equal(window.dataStore.name, 'appwrite');
+        assert.equal(orderManager.data, window.dataStore);
+    });
+
+    test('needs the data backend', () => {
+        const bare = createBrowser().load('money', 'appwriteConfig', 'orderManager');
+        assert.throws(() => new bare.OrderManager(), /Data backend not initialized/);
+    });
+});
+
+describe('createOrder', () => {
+    test('stores the order under its idempotency key with the total as an amount string', async () => {
+        const order = await orderManager.createOrder(orderData({ idempotencyKey: 'key0000000000001', total: 12.3 }));
+
+        assert.equal(order.$id, 'key0000000000001');
+        assert.equal(order.orderId, order.$id);
+        const [stored] = page.appwrite.documents(tables.ORDERS_TABLE);
+        assert.equal(stored.customer_id, 'customer-1');
+        assert.equal(stored.buyerId, 'customer-1');
+        assert.equal(stored.orderStatus, 'pending');
+        assert.equal(stored.total, '12.30');
+    });
+
+    test('keeps the delivery fee and the promotion applied at checkout', async () => {
+        await orderManager.createOrder(orderData({
+            delivery: { fee: 725, distanceKm: 1.5 },
+            promotion: { amount: 300, code: 'SAVE3', promotionId: 'promo-1' }
+        }));
+
+        const [stored] = page.appwrite.documents(tables.ORDERS_TABLE);
+        assert.equal(stored.deliveryFee, '7.25');
+        assert.equal(stored.deliveryDistance, 1.5);
+        assert.equal(stored.discountAmount, '3.00');
+        assert.equal(stored.promoCode, 'SAVE3');
+    });
+
+    test('generates an ID without an idempotency key', async () => {
+        const order = await orderManager.createOrder(orderData());
+        assert.match(order.$id, /^fake\d{16}$/);
+    });
+
+    test('returns the existing order when the key was already used', async () => {
+        const first = await orderManager.createOrder(orderData({ idempotencyKey: 'key0000000000002' }));
+        const again = await orderManager.createOrder(orderData({ idempotencyKey: 'key0000000000002' }));
+
+        assert.equal(again.$id, first.$id);
+        assert.equal(orderManager.isReplayedDocument(first), false);
+        assert.equal(orderManager.isReplayedDocument(again), true);
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 1);
+    });
+});
+
+describe('createOrderItems', () => {
+    test('writes one item per cart line, keyed from the checkout', async () => {
+        const progress = [];
+        const items = await orderManager.createOrderItems('order-1', CART, { idempotencyKey: 'key0000000000003', branch_id: 'branch-1' }, {
+            onProgress: (done, total) => progress.push(`${done}/${total}`)
+        });
+
+        assert.deepEqual(plain(items.map(item => item.$id)), ['key0000000000003i0', 'key0000000000003i1']);
+        assert.deepEqual(progress, ['1/2', '2/2']);
+        const stored = page.appwrite.documents(tables.ORDER_ITEMS_TABLE);
+        assert.deepEqual(plain(stored.map(item => [item.orderId, item.branchId, item.productName, item.productPrice, item.productQty])), [
+            ['order-1', 'branch-1', 'Sachet Water', 8, 2],
+            ['order-1', 'branch-1', 'Large Bottle', 25, 1]
+        ]);
+        assert.equal(stored[0].returnStatus, 'none');
+    });
+
+    test('reports the items written before a failure', async () => {
+        page.appwrite.fail('createDocument', { times: 10, when: data => data.productName === 'Large Bottle' });
+        orderManager.ITEM_CONCURRENCY = 1;
+
+        const error = await orderManager.createOrderItems('order-1', CART, { idempotencyKey: 'key0000000000004' })
+            .then(() => null, e => e);
+
+        assert.ok(error, 'expected createOrderItems to throw');
+        assert.deepEqual(plain(error.createdItems.map(item => item.$id)), ['key0000000000004i0']);
+    });
+});
+
+describe('createPurchaseRecipientInfo', () => {
+    test('normalises the contact details and keys the record from the checkout', async () => {
+        const recipient = await orderManager.createPurchaseRecipientInfo('order-1', RECIPIENT, 'key0000000000005');
+
+        assert.equal(recipient.$id, 'key0000000000005r');
+        assert.equal(recipient.order_id, 'order-1');
+        assert.equal(recipient.recipient_phone, '+233241234567');
+        assert.equal(recipient.recipient_email, 'kofi@example.com');
+    });
+
+    test("rejects someone else's invalid phone number", async () => {
+        await assert.rejects(
+            orderManager.createPurchaseRecipientInfo('order-1', { ...RECIPIENT, recipient_phone: '12345' }),
+            error => error.code === 'invalid_phone'
+        );
+        assert.equal(page.appwrite.documents(tables.PURCHASE_RECIPIENT_TABLE).length, 0);
+    });
+
+    test("keeps the customer's own details even if they predate validation", async () => {
+        const recipient = await orderManager.createPurchaseRecipientInfo('order-1', {
+            ...RECIPIENT,
+            purchase_recipient_type: 'you',
+            recipient_phone: '12345'
+        });
+        assert.equal(recipient.recipient_phone, '12345');
+    });
+});
+
+describe('working-day validation', () => {
+    test('accepts a time within the opening hours', () => {
+        const result = orderManager.validateDateTimeWithWorkingDays(MONDAY, '10:00', WORKING_DAYS);
+        assert.equal(result.valid, true);
+    });
+
+    test('rejects a day the branch is closed', () => {
+        const result = orderManager.validateDateTimeWithWorkingDays('2030-01-09', '10:00', WORKING_DAYS);
+        assert.equal(result.valid, false);
+        assert.equal(result.reason, 'closed_day');
+    });
+
+    test('rejects a time outside the opening hours', () => {
+        const result = orderManager.validateDateTimeWithWorkingDays(MONDAY, '19:00', WORKING_DAYS);
+        assert.equal(result.valid, false);
+        assert.equal(result.reason, 'outside_hours');
+    });
+
+    test('turns down a complete order before anything is written', async () => {
+        const result = await orderManager.createCompleteOrder(orderData({ deliveryTime: '19:00' }), CART, WORKING_DAYS);
+
+        assert.equal(result.success, false);
+        assert.equal(result.step, 'validation');
+        assert.equal(page.appwrite.calls.filter(call => call.method === 'createDocument').length, 0);
+    });
+});
+
+describe('retries', () => {
+    test('retries a failed operation up to maxRetries times', async () => {
+        let attempts = 0;
+        const result = await orderManager.retryOperation(async () => {
+            attempts++;
+            if (attempts < 3) throw new Error('network');
+            return 'done';
+        });
+
+        assert.equal(result, 'done');
+        assert.equal(attempts, 3);
+    });
+
+    test('gives up after maxRetries attempts', async () => {
+        let attempts = 0;
+        await assert.rejects(
+            orderManager.retryOperation(async () => {
+                attempts++;
+                throw new Error('still down');
+            }),
+            /still down/
+        );
+        assert.equal(attempts, orderManager.maxRetries);
+    });
+
+    test('a keyed order survives a transient failure', async () => {
+        page.appwrite.fail('createDocument', { collectionId: tables.ORDERS_TABLE });
+
+        const order = await orderManager.createOrder(orderData({ idempotencyKey: 'key0000000000006' }));
+        assert.equal(order.$id, 'key0000000000006');
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 1);
+    });
+
+    test('a retried write that had already landed is not duplicated', async () => {
+        // The first request is applied but its response is lost
+        page.appwrite.fail('createDocument', { collectionId: tables.ORDERS_TABLE, commit: true });
+
+        const order = await orderManager.createOrder(orderData({ idempotencyKey: 'key0000000000007' }));
+        assert.equal(order.$id, 'key0000000000007');
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 1);
+    });
+});
+
+describe('createCompleteOrder', () => {
+    // branch-1 taking one order per slot
+    function limitSlots() {
+        window = page.load('slotCapacity');
+        window.companyDataManager = {
+            fetchCompanyData: async () => [{
+                branch_id: 'branch-1',
+                slot_capacity: 1,
+                products: [
+                    { $id: 'sachet', name: 'Sachet Water', price: '8.00', minQuantity: 1 },
+                    { $id: 'large', name: 'Large Bottle', price: 25, minQuantity: 1 }
+                ]
+            }]
+        };
+    }
+
+    test('writes the order, its items, the recipient and the placed event', async () => {
+        const result = await orderManager.createCompleteOrder(
+            orderData({ idempotencyKey: 'key0000000000008' }),
+            CART,
+            WORKING_DAYS,
+            RECIPIENT
+        );
+
+        assert.equal(result.success, true, result.message);
+        assert.equal(result.order.total, '41.30');
+        assert.deepEqual(plain(result.items.map(item => item.orderId)), [result.order.$id, result.order.$id]);
+        assert.equal(result.recipient.order_id, result.order.$id);
+        assert.deepEqual(plain(page.appwrite.documents(tables.ORDER_EVENTS_TABLE).map(e => [e.order_id, e.status])), [
+            [result.order.$id, 'pending']
+        ]);
+    });
+
+    test('rolls back what was written when the items fail', async () => {
+        page.appwrite.fail('createDocument', { collectionId: tables.ORDER_ITEMS_TABLE, times: 10 });
+
+        const result = await orderManager.createCompleteOrder(orderData(), CART, WORKING_DAYS, RECIPIENT);
+
+        assert.equal(result.success, false);
+        assert.equal(result.step, 'items');
+        assert.equal(result.rolledBack, true);
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 0);
+        assert.equal(page.appwrite.documents(tables.ORDER_ITEMS_TABLE).length, 0);
+    });
+
+    test('cancels the checkout that redeems a promotion after its last use', async () => {
+        window = page.load('promotionManager');
+        page.appwrite.seed(tables.PROMOTIONS_TABLE, [{
+            $id: 'promo-3', code: 'SAVE3', name: 'Save 3', discount_type: 'fixed', discount_value: 3,
+            applies_to: 'subtotal', active: true, max_uses: 1
+        }]);
+        const checkout = key => orderManager.createCompleteOrder(
+            orderData({ idempotencyKey: key, customer_id: key, promoCode: 'SAVE3', discount: 3, total: 38.3 }),
+            CART,
+            WORKING_DAYS
+        );
+
+        // Both pass the usage check before either has redeemed the promotion
+        const results = await Promise.all([checkout('key0000000000020'), checkout('key0000000000021')]);
+
+        assert.deepEqual(plain(results.map(result => [result.success, result.step])), [[true, null], [false, 'promotion']]);
+        assert.equal(results[1].error.code, 'used_up');
+        assert.equal(results[1].rolledBack, true);
+        assert.deepEqual(plain(page.appwrite.documents(tables.ORDERS_TABLE).map(order => order.$id)), ['key0000000000020']);
+        assert.equal(page.appwrite.documents(tables.PROMOTION_REDEMPTIONS_TABLE).length, 1);
+    });
+
+    test('reports a full slot the same way before and after the order is written', async () => {
+        limitSlots();
+        const checkout = key => orderManager.createCompleteOrder(orderData({ idempotencyKey: key }), CART, WORKING_DAYS);
+
+        // Both pass the check before writing; the later order finds the slot full after
+        const raced = await Promise.all([checkout('key0000000000040'), checkout('key0000000000041')]);
+        const late = await checkout('key0000000000042');
+
+        assert.deepEqual(plain(raced.map(result => [result.success, result.step])), [[true, null], [false, 'slot']]);
+        assert.equal(raced[1].error.code, 'slot_full');
+        assert.equal(late.step, 'slot');
+        assert.equal(late.error.code, 'slot_full');
+        assert.equal(late.message, raced[1].message);
+        assert.deepEqual(plain(page.appwrite.documents(tables.ORDERS_TABLE).map(order => order.$id)), ['key0000000000040']);
+    });
+
+    describe('replayed', () => {
+        // A promotion for a customer's first order, once per customer
+        function offerFirstOrderPromotion() {
+            window = page.load('promotionManager');
+            page.appwrite.seed(tables.PROMOTIONS_TABLE, [{
+                $id: 'promo-1', code: 'FIRST3', name: 'First order', discount_type: 'fixed', discount_value: 3,
+                applies_to: 'subtotal', active: true, first_order_only: true, max_uses_per_user: 1
+            }]);
+        }
+
+        const place = () => orderManager.createCompleteOrder(
+            orderData({ idempotencyKey: 'key0000000000030', promoCode: 'FIRST3', discount: 3, total: 38.3 }),
+            CART,
+            WORKING_DAYS,
+            RECIPIENT
+        );
+
+        test('returns the order placed in a slot it filled', async () => {
+            limitSlots();
+            const placed = await place();
+
+            const result = await place();
+
+            assert.equal(result.success, true, result.message);
+            assert.equal(result.replayed, true);
+            assert.equal(result.order.$id, placed.order.$id);
+            assert.equal(result.items.length, 2);
+            assert.equal(result.recipient.order_id, placed.order.$id);
+            assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 1);
+        });
+
+        test('finishes a half-written order without counting its own place in the slot', async () => {
+            limitSlots();
+            page.appwrite.fail('createDocument', { collectionId: tables.ORDER_ITEMS_TABLE, times: 10 });
+            page.appwrite.fail('deleteDocument', { collectionId: tables.ORDERS_TABLE, times: orderManager.maxRetries });
+            const first = await place();
+            assert.equal(first.rolledBack, false);
+
+            const result = await place();
+
+            assert.equal(result.success, true, result.message);
+            assert.equal(result.order.$id, 'key0000000000030');
+            assert.equal(page.appwrite.documents(tables.ORDER_ITEMS_TABLE).length, 2);
+        });
+
+        test('returns the order placed with a first-order promotion', async () => {
+            offerFirstOrderPromotion();
+            const placed = await place();
+            assert.equal(placed.discount.amount, 300);
+
+            const result = await place();
+
+            assert.equal(result.success, true, result.message);
+            assert.equal(result.replayed, true);
+            assert.equal(result.discount.amount, 300);
+            assert.equal(page.appwrite.documents(tables.PROMOTION_REDEMPTIONS_TABLE).length, 1);
+        });
+
+        test('finishes a half-written order without counting its own order against the promotion', async () => {
+            offerFirstOrderPromotion();
+            page.appwrite.fail('createDocument', { collectionId: tables.PROMOTION_REDEMPTIONS_TABLE, times: orderManager.maxRetries });
+            page.appwrite.fail('deleteDocument', { collectionId: tables.ORDERS_TABLE, times: orderManager.maxRetries });
+            const first = await place();
+            assert.equal(first.step, 'promotion');
+
+            const result = await place();
+
+            assert.equal(result.success, true, result.message);
+            assert.equal(result.discount.amount, 300);
+            assert.deepEqual(plain(page.appwrite.documents(tables.PROMOTION_REDEMPTIONS_TABLE).map(r => r.$id)), ['key0000000000030p']);
+        });
+    });
+
+    test('turns down a total that no longer matches the catalog', async () => {
+        const result = await orderManager.createCompleteOrder(orderData({ total: 40 }), CART, WORKING_DAYS);
+
+        assert.equal(result.success, false);
+        assert.equal(result.step, 'pricing');
+        assert.equal(result.error.code, 'price_changed');
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 0);
+    });
+});
+
+describe('amendOrder', () => {
+    async function placeOrder() {
+        const result = await orderManager.createCompleteOrder(orderData({ idempotencyKey: 'key0000000000009' }), CART, WORKING_DAYS);
+        assert.equal(result.success, true, result.message);
+        return result;
+    }
+
+    // The order's lines as the edit form sends them back, with `extra` lines added
+    function editedItems(items, extra = []) {
+        return [
+            ...items.map(item => ({ $id: item.$id, productId: item.productId, productName: item.productName, productPrice: item.productPrice, productQty: item.productQty })),
+            ...extra
+        ];
+    }
+
+    test('saves added lines at the catalog price', async () => {
+        const { order, items } = await placeOrder();
+
+        const result = await orderManager.amendOrder(order.$id, {
+            items: editedItems(items, [{ productId: 'large', productName: 'Large Bottle', productPrice: 25, productQty: 2 }])
+        }, WORKING_DAYS);
+
+        assert.equal(result.success, true, result.message);
+        const stored = page.appwrite.documents(tables.ORDER_ITEMS_TABLE);
+        assert.deepEqual(plain(stored.map(item => [item.productId, item.productPrice, item.productQty])), [
+            ['sachet', 8, 2],
+            ['large', 25, 1],
+            ['large', 25, 2]
+        ]);
+        assert.equal(result.order.total, '91.50');
+    });
+
+    test('turns down a product the branch does not sell before anything is written', async () => {
+        const { order, items } = await placeOrder();
+        const writes = page.appwrite.calls.length;
+
+        const result = await orderManager.amendOrder(order.$id, {
+            items: editedItems(items, [{ productId: 'sachet2', productName: 'Cheap Sachet', productPrice: 0.01, productQty: 100 }])
+        }, WORKING_DAYS);
+
+        assert.equal(result.success, false);
+        assert.equal(result.step, 'pricing');
+        assert.equal(result.error.code, 'product_unavailable');
+        assert.deepEqual(page.appwrite.calls.slice(writes).filter(call => /^(create|update|delete)/.test(call.method)), []);
+        assert.equal(page.appwrite.documents(tables.ORDER_ITEMS_TABLE).length, 2);
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE)[0].total, '41.30');
+    });
+
+    test('turns down a price the client changed, for new and re-quantitied lines', async () => {
+        const { order, items } = await placeOrder();
+        const cheaper = editedItems(items);
+        cheaper[0].productQty = 5;
+        cheaper[0].productPrice = 0.01;
+
+        const result = await orderManager.amendOrder(order.$id, {
+            items: [...cheaper, { productId: 'large', productName: 'Large Bottle', productPrice: 0.01, productQty: 1 }]
+        }, WORKING_DAYS);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error.code, 'price_changed');
+        assert.deepEqual(plain(result.pricing.priceChanges.map(item => [item.productId, item.currentPrice])), [['sachet', 8], ['large', 25]]);
+        assert.deepEqual(plain(page.appwrite.documents(tables.ORDER_ITEMS_TABLE).map(item => [item.productPrice, item.productQty])), [[8, 2], [25, 1]]);
+    });
+
+    // An order placed with a delivery fee and a discount, as createCompleteOrder writes it
+    async function placeDiscountedOrder(promotion) {
+        const data = orderData({
+            idempotencyKey: 'key0000000000010',
+            total: 44.3,
+            delivery: { fee: 500, distanceKm: 3 },
+            promotion
+        });
+        const order = await orderManager.createOrder(data);
+        const items = await orderManager.createOrderItems(order.$id, CART, data);
+        return { order, items };
+    }
+
+    test('keeps the delivery fee and the discount in the new total', async () => {
+        const { order, items } = await placeDiscountedOrder({ amount: 200, code: 'SAVE2', promotionId: 'promo-2' });
+        const edited = editedItems(items);
+        edited[0].productQty = 3;
+
+        const result = await orderManager.amendOrder(order.$id, { items: edited }, WORKING_DAYS);
+
+        assert.equal(result.success, true, result.message);
+        // 3 × 8.00 + 25.00, GH₵0.40 service fee, GH₵5.00 delivery, GH₵2.00 off
+        assert.equal(result.order.total, '52.40');
+        assert.equal(result.order.deliveryFee, '5.00');
+        assert.equal(result.order.discountAmount, '2.00');
+    });
+
+    test('works the promotion out again for the new items', async () => {
+        window = page.load('promotionManager');
+        page.appwrite.seed(tables.PROMOTIONS_TABLE, [{
+            $id: 'promo-10', code: 'SAVE10', name: '10% off', discount_type: 'percentage', discount_value: 10, applies_to: 'subtotal', active: true
+        }]);
+        const { order, items } = await placeDiscountedOrder({ amount: 410, code: 'SAVE10', promotionId: 'promo-10' });
+        const edited = editedItems(items);
+        edited[0].productQty = 4;
+
+        assert.equal(orderManager.getAmendedTotals(order, edited, await orderManager.getOrderPromotion(order)).discount, 570);
+
+        const result = await orderManager.amendOrder(order.$id, { items: edited }, WORKING_DAYS);
+
+        assert.equal(result.success, true, result.message);
+        // 4 × 8.00 + 25.00, GH₵0.50 service fee, GH₵5.00 delivery, 10% of 57.00 off
+        assert.equal(result.order.total, '56.80');
+        assert.equal(result.order.discountAmount, '5.70');
+    });
+});
+
+describe('createMultiBranchCheckout', () => {
+    test('keeps every order and item ID within 20 characters, even past the 10th line', async () => {
+        const products = Array.from({ length: 12 }, (_, n) => ({ $id: `p${n}`, name: `Product ${n}`, price: 1, minQuantity: 1 }));
+        window.companyDataManager = {
+            fetchCompanyData: async () => [
+                { branch_id: 'branch-1', products: [{ $id: 'sachet', name: 'Sachet Water', price: 8, minQuantity: 1 }] },
+                { branch_id: 'branch-2', products }
+            ]
+        };
+        const branch = (branchId, items) => ({ branchId, name: branchId, items, deliveryDate: MONDAY, deliveryTime: '10:00', workingDays: WORKING_DAYS });
+
+        const result = await orderManager.createMultiBranchCheckout(
+            { customer_id: 'customer-1', deliveryAddress: '12 Oxford Street, Osu', paymentMethod: 'mtn', idempotencyKey: 'key0000000000011' },
+            [
+                branch('branch-1', [CART[0]]),
+                branch('branch-2', products.map(product => ({ productId: product.$id, name: product.name, price: 1, quantity: 1 })))
+            ]
+        );
+
+        assert.equal(result.success, true, result.message);
+        assert.deepEqual(plain(result.orders.map(order => order.order.$id)), ['key00000000000110', 'key00000000000111']);
+        const ids = page.appwrite.documents(tables.ORDER_ITEMS_TABLE).map(item => item.$id);
+        assert.equal(ids.length, 13);
+        assert.ok(ids.includes('key00000000000111i11'));
+        assert.deepEqual(ids.filter(id => id.length > 20), []);
+    });
+
+    test('turns down more branches than a checkout key can number', async () => {
+        const branches = Array.from({ length: 37 }, () => ({ branchId: 'branch-1', items: CART }));
+
+        const result = await orderManager.createMultiBranchCheckout({ customer_id: 'customer-1' }, branches);
+
+        assert.equal(result.success, false);
+        assert.equal(result.step, 'validation');
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 0);
+    });
+});
+
+describe('priceDelivery', () => {
+    // Branch 1 charging GH₵5.00 plus GH₵1.00 a km, with the address `distance` km away
+    function chargeForDelivery(distance) {
+        window = page.load('deliveryFee');
+        const fetchCompanyData = window.companyDataManager.fetchCompanyData;
+        window.companyDataManager.fetchCompanyData = async () => (await fetchCompanyData()).map(branch => ({
+            ...branch,
+            delivery_base_fee: 5,
+            delivery_fee_per_km: 1
+        }));
+        window.deliveryFee.getDistanceToAddress = async (branch, address) => (address ? distance : null);
+    }
+
+    test('charges for the distance to the address, not the one the page sent', async () => {
+        chargeForDelivery(10);
+
+        const result = await orderManager.createCompleteOrder(
+            orderData({ total: 46.4, deliveryFee: 5.1, deliveryDistance: 0.1 }),
+            CART,
+            WORKING_DAYS
+        );
+
+        assert.equal(result.success, false);
+        assert.equal(result.step, 'pricing');
+        assert.equal(result.error.code, 'delivery_fee_changed');
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 0);
+    });
+
+    test('places the order with the fee for the located distance', async () => {
+        chargeForDelivery(10);
+
+        const result = await orderManager.createCompleteOrder(orderData({ total: 56.3, deliveryFee: 15 }), CART, WORKING_DAYS);
+
+        assert.equal(result.success, true, result.message);
+        assert.equal(result.order.deliveryFee, '15.00');
+        assert.equal(result.order.deliveryDistance, 10);
+    });
+
+    test('turns down an address that cannot be located', async () => {
+        chargeForDelivery(10);
+
+        const result = await orderManager.createCompleteOrder(orderData({ deliveryAddress: '' }), CART, WORKING_DAYS);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error.code, 'address_not_found');
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 0);
+    });
+});
+
+describe('getReturnRequests', () => {
+    test('reads every return request of an order, past the first page', async () => {
+        const requests = Array.from({ length: 230 }, (_, n) => ({
+            $id: `return-${n}`,
+            $createdAt: new Date(Date.UTC(2030, 0, 7, 9, 0, n)).toISOString(),
+            order_id: 'order-1',
+            status: 'requested'
+        }));
+        page.appwrite.seed(tables.RETURNS_TABLE, [...requests, { $id: 'return-other', order_id: 'order-2', status: 'requested' }]);
+
+        const found = await orderManager.getReturnRequests({ orderId: 'order-1' });
+
+        assert.equal(found.length, 230);
+        assert.equal(found[0].$id, 'return-229');
+        assert.equal(found[229].$id, 'return-0');
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * OrderRealtime's local order cache (localStorage phluowiseOrders), which the pages and
+ * js/notifications.js read too. Run with `node --test tests/`.
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/browser');
+
+const SCRIPTS = ['money', 'orderStatus', 'appwriteConfig', 'dataBackend', 'orderRealtime'];
+
+let window;
+let realtime;
+
+// An order as the pages cache it
+function cachedOrder(orderId, overrides = {}) {
+    return {
+        orderId,
+        company: 'Bel-Aqua',
+        status: 'pending',
+        price: 'GH₵41.30',
+        product: 'Sachet Water',
+        recipient: { name: 'Kofi Boateng', phone: '+233241234567' },
+        isNew: true,
+        timestamp: '2030-01-01T09:00:00.000Z',
+        ...overrides
+    };
+}
+
+const cache = () => JSON.parse(window.localStorage.getItem('phluowiseOrders'));
+
+beforeEach(() => {
+    window = createBrowser().load(...SCRIPTS);
+    realtime = new window.OrderRealtime();
+});
+
+describe('updateCache', () => {
+    test('brings the status of a cached order up to date and keeps the rest of it', () => {
+        window.localStorage.setItem('phluowiseOrders', JSON.stringify([cachedOrder('o1')]));
+
+        realtime.updateCache({ $id: 'o1', total: '41.30', deliveryTime: '11:00', $updatedAt: '2030-01-01T10:00:00.000Z' }, 'update', 'accepted');
+
+        assert.deepEqual(cache(), [{
+            ...cachedOrder('o1'),
+            total: 41.3,
+            status: 'accepted',
+            statusText: window.orderStatus.getLabel('accepted'),
+            statusColor: window.orderStatus.getColor('accepted'),
+            deliveryTime: '11:00',
+            updatedAt: '2030-01-01T10:00:00.000Z'
+        }]);
+    });
+
+    test('brings the total of an amended order up to date', () => {
+        window.localStorage.setItem('phluowiseOrders', JSON.stringify([cachedOrder('o1', { total: 41.3 })]));
+
+        realtime.updateCache({ $id: 'o1', total: '52.40' }, 'update', 'pending');
+
+        assert.equal(cache()[0].total, 52.4);
+        assert.equal(cache()[0].price, window.money.formatAmount(52.4));
+    });
+
+    test('names a new order after the company it was placed with, not the recipient', () => {
+        window.companyDataManager = { companies: [{ branch_id: 'branch-1', name: 'Bel-Aqua', branch_name: 'Bel-Aqua Osu' }] };
+
+        realtime.updateCache({ $id: 'o1', branch_id: 'branch-1', deliveryName: 'Kofi Boateng', total: '41.30' }, 'create', 'pending');
+
+        assert.equal(cache()[0].company, 'Bel-Aqua');
+    });
+
+    test('adds an order it has not seen, newest first, without dropping older ones', () => {
+        const older = Array.from({ length: 60 }, (_, n) => cachedOrder(`o${n}`, { timestamp: `2029-12-01T09:${String(n).padStart(2, '0')}:00.000Z` }));
+        window.localStorage.setItem('phluowiseOrders', JSON.stringify(older));
+
+        realtime.updateCache({ $id: 'new', total: '8.10', $createdAt: '2030-01-02T09:00:00.000Z' }, 'create', 'pending');
+
+        assert.equal(cache().length, 61);
+        assert.equal(cache()[0].orderId, 'new');
+    });
+
+    test('removes a deleted order', () => {
+        window.localStorage.setItem('phluowiseOrders', JSON.stringify([cachedOrder('o1'), cachedOrder('o2')]));
+
+        realtime.updateCache({ $id: 'o1' }, 'delete', null);
+
+        assert.deepEqual(cache().map(entry => entry.orderId), ['o2']);
+    });
+});
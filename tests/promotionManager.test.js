@@ -0,0 +1,102 @@
+/**
+ * PromotionManager against the fake Appwrite SDK: automatic promotions and the usage
+ * limits checked once a redemption is written. Run with `node --test tests/`.
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, plain } = require('./helpers/browser');
+
+const SCRIPTS = ['money', 'appwriteConfig', 'dataBackend', 'promotionManager'];
+
+const ITEMS = [{ id: 'sachet', name: 'Sachet Water', price: 8, quantity: 2, type: 'sachet' }];
+
+let page;
+let window;
+let promotions;
+let tables;
+
+function promotion(overrides = {}) {
+    return {
+        name: 'Promotion',
+        code: '',
+        discount_type: 'fixed',
+        discount_value: 1,
+        applies_to: 'subtotal',
+        active: true,
+        ...overrides
+    };
+}
+
+beforeEach(() => {
+    page = createBrowser();
+    window = page.load(...SCRIPTS);
+    promotions = window.promotionManager;
+    tables = window.appwriteConfig;
+});
+
+describe('getAutomaticPromotions', () => {
+    test('includes promotions saved with an empty or a null code', async () => {
+        page.appwrite.seed(tables.PROMOTIONS_TABLE, [
+            promotion({ $id: 'empty', code: '' }),
+            promotion({ $id: 'null', code: null }),
+            promotion({ $id: 'coded', code: 'SAVE1' })
+        ]);
+
+        const found = await promotions.getAutomaticPromotions();
+
+        assert.deepEqual(plain(found.map(p => p.id).sort()), ['empty', 'null']);
+    });
+
+    test('applies a null-code promotion to a basket', async () => {
+        page.appwrite.seed(tables.PROMOTIONS_TABLE, [promotion({ $id: 'null', code: null, discount_value: 2 })]);
+
+        const { discount } = await promotions.getBestDiscount({ items: ITEMS, branchId: 'branch-1' });
+
+        assert.equal(discount.promotionId, 'null');
+        assert.equal(discount.amount, 200);
+    });
+});
+
+describe('checkRedemption', () => {
+    // Redemptions written at the given instants, in the order given
+    function redeem(promotionId, customers, createdAt = () => '2030-01-07T09:00:00.000Z') {
+        const documents = customers.map((customerId, n) => ({
+            $id: `r${n}`,
+            $createdAt: createdAt(n),
+            promotion_id: promotionId,
+            customer_id: customerId,
+            order_id: `order-${n}`,
+            amount: '1.00'
+        }));
+        page.appwrite.seed(tables.PROMOTION_REDEMPTIONS_TABLE, documents);
+        return documents;
+    }
+
+    test('only the first redemptions up to the limit are eligible', async () => {
+        page.appwrite.seed(tables.PROMOTIONS_TABLE, [promotion({ $id: 'promo-1', max_uses: 2 })]);
+        const redemptions = redeem('promo-1', ['customer-1', 'customer-2', 'customer-3'], n => `2030-01-07T09:00:0${n}.000Z`);
+
+        const results = await Promise.all(redemptions.map(r => promotions.checkRedemption(r)));
+
+        assert.deepEqual(plain(results.map(r => r.reason)), [null, null, 'used_up']);
+    });
+
+    test('ranks redemptions written in the same instant by ID', async () => {
+        page.appwrite.seed(tables.PROMOTIONS_TABLE, [promotion({ $id: 'promo-1', max_uses: 1 })]);
+        const redemptions = redeem('promo-1', ['customer-1', 'customer-2']);
+
+        const results = await Promise.all(redemptions.map(r => promotions.checkRedemption(r)));
+
+        assert.deepEqual(plain(results.map(r => r.eligible)), [true, false]);
+    });
+
+    test('counts the per-customer limit for each customer', async () => {
+        page.appwrite.seed(tables.PROMOTIONS_TABLE, [promotion({ $id: 'promo-1', max_uses_per_user: 1 })]);
+        const redemptions = redeem('promo-1', ['customer-1', 'customer-2', 'customer-1'], n => `2030-01-07T09:00:0${n}.000Z`);
+
+        const results = await Promise.all(redemptions.map(r => promotions.checkRedemption(r)));
+
+        assert.deepEqual(plain(results.map(r => r.reason)), [null, null, 'already_used']);
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * RecipientManager against the fake Appwrite SDK: saved recipients and who may read
+ * them. Run with `node --test tests/`.
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, plain } = require('./helpers/browser');
+
+const SCRIPTS = ['contactValidation', 'appwriteConfig', 'dataBackend', 'recipientManager'];
+
+let page;
+let window;
+let recipients;
+let tables;
+
+beforeEach(() => {
+    page = createBrowser();
+    window = page.load(...SCRIPTS);
+    recipients = new window.RecipientManager();
+    tables = window.appwriteConfig;
+});
+
+describe('saveRecipient', () => {
+    test('creates a new recipient that only its customer can read, change or delete', async () => {
+        const saved = await recipients.saveRecipient('customer-1', {
+            name: 'Kofi Boateng',
+            phone: '024 123 4567',
+            email: 'kofi@example.com',
+            address: 'Ring Road, Accra'
+        });
+
+        const [doc] = page.appwrite.documents(tables.RECIPIENTS_TABLE);
+        assert.equal(doc.$id, saved.id);
+        assert.deepEqual(plain(doc.$permissions), [
+            'read("user:customer-1")',
+            'update("user:customer-1")',
+            'delete("user:customer-1")'
+        ]);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * SubscriptionManager against the fake Appwrite SDK: generating a plan's upcoming
+ * orders through OrderManager. Run with `node --test tests/`.
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser, plain } = require('./helpers/browser');
+
+const SCRIPTS = ['money', 'orderStatus', 'workingHours', 'contactValidation', 'appwriteConfig', 'dataBackend', 'orderManager', 'subscriptionManager'];
+const SUNDAY = '2030-01-06';
+const MONDAY = '2030-01-07';
+
+let page;
+let window;
+let subscriptionManager;
+let tables;
+let catalog;
+
+// A weekly plan delivering 2 sachets every Monday from MONDAY
+function createPlan(overrides = {}) {
+    const plan = subscriptionManager.serializeSubscription({
+        $id: 'plan-1',
+        customer_id: 'customer-1',
+        branch_id: 'branch-1',
+        frequency: 'weekly',
+        weekdays: [],
+        start_date: MONDAY,
+        delivery_time: '10:00',
+        items: [{ productId: 'sachet', productName: 'Sachet Water', productPrice: 8, productQty: 2 }],
+        recipient: null,
+        order_data: { deliveryAddress: '12 Oxford Street, Osu', deliveryName: 'Ama Mensah', paymentMethod: 'mtn' },
+        status: 'active',
+        skipped_dates: [],
+        generated_until: '',
+        ...overrides
+    });
+    page.appwrite.seed(tables.SUBSCRIPTIONS_TABLE, [plan]);
+    return subscriptionManager.parseSubscription(page.appwrite.documents(tables.SUBSCRIPTIONS_TABLE).find(doc => doc.$id === plan.$id));
+}
+
+beforeEach(() => {
+    page = createBrowser();
+    window = page.load(...SCRIPTS);
+    catalog = [{ $id: 'sachet', name: 'Sachet Water', price: '8.00', minQuantity: 1 }];
+    window.companyDataManager = {
+        fetchCompanyData: async () => [{ branch_id: 'branch-1', products: catalog }]
+    };
+    window.workingHours.now = () => ({ date: SUNDAY, minutes: 9 * 60 });
+    tables = window.appwriteConfig;
+    page.appwrite.seed(tables.WORKING_DAYS_TABLE, [{ $id: 'wd-1', branch_id: 'branch-1', day: 'Monday', time: '8:00 AM - 6:00 PM' }]);
+
+    const orderManager = new window.OrderManager();
+    orderManager.retryDelay = 0;
+    subscriptionManager = new window.SubscriptionManager(orderManager);
+});
+
+describe('generateOrdersForSubscription', () => {
+    test('creates the occurrence within the horizon at the plan price', async () => {
+        const summary = await subscriptionManager.generateOrdersForSubscription(createPlan());
+
+        assert.deepEqual(plain(summary.created.map(order => [order.deliveryDate, order.total])), [[MONDAY, '16.20']]);
+        assert.deepEqual(plain(summary.priceChanges), []);
+    });
+
+    test('reprices the plan from the catalog after a price change', async () => {
+        catalog[0].price = '9.00';
+
+        const summary = await subscriptionManager.generateOrdersForSubscription(createPlan());
+
+        assert.deepEqual(plain(summary.failed), []);
+        assert.deepEqual(plain(summary.created.map(order => order.total)), ['18.20']);
+        assert.deepEqual(plain(summary.priceChanges), [{ productName: 'Sachet Water', oldPrice: 8, currentPrice: 9 }]);
+        const [stored] = page.appwrite.documents(tables.SUBSCRIPTIONS_TABLE);
+        assert.equal(JSON.parse(stored.items)[0].productPrice, 9);
+        assert.equal(stored.generated_until, '2030-01-13');
+    });
+
+    test('pauses the plan and says why when a product is no longer sold', async () => {
+        catalog.splice(0, 1, { $id: 'large', name: 'Large Bottle', price: 25, minQuantity: 1 });
+
+        const summary = await subscriptionManager.generateOrdersForSubscription(createPlan());
+
+        assert.deepEqual(plain(summary.created), []);
+        assert.equal(summary.paused.message, 'No longer sold: Sachet Water.');
+        const [stored] = page.appwrite.documents(tables.SUBSCRIPTIONS_TABLE);
+        assert.equal(stored.status, 'paused');
+        assert.equal(stored.pause_reason, 'No longer sold: Sachet Water.');
+        assert.equal(page.appwrite.documents(tables.ORDERS_TABLE).length, 0);
+
+        const resumed = await subscriptionManager.resumeSubscription('plan-1');
+        assert.equal(resumed.pause_reason, '');
+    });
+
+    test('charges the delivery fee quoted for the plan address', async () => {
+        window = page.load('deliveryFee');
+        window.companyDataManager.fetchCompanyData = async () => [{
+            branch_id: 'branch-1', products: catalog, delivery_base_fee: 5, delivery_fee_per_km: 1, max_delivery_radius_km: 20
+        }];
+        let distance = 2.5;
+        window.deliveryFee.getDistanceToAddress = async (branch, address) => (address === '12 Oxford Street, Osu' ? distance : null);
+
+        const summary = await subscriptionManager.generateOrdersForSubscription(createPlan());
+
+        assert.deepEqual(plain(summary.created.map(order => [order.total, order.deliveryFee, order.deliveryDistance])), [['23.70', '7.50', 2.5]]);
+
+        distance = 25;
+        const farther = await subscriptionManager.generateOrdersForSubscription(createPlan({ $id: 'plan-2' }));
+
+        assert.match(farther.paused.message, /outside the 20 km delivery area/);
+        assert.equal(page.appwrite.documents(tables.SUBSCRIPTIONS_TABLE).find(plan => plan.$id === 'plan-2').status, 'paused');
+    });
+});